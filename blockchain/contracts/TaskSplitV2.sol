@@ -14,6 +14,9 @@ contract TaskSplitV2 is ReentrancyGuard {
     // Structs 
     
     enum TaskStatus { Open, Claimed, Submitted, Verified, Rejected }
+
+    // Who receives the stake slashed from verifiers that voted against the outcome
+    enum SlashRecipient { Majority, Sponsor }
     
     struct Phase {
         string name;
@@ -22,6 +25,13 @@ contract TaskSplitV2 is ReentrancyGuard {
         bool unlocked;               // Whether this phase is accessible
     }
     
+    // How a project's submissions are voted on, fixed when the project is created
+    struct VotingConfig {
+        uint256 quorum;              // Votes that finalize a submission automatically
+        uint256 approvalBps;         // Share of votes cast that must approve, in basis points
+        uint256 stakeAmount;         // Exact stake each vote must carry
+    }
+    
     struct Vote {
         address verifier;
         bool approved;
@@ -59,6 +69,10 @@ contract TaskSplitV2 is ReentrancyGuard {
         uint256 totalPossiblePoints;  // Sum of points for all tasks
         bool sponsorRefunded;         // Whether refund has been claimed
         bool exists;
+        uint256 slashBps;             // Share of a minority voter's stake that is slashed, in basis points
+        SlashRecipient slashRecipient;
+        uint256 totalVotesCast;       // Slashing settings are locked once this is non-zero
+        VotingConfig voting;
     }
     
     struct VerifierInfo {
@@ -80,7 +94,13 @@ contract TaskSplitV2 is ReentrancyGuard {
     StandardVerifierNFT public standardNFT; // NEW: Standard NFT contract
     
     uint256 public constant VERIFIER_ELIGIBILITY_THRESHOLD = 0.2 ether;
+    uint256 public constant BPS = 10000;
+    
+    // Voting rules for projects created without their own
     uint256 public constant VERIFIER_STAKE = 0.02 ether;
+    uint256 public constant DEFAULT_QUORUM = 3;
+    uint256 public constant DEFAULT_APPROVAL_BPS = BPS / 2 + 1;  // Simple majority
+    uint256 public constant MAX_QUORUM = 10;
     
     // Hardcoded verifiers
     address[3] public hardcodedVerifiers = [
@@ -102,7 +122,13 @@ contract TaskSplitV2 is ReentrancyGuard {
     event PhaseAdded(uint256 indexed projectId, uint256 phaseId, string name);
     event ContributorRewardClaimed(uint256 indexed projectId, address indexed contributor, uint256 amount, uint256 points);
     event VerifierRewardClaimed(uint256 indexed projectId, address indexed verifier, uint256 amount, uint256 points);
+    event SponsorRefunded(uint256 indexed projectId, address indexed sponsor, uint256 amount, uint256 points);
     event VerifierNFTClaimed(address indexed account);
+    event VotingConfigured(uint256 indexed projectId, uint256 quorum, uint256 approvalBps, uint256 stakeAmount);
+    event SlashingConfigured(uint256 indexed projectId, uint256 slashBps, SlashRecipient recipient);
+    event StakeSettled(uint256 indexed projectId, uint256 indexed taskId, address indexed verifier, bool withMajority, uint256 returned, uint256 slashed, uint256 bonus);
+    event StakeRefunded(uint256 indexed projectId, uint256 indexed taskId, address indexed verifier, uint256 amount);
+    event SlashedStakesPaid(uint256 indexed projectId, uint256 indexed taskId, address indexed recipient, uint256 amount);
     
     // Modifiers
     
@@ -146,6 +172,81 @@ contract TaskSplitV2 is ReentrancyGuard {
         uint256 contributorPoolAmount,
         uint256 verifierPoolAmount
     ) external payable returns (uint256) {
+        return _createProject(name, durationDays, phaseNames, contributorPoolAmount, verifierPoolAmount, _defaultVoting());
+    }
+
+    /**
+     * @notice Create a project and all of its tasks in one transaction
+     * @param name Project name
+     * @param durationDays Project duration in days
+     * @param phaseNames Array of phase names
+     * @param taskDescriptions Task descriptions per phase, indexed like phaseNames
+     * @param taskPoints Task points per phase, same shape as taskDescriptions
+     * @param contributorPoolAmount Amount of ETH for contributor pool
+     * @param verifierPoolAmount Amount of ETH for verifier pool
+     */
+    function createProjectWithTasks(
+        string calldata name,
+        uint256 durationDays,
+        string[] calldata phaseNames,
+        string[][] calldata taskDescriptions,
+        uint256[][] calldata taskPoints,
+        uint256 contributorPoolAmount,
+        uint256 verifierPoolAmount
+    ) external payable returns (uint256) {
+        uint256 projectId = _createProject(name, durationDays, phaseNames, contributorPoolAmount, verifierPoolAmount, _defaultVoting());
+        _addTasks(projectId, phaseNames.length, taskDescriptions, taskPoints);
+        return projectId;
+    }
+
+    /**
+     * @notice Same as createProjectWithTasks, with the project's own voting rules
+     * @param voting Quorum, approval threshold and per-vote stake for the project
+     */
+    function createProjectWithTasksAndVoting(
+        string calldata name,
+        uint256 durationDays,
+        string[] calldata phaseNames,
+        string[][] calldata taskDescriptions,
+        uint256[][] calldata taskPoints,
+        uint256 contributorPoolAmount,
+        uint256 verifierPoolAmount,
+        VotingConfig calldata voting
+    ) external payable returns (uint256) {
+        uint256 projectId = _createProject(name, durationDays, phaseNames, contributorPoolAmount, verifierPoolAmount, voting);
+        _addTasks(projectId, phaseNames.length, taskDescriptions, taskPoints);
+        return projectId;
+    }
+
+    function _addTasks(
+        uint256 projectId,
+        uint256 phaseCount,
+        string[][] calldata taskDescriptions,
+        uint256[][] calldata taskPoints
+    ) internal {
+        require(taskDescriptions.length == phaseCount, "Task list per phase required");
+        require(taskPoints.length == phaseCount, "Task list per phase required");
+
+        for (uint256 phaseId = 0; phaseId < phaseCount; phaseId++) {
+            require(taskDescriptions[phaseId].length == taskPoints[phaseId].length, "Descriptions and points length mismatch");
+            for (uint256 i = 0; i < taskDescriptions[phaseId].length; i++) {
+                _addTask(projectId, phaseId, taskDescriptions[phaseId][i], taskPoints[phaseId][i]);
+            }
+        }
+    }
+
+    function _defaultVoting() internal pure returns (VotingConfig memory) {
+        return VotingConfig({ quorum: DEFAULT_QUORUM, approvalBps: DEFAULT_APPROVAL_BPS, stakeAmount: VERIFIER_STAKE });
+    }
+
+    function _createProject(
+        string calldata name,
+        uint256 durationDays,
+        string[] calldata phaseNames,
+        uint256 contributorPoolAmount,
+        uint256 verifierPoolAmount,
+        VotingConfig memory voting
+    ) internal returns (uint256) {
         require(msg.value > 0, "Must fund project");
         require(msg.value == contributorPoolAmount + verifierPoolAmount, "Pool amounts must equal msg.value");
         require(bytes(name).length > 0, "Name cannot be empty");
@@ -153,6 +254,9 @@ contract TaskSplitV2 is ReentrancyGuard {
         require(durationDays > 0, "Duration must be positive");
         require(contributorPoolAmount > 0, "Contributor pool must be positive");
         require(verifierPoolAmount > 0, "Verifier pool must be positive");
+        require(voting.quorum > 0 && voting.quorum <= MAX_QUORUM, "Quorum must be 1-10");
+        require(voting.approvalBps > BPS / 2 && voting.approvalBps <= BPS, "Approval threshold must be a majority");
+        require(voting.stakeAmount > 0, "Stake must be positive");
         
         uint256 projectId = projectCounter++;
         Project storage project = projects[projectId];
@@ -163,6 +267,8 @@ contract TaskSplitV2 is ReentrancyGuard {
         project.verifierPool = verifierPoolAmount;
         project.endTime = block.timestamp + (durationDays * 1 days);
         project.exists = true;
+        project.slashBps = BPS;
+        project.voting = voting;
         
       
         for (uint256 i = 0; i < phaseNames.length; i++) {
@@ -173,6 +279,7 @@ contract TaskSplitV2 is ReentrancyGuard {
         }
         
         emit ProjectCreated(projectId, name, msg.sender, contributorPoolAmount, verifierPoolAmount, phaseNames.length);
+        emit VotingConfigured(projectId, voting.quorum, voting.approvalBps, voting.stakeAmount);
         return projectId;
     }
 
@@ -205,6 +312,15 @@ contract TaskSplitV2 is ReentrancyGuard {
         string calldata description,
         uint256 points
     ) external projectExists(projectId) onlySponsor(projectId) returns (uint256) {
+        return _addTask(projectId, phaseId, description, points);
+    }
+
+    function _addTask(
+        uint256 projectId,
+        uint256 phaseId,
+        string calldata description,
+        uint256 points
+    ) internal returns (uint256) {
         Project storage project = projects[projectId];
         require(phaseId < project.phases.length, "Phase does not exist");
         require(bytes(description).length > 0, "Description empty");
@@ -304,11 +420,12 @@ contract TaskSplitV2 is ReentrancyGuard {
         nonReentrant
     {
         require(isEligibleVerifier(msg.sender), "Not eligible verifier");
-        require(msg.value == VERIFIER_STAKE, "Incorrect stake amount");
         
         Project storage project = projects[projectId];
         Task storage task = project.tasks[taskId];
         
+        require(msg.value == project.voting.stakeAmount, "Incorrect stake amount");
+        
         require(task.status == TaskStatus.Submitted, "Task not submitted");
         require(!task.hasVoted[msg.sender], "Already voted");
         require(msg.sender != task.claimant, "Cannot vote on own task");
@@ -320,19 +437,22 @@ contract TaskSplitV2 is ReentrancyGuard {
             stakeAmount: msg.value
         }));
         task.hasVoted[msg.sender] = true;
+        project.totalVotesCast++;
         
         verifierInfo[msg.sender].totalVotes++;
         
         emit TaskVoted(projectId, taskId, msg.sender, approved);
 
-        // Auto-finalize if 3 votes reached
-        if (task.votes.length >= 3) {
+        // Auto-finalize once the project's quorum is reached
+        if (task.votes.length >= project.voting.quorum) {
             _finalizeTaskVoting(projectId, taskId);
         }
     }
     
     /**
      * @notice Finalize voting and verify/reject task
+     * @dev Only once the quorum is reached or the project has ended, so a lone early
+     *      voter cannot decide a submission and collect the verifier point for it
      */
     function finalizeTaskVoting(uint256 projectId, uint256 taskId)
         external
@@ -340,6 +460,11 @@ contract TaskSplitV2 is ReentrancyGuard {
         taskExists(projectId, taskId)
         nonReentrant
     {
+        Project storage project = projects[projectId];
+        require(
+            project.tasks[taskId].votes.length >= project.voting.quorum || block.timestamp >= project.endTime,
+            "Quorum not reached"
+        );
         _finalizeTaskVoting(projectId, taskId);
     }
 
@@ -351,36 +476,34 @@ contract TaskSplitV2 is ReentrancyGuard {
         require(!task.votingFinalized, "Already finalized");
 
         uint256 approveCount = 0;
-        uint256 rejectCount = 0;
         
         for (uint256 i = 0; i < task.votes.length; i++) {
             if (task.votes[i].approved) {
                 approveCount++;
-            } else {
-                rejectCount++;
             }
         }
         
-        bool approved = approveCount > rejectCount;
+        // Approved when the approving share of votes cast meets the project's threshold
+        bool approved = task.votes.length > 0 && approveCount * BPS >= project.voting.approvalBps * task.votes.length;
         task.votingFinalized = true;
         
+        // Reward verifiers who sided with the outcome, whichever way it went
+        for (uint256 i = 0; i < task.votes.length; i++) {
+            if (task.votes[i].approved == approved) {
+                address verifier = task.votes[i].verifier;
+                project.verifierPoints[verifier] += 1;
+                project.totalVerifierPoints += 1;
+                verifierInfo[verifier].correctVotes++;
+            }
+        }
+
         if (approved) {
             _verifyTask(projectId, taskId, project, task);
-             
-            // Reward correct verifiers
-            for (uint256 i = 0; i < task.votes.length; i++) {
-                if (task.votes[i].approved) {
-                    address verifier = task.votes[i].verifier;
-                    project.verifierPoints[verifier] += 1;
-                    project.totalVerifierPoints += 1;
-                    verifierInfo[verifier].correctVotes++;
-                    
-                    // Return stake
-                    (bool success, ) = verifier.call{value: task.votes[i].stakeAmount}("");
-                    require(success, "Stake return failed");
-                }
-            }
+            _settleStakes(projectId, taskId, project, task, true);
         } else {
+            // Settle before the votes are cleared below
+            _settleStakes(projectId, taskId, project, task, false);
+
             // Task Rejected - Reset to Open
             task.status = TaskStatus.Open;
             task.claimant = address(0);
@@ -398,6 +521,115 @@ contract TaskSplitV2 is ReentrancyGuard {
         }
     }
     
+    /**
+     * @notice Return stakes to the voters that sided with the outcome and slash the rest
+     * @dev Slashed stake is split evenly across the majority (rounding dust goes to the first
+     *      of them) or sent to the sponsor, depending on the project's slashing settings
+     */
+    function _settleStakes(
+        uint256 projectId,
+        uint256 taskId,
+        Project storage project,
+        Task storage task,
+        bool outcome
+    ) private {
+        uint256 majorityCount = 0;
+        uint256 slashedTotal = 0;
+        for (uint256 i = 0; i < task.votes.length; i++) {
+            if (task.votes[i].approved == outcome) {
+                majorityCount++;
+            } else {
+                slashedTotal += (task.votes[i].stakeAmount * project.slashBps) / BPS;
+            }
+        }
+
+        // Without any votes there is no majority, but then nothing was slashed either
+        bool toMajority = project.slashRecipient == SlashRecipient.Majority && majorityCount > 0;
+        uint256 bonus = toMajority ? slashedTotal / majorityCount : 0;
+        uint256 dust = toMajority ? slashedTotal - bonus * majorityCount : 0;
+
+        for (uint256 i = 0; i < task.votes.length; i++) {
+            Vote storage vote = task.votes[i];
+            uint256 payout;
+            if (vote.approved == outcome) {
+                uint256 share = bonus + dust;
+                dust = 0;
+                payout = vote.stakeAmount + share;
+                emit StakeSettled(projectId, taskId, vote.verifier, true, vote.stakeAmount, 0, share);
+            } else {
+                uint256 slashed = (vote.stakeAmount * project.slashBps) / BPS;
+                payout = vote.stakeAmount - slashed;
+                emit StakeSettled(projectId, taskId, vote.verifier, false, payout, slashed, 0);
+            }
+
+            if (payout > 0) {
+                (bool success, ) = vote.verifier.call{value: payout}("");
+                require(success, "Stake return failed");
+            }
+        }
+
+        if (!toMajority && slashedTotal > 0) {
+            (bool success, ) = project.sponsor.call{value: slashedTotal}("");
+            require(success, "Slashed stake transfer failed");
+            emit SlashedStakesPaid(projectId, taskId, project.sponsor, slashedTotal);
+        }
+    }
+
+    /**
+     * @notice Return every stake in full when a submission is verified without its vote concluding
+     * @dev Nobody sided with or against an outcome, so no points are awarded and nothing is slashed
+     */
+    function _refundStakes(uint256 projectId, uint256 taskId, Task storage task) private {
+        task.votingFinalized = true;
+        for (uint256 i = 0; i < task.votes.length; i++) {
+            Vote storage vote = task.votes[i];
+            emit StakeRefunded(projectId, taskId, vote.verifier, vote.stakeAmount);
+            (bool success, ) = vote.verifier.call{value: vote.stakeAmount}("");
+            require(success, "Stake return failed");
+        }
+    }
+
+    /**
+     * @notice Set how much of a minority voter's stake is slashed and who receives it
+     * @dev Only possible until the first vote on the project, so voters always know the terms
+     * @param slashBps Share of the stake slashed, in basis points (10000 slashes all of it)
+     * @param recipient Majority voters of the same task, or the project sponsor
+     */
+    function setSlashingConfig(uint256 projectId, uint256 slashBps, SlashRecipient recipient)
+        external
+        projectExists(projectId)
+        onlySponsor(projectId)
+    {
+        Project storage project = projects[projectId];
+        require(slashBps <= BPS, "Slash rate above 100%");
+        require(project.totalVotesCast == 0, "Voting already started");
+
+        project.slashBps = slashBps;
+        project.slashRecipient = recipient;
+
+        emit SlashingConfigured(projectId, slashBps, recipient);
+    }
+
+    function getSlashingConfig(uint256 projectId)
+        external
+        view
+        projectExists(projectId)
+        returns (uint256 slashBps, SlashRecipient recipient, bool locked)
+    {
+        Project storage project = projects[projectId];
+        return (project.slashBps, project.slashRecipient, project.totalVotesCast > 0);
+    }
+
+    function getVotingConfig(uint256 projectId)
+        external
+        view
+        projectExists(projectId)
+        returns (uint256 quorum, uint256 approvalBps, uint256 stakeAmount)
+    {
+        VotingConfig storage voting = projects[projectId].voting;
+        return (voting.quorum, voting.approvalBps, voting.stakeAmount);
+    }
+
     /**
      * @notice Auto-verify submitted tasks with no votes after project deadline
      */
@@ -457,6 +689,7 @@ contract TaskSplitV2 is ReentrancyGuard {
         for (uint256 i = 0; i < project.tasks.length; i++) {
             Task storage task = project.tasks[i];
             if (task.claimant == msg.sender && task.status == TaskStatus.Submitted) {
+                _refundStakes(projectId, i, task);
                 _verifyTask(projectId, i, project, task);
             }
         }
@@ -544,6 +777,8 @@ contract TaskSplitV2 is ReentrancyGuard {
         
         (bool success, ) = project.sponsor.call{value: refundAmount}("");
         require(success, "Refund transfer failed");
+
+        emit SponsorRefunded(projectId, project.sponsor, refundAmount, unearnedPoints);
     }
 
     /**
@@ -630,7 +865,22 @@ contract TaskSplitV2 is ReentrancyGuard {
             task.hasVoted[caller]
         );
     }
-    
+
+    /**
+     * @notice Votes cast on the task's current submission and whether voting was finalized
+     * @dev Votes are cleared when a submission is rejected, so after a rejection this returns an empty list
+     */
+    function getTaskVotes(uint256 projectId, uint256 taskId)
+        external
+        view
+        projectExists(projectId)
+        taskExists(projectId, taskId)
+        returns (Vote[] memory votes, bool finalized)
+    {
+        Task storage task = projects[projectId].tasks[taskId];
+        return (task.votes, task.votingFinalized);
+    }
+
     function getContributorPoints(uint256 projectId, address contributor) external view projectExists(projectId) returns (uint256) {
         return projects[projectId].contributorPoints[contributor];
     }
@@ -665,6 +915,26 @@ contract TaskSplitV2 is ReentrancyGuard {
         
         return (earners, earnings);
     }
+
+    /**
+     * @notice One page of reward earners, in the order they first earned, plus the total count
+     * @dev Pages past the end come back empty instead of reverting
+     */
+    function getLeaderboardPage(uint256 offset, uint256 limit) external view returns (address[] memory earners, uint256[] memory earnings, uint256 total) {
+        total = rewardEarners.length;
+        uint256 count = offset < total ? total - offset : 0;
+        if (limit < count) count = limit;
+        earners = new address[](count);
+        earnings = new uint256[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            earners[i] = rewardEarners[offset + i];
+            earnings[i] = globalEarnings[earners[i]];
+        }
+
+        return (earners, earnings, total);
+    }
+
     function hasClaimed(uint256 projectId, address account) public view returns (bool contributorClaimed, bool verifierClaimed) {
         Project storage p = projects[projectId];
         return (p.contributorClaimed[account], p.verifierClaimed[account]);
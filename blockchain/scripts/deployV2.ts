@@ -1,4 +1,4 @@
-import { ethers } from "hardhat";
+import { ethers, network } from "hardhat";
 import * as fs from "fs";
 import * as path from "path";
 
@@ -6,8 +6,7 @@ async function main() {
     console.log("Deploying TaskSplit V2 with Genesis and Standard NFT support...");
 
     const [deployer] = await ethers.getSigners();
-    const network = await ethers.provider.getNetwork();
-    const chainId = network.chainId;
+    const { chainId } = await ethers.provider.getNetwork();
     console.log(`Deploying contracts with account: ${deployer.address} on Chain ID: ${chainId}`);
 
     // 1. Deploy Genesis Verifier NFT (Existing)
@@ -29,7 +28,11 @@ async function main() {
     const taskSplit = await TaskSplitV2.deploy(genesisNFTAddress, standardNFTAddress);
     await taskSplit.waitForDeployment();
     const taskSplitAddress = await taskSplit.getAddress();
-    console.log(`TaskSplitV2 deployed to: ${taskSplitAddress}`);
+    // The frontend indexer starts reading events at this block
+    const deployReceipt = await taskSplit.deploymentTransaction()?.wait();
+    if (!deployReceipt) throw new Error("Could not read the TaskSplitV2 deployment receipt");
+    const deployBlock = deployReceipt.blockNumber;
+    console.log(`TaskSplitV2 deployed to: ${taskSplitAddress} (block ${deployBlock})`);
 
     // 4. Setup Permissions: TaskSplitV2 should be able to mint Standard NFTs
     console.log("Transferring StandardVerifierNFT ownership to TaskSplitV2...");
@@ -47,37 +50,30 @@ async function main() {
     console.log(`StandardVerifierNFT: ${standardNFTAddress}`);
     console.log(`TaskSplitV2: ${taskSplitAddress}`);
 
-    // 6. Automatically update frontend/src/utils/contract.js
-    const contractJsPath = path.join(__dirname, "../../frontend/src/utils/contract.js");
-    const contractJsContent = `import { ethers } from "ethers";
-import TaskSplitV2 from "../artifacts/TaskSplitV2.json";
-import GenesisNFT from "../artifacts/GenesisVerifierNFT.json";
-import StandardNFT from "../artifacts/StandardVerifierNFT.json";
-
-export const CONTRACT_ADDRESS = "${taskSplitAddress}";
-export const GENESIS_NFT_ADDRESS = "${genesisNFTAddress}";
-export const STANDARD_NFT_ADDRESS = "${standardNFTAddress}";
-export const EXPECTED_CHAIN_ID = ${chainId}; 
-
-export const CONTRACT_ABI = TaskSplitV2.abi;
-export const GENESIS_NFT_ABI = GenesisNFT.abi;
-export const STANDARD_NFT_ABI = StandardNFT.abi;
-
-export const getContract = async (signerOrProvider) => {
-    return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signerOrProvider);
-}
-
-export const getGenesisNFT = async (signerOrProvider) => {
-    return new ethers.Contract(GENESIS_NFT_ADDRESS, GENESIS_NFT_ABI, signerOrProvider);
-}
-
-export const getStandardNFT = async (signerOrProvider) => {
-    return new ethers.Contract(STANDARD_NFT_ADDRESS, STANDARD_NFT_ABI, signerOrProvider);
-}
-`;
+    // 6. Record the deployment in the frontend registry (one entry per chain)
+    const registryPath = path.join(__dirname, "../../frontend/src/deployments.json");
+    const registry = fs.existsSync(registryPath)
+        ? JSON.parse(fs.readFileSync(registryPath, "utf8"))
+        : { defaultChainId: Number(chainId), networks: {} };
+
+    const existing = registry.networks[chainId.toString()] || {};
+    const rpcUrl = "url" in network.config && network.config.url ? network.config.url : "http://127.0.0.1:8545";
+
+    registry.networks[chainId.toString()] = {
+        name: existing.name || network.name,
+        rpcUrls: existing.rpcUrls || [rpcUrl],
+        explorerUrl: existing.explorerUrl || null,
+        nativeCurrency: existing.nativeCurrency || { name: "Ether", symbol: "ETH", decimals: 18 },
+        deployBlock,
+        contracts: {
+            TaskSplitV2: taskSplitAddress,
+            GenesisVerifierNFT: genesisNFTAddress,
+            StandardVerifierNFT: standardNFTAddress
+        }
+    };
 
-    fs.writeFileSync(contractJsPath, contractJsContent);
-    console.log(`Successfully updated: ${contractJsPath}`);
+    fs.writeFileSync(registryPath, JSON.stringify(registry, null, 4) + "\n");
+    console.log(`Recorded chain ${chainId} deployment in: ${registryPath}`);
 
     // 7. Copy ABIs to frontend artifacts
     const blockchainArtifacts = path.join(__dirname, "../artifacts/contracts");
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTaskSplitV2 } = require("./fixtures");
+
+describe("TaskSplitV2 Batch Project Setup", function () {
+    let taskSplit;
+    let sponsor;
+    const contributorPool = ethers.parseEther("1.0");
+    const verifierPool = ethers.parseEther("0.5");
+    const value = contributorPool + verifierPool;
+
+    const create = (phaseNames, descriptions, points, overrides = { value }) =>
+        taskSplit.connect(sponsor).createProjectWithTasks(
+            "Batch Project", 10, phaseNames, descriptions, points, contributorPool, verifierPool, overrides
+        );
+
+    beforeEach(async function () {
+        ({ taskSplit, sponsor } = await loadFixture(deployTaskSplitV2));
+    });
+
+    it("Should create the project, phases and tasks in one call", async function () {
+        await create(
+            ["Design", "Build"],
+            [["Mockups", "Style guide"], ["Frontend"]],
+            [[10, 20], [70]]
+        );
+
+        const p = await taskSplit.getProjectDetailed(1);
+        expect(p.sponsor).to.equal(sponsor.address);
+        expect(p.phaseCount).to.equal(2);
+        expect(p.taskCount).to.equal(3);
+        expect(p.totalPossiblePoints).to.equal(100);
+
+        const phase = await taskSplit.getPhase(1, 1);
+        expect(phase.name).to.equal("Build");
+        expect(phase.taskCount).to.equal(1);
+        expect(phase.unlocked).to.equal(false);
+
+        const task = await taskSplit.getTask(1, 2, ethers.ZeroAddress);
+        expect(task.phaseId).to.equal(1);
+        expect(task.description).to.equal("Frontend");
+        expect(task.points).to.equal(70);
+    });
+
+    it("Should emit ProjectCreated and a TaskAdded per task", async function () {
+        const tx = create(["Design", "Build"], [["Mockups"], ["Frontend", "Backend"]], [[10], [20, 30]]);
+
+        await expect(tx)
+            .to.emit(taskSplit, "ProjectCreated")
+            .withArgs(1, "Batch Project", sponsor.address, contributorPool, verifierPool, 2);
+        await expect(tx).to.emit(taskSplit, "TaskAdded").withArgs(1, 0, 0, "Mockups", 10);
+        await expect(tx).to.emit(taskSplit, "TaskAdded").withArgs(1, 1, 1, "Frontend", 20);
+        await expect(tx).to.emit(taskSplit, "TaskAdded").withArgs(1, 2, 1, "Backend", 30);
+    });
+
+    it("Should allow phases without tasks", async function () {
+        await create(["Design", "Build"], [["Mockups"], []], [[10], []]);
+        const p = await taskSplit.getProjectDetailed(1);
+        expect(p.taskCount).to.equal(1);
+    });
+
+    it("Should reject more than 5 phases", async function () {
+        const names = ["1", "2", "3", "4", "5", "6"];
+        await expect(create(names, names.map(() => []), names.map(() => [])))
+            .to.be.revertedWith("Phase count must be 1-5");
+    });
+
+    it("Should reject more than 5 tasks in a phase", async function () {
+        const descriptions = ["a", "b", "c", "d", "e", "f"];
+        await expect(create(["Build"], [descriptions], [descriptions.map(() => 10)]))
+            .to.be.revertedWith("Max 5 tasks per phase");
+    });
+
+    it("Should reject points outside 1-100", async function () {
+        await expect(create(["Build"], [["Task"]], [[0]])).to.be.revertedWith("Points must be 1-100");
+        await expect(create(["Build"], [["Task"]], [[101]])).to.be.revertedWith("Points must be 1-100");
+    });
+
+    it("Should reject empty task descriptions", async function () {
+        await expect(create(["Build"], [[""]], [[10]])).to.be.revertedWith("Description empty");
+    });
+
+    it("Should reject task lists that do not match the phases", async function () {
+        await expect(create(["Design", "Build"], [["Mockups"]], [[10], []]))
+            .to.be.revertedWith("Task list per phase required");
+        await expect(create(["Build"], [["Task", "Other"]], [[10]]))
+            .to.be.revertedWith("Descriptions and points length mismatch");
+    });
+
+    it("Should enforce the same funding checks as createProject", async function () {
+        await expect(create(["Build"], [["Task"]], [[10]], { value: contributorPool }))
+            .to.be.revertedWith("Pool amounts must equal msg.value");
+    });
+});
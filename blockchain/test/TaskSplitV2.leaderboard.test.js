@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTaskSplitV2 } = require("./fixtures");
+
+describe("TaskSplitV2 Paginated Leaderboard", function () {
+    let taskSplit;
+    let verifiers;
+    let sponsor;
+    let contributor;
+    const stake = ethers.parseEther("0.02");
+    const contributorPool = ethers.parseEther("1.0");
+    const verifierPool = ethers.parseEther("0.3");
+
+    beforeEach(async function () {
+        ({ taskSplit, verifiers, sponsor, contributor } = await loadFixture(deployTaskSplitV2));
+
+        await taskSplit.connect(sponsor).createProjectWithTasks(
+            "Leaderboard", 10, ["Build"], [["Feature"]], [[50]], contributorPool, verifierPool,
+            { value: contributorPool + verifierPool }
+        );
+        await taskSplit.connect(contributor).claimTask(1, 0);
+        await taskSplit.connect(contributor).submitTask(1, 0, "https://proof.example");
+        for (const verifier of verifiers) {
+            await taskSplit.connect(verifier).stakeAndVote(1, 0, true, { value: stake });
+        }
+
+        await ethers.provider.send("evm_increaseTime", [11 * 24 * 3600]);
+        await ethers.provider.send("evm_mine");
+
+        // Earners are recorded in claim order: contributor, then the three verifiers
+        await taskSplit.connect(contributor).claimContributorReward(1);
+        for (const verifier of verifiers) {
+            await taskSplit.connect(verifier).claimVerifierReward(1);
+        }
+    });
+
+    it("Should return one page of earners with their lifetime earnings and the total", async function () {
+        const [earners, earnings, total] = await taskSplit.getLeaderboardPage(1, 2);
+        expect(total).to.equal(4);
+        expect(earners).to.deep.equal([verifiers[0].address, verifiers[1].address]);
+        expect(earnings[0]).to.equal(await taskSplit.globalEarnings(verifiers[0].address));
+        expect(earnings[1]).to.equal(verifierPool / 3n);
+    });
+
+    it("Should truncate the last page", async function () {
+        const [earners, , total] = await taskSplit.getLeaderboardPage(3, 10);
+        expect(total).to.equal(4);
+        expect(earners).to.deep.equal([verifiers[2].address]);
+    });
+
+    it("Should return an empty page past the end instead of reverting", async function () {
+        const [earners, earnings, total] = await taskSplit.getLeaderboardPage(10, 5);
+        expect(earners.length).to.equal(0);
+        expect(earnings.length).to.equal(0);
+        expect(total).to.equal(4);
+    });
+
+    it("Should handle a limit large enough to overflow offset + limit", async function () {
+        const [earners] = await taskSplit.getLeaderboardPage(2, ethers.MaxUint256);
+        expect(earners).to.deep.equal([verifiers[1].address, verifiers[2].address]);
+    });
+
+    it("Should agree with the unpaginated view", async function () {
+        const [allEarners, allEarnings] = await taskSplit.getLeaderboard();
+        const [earners, earnings] = await taskSplit.getLeaderboardPage(0, 100);
+        expect(earners).to.deep.equal(allEarners);
+        expect(earnings).to.deep.equal(allEarnings);
+        expect(earners[0]).to.equal(contributor.address);
+    });
+});
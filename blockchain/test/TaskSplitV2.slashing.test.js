@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTaskSplitV2 } = require("./fixtures");
+
+describe("TaskSplitV2 Stake Slashing", function () {
+    let taskSplit;
+    let verifiers;
+    let sponsor;
+    let contributor;
+    let outsider;
+    const stake = ethers.parseEther("0.02");
+    const contributorPool = ethers.parseEther("1.0");
+    const verifierPool = ethers.parseEther("0.5");
+    const MAJORITY = 0;
+    const SPONSOR = 1;
+
+    const vote = (index, approved) =>
+        taskSplit.connect(verifiers[index]).stakeAndVote(1, 0, approved, { value: stake });
+
+    beforeEach(async function () {
+        ({ taskSplit, verifiers, sponsor, contributor, outsider } = await loadFixture(deployTaskSplitV2));
+
+        await taskSplit.connect(sponsor).createProjectWithTasks(
+            "Slashing", 10, ["Build"], [["Feature", "Docs"]], [[50, 50]], contributorPool, verifierPool,
+            { value: contributorPool + verifierPool }
+        );
+        await taskSplit.connect(contributor).claimTask(1, 0);
+        await taskSplit.connect(contributor).submitTask(1, 0, "https://proof.example");
+    });
+
+    describe("Configuration", function () {
+        it("Should default to slashing the whole stake in favour of the majority", async function () {
+            const [slashBps, recipient, locked] = await taskSplit.getSlashingConfig(1);
+            expect(slashBps).to.equal(10000);
+            expect(recipient).to.equal(MAJORITY);
+            expect(locked).to.equal(false);
+        });
+
+        it("Should let the sponsor change the settings before voting starts", async function () {
+            await expect(taskSplit.connect(sponsor).setSlashingConfig(1, 2500, SPONSOR))
+                .to.emit(taskSplit, "SlashingConfigured")
+                .withArgs(1, 2500, SPONSOR);
+
+            const [slashBps, recipient] = await taskSplit.getSlashingConfig(1);
+            expect(slashBps).to.equal(2500);
+            expect(recipient).to.equal(SPONSOR);
+        });
+
+        it("Should reject changes from anyone but the sponsor", async function () {
+            await expect(taskSplit.connect(outsider).setSlashingConfig(1, 5000, MAJORITY))
+                .to.be.revertedWith("Only sponsor can call");
+        });
+
+        it("Should reject a slash rate above 100%", async function () {
+            await expect(taskSplit.connect(sponsor).setSlashingConfig(1, 10001, MAJORITY))
+                .to.be.revertedWith("Slash rate above 100%");
+        });
+
+        it("Should lock the settings once the first vote is cast", async function () {
+            await vote(0, true);
+
+            const [, , locked] = await taskSplit.getSlashingConfig(1);
+            expect(locked).to.equal(true);
+            await expect(taskSplit.connect(sponsor).setSlashingConfig(1, 0, MAJORITY))
+                .to.be.revertedWith("Voting already started");
+        });
+    });
+
+    describe("Settlement", function () {
+        it("Should return every stake when the vote is unanimous", async function () {
+            await vote(0, true);
+            await vote(1, true);
+
+            await expect(vote(2, true))
+                .to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[0].address, true, stake, 0, 0)
+                .and.to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[2].address, true, stake, 0, 0);
+            expect(await ethers.provider.getBalance(await taskSplit.getAddress())).to.equal(contributorPool + verifierPool);
+        });
+
+        it("Should pay the rejecting minority's stake to the approving majority", async function () {
+            await vote(0, true);
+            await vote(1, false);
+
+            const tx = vote(2, true);
+            await expect(tx)
+                .to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[0].address, true, stake, 0, stake / 2n)
+                .and.to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[1].address, false, 0, stake, 0)
+                .and.to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[2].address, true, stake, 0, stake / 2n);
+            // The last voter paid its stake in the same transaction that settled it
+            await expect(tx).to.changeEtherBalances(
+                [verifiers[0], verifiers[1], verifiers[2]],
+                [stake + stake / 2n, 0, stake / 2n]
+            );
+            expect(await ethers.provider.getBalance(await taskSplit.getAddress())).to.equal(contributorPool + verifierPool);
+        });
+
+        it("Should pay the approving minority's stake to the rejecting majority", async function () {
+            await vote(0, false);
+            await vote(1, true);
+
+            const tx = vote(2, false);
+            await expect(tx)
+                .to.emit(taskSplit, "TaskRejected").withArgs(1, 0)
+                .and.to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[0].address, true, stake, 0, stake / 2n)
+                .and.to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[1].address, false, 0, stake, 0);
+            await expect(tx).to.changeEtherBalances(
+                [verifiers[0], verifiers[1], verifiers[2]],
+                [stake + stake / 2n, 0, stake / 2n]
+            );
+            expect(await ethers.provider.getBalance(await taskSplit.getAddress())).to.equal(contributorPool + verifierPool);
+        });
+
+        it("Should return the unslashed part of a minority stake", async function () {
+            await taskSplit.connect(sponsor).setSlashingConfig(1, 2500, MAJORITY);
+            await vote(0, true);
+            await vote(1, false);
+
+            const slashed = stake / 4n;
+            await expect(vote(2, true))
+                .to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[1].address, false, stake - slashed, slashed, 0)
+                .and.to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[0].address, true, stake, 0, slashed / 2n);
+            expect(await ethers.provider.getBalance(await taskSplit.getAddress())).to.equal(contributorPool + verifierPool);
+        });
+
+        it("Should return every stake in full when slashing is disabled", async function () {
+            await taskSplit.connect(sponsor).setSlashingConfig(1, 0, MAJORITY);
+            await vote(0, true);
+            await vote(1, false);
+
+            await expect(vote(2, true))
+                .to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[1].address, false, stake, 0, 0)
+                .and.to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[0].address, true, stake, 0, 0);
+        });
+
+        it("Should send slashed stake to the sponsor when configured", async function () {
+            await taskSplit.connect(sponsor).setSlashingConfig(1, 10000, SPONSOR);
+            await vote(0, true);
+            await vote(1, false);
+
+            const tx = vote(2, true);
+            await expect(tx)
+                .to.emit(taskSplit, "SlashedStakesPaid").withArgs(1, 0, sponsor.address, stake)
+                .and.to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[0].address, true, stake, 0, 0);
+            await expect(tx).to.changeEtherBalances([sponsor, verifiers[0], verifiers[1]], [stake, stake, 0]);
+            expect(await ethers.provider.getBalance(await taskSplit.getAddress())).to.equal(contributorPool + verifierPool);
+        });
+
+        it("Should not pay the sponsor when nothing was slashed", async function () {
+            await taskSplit.connect(sponsor).setSlashingConfig(1, 10000, SPONSOR);
+            await vote(0, true);
+            await vote(1, true);
+
+            await expect(vote(2, true)).to.not.emit(taskSplit, "SlashedStakesPaid");
+        });
+
+        it("Should settle a tie in favour of the rejecting side when finalized after the end", async function () {
+            await vote(0, true);
+            await vote(1, false);
+            await ethers.provider.send("evm_increaseTime", [11 * 24 * 3600]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(taskSplit.finalizeTaskVoting(1, 0))
+                .to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[1].address, true, stake, 0, stake)
+                .and.to.emit(taskSplit, "StakeSettled").withArgs(1, 0, verifiers[0].address, false, 0, stake, 0);
+        });
+
+        it("Should refund stakes when the contributor claims before the vote concludes", async function () {
+            await vote(0, false);
+            await ethers.provider.send("evm_increaseTime", [11 * 24 * 3600]);
+            await ethers.provider.send("evm_mine");
+
+            const tx = taskSplit.connect(contributor).claimContributorReward(1);
+            await expect(tx)
+                .to.emit(taskSplit, "StakeRefunded").withArgs(1, 0, verifiers[0].address, stake)
+                .and.to.not.emit(taskSplit, "StakeSettled");
+            await expect(tx).to.changeEtherBalance(verifiers[0], stake);
+
+            const [, finalized] = await taskSplit.getTaskVotes(1, 0);
+            expect(finalized).to.equal(true);
+            expect(await taskSplit.getVerifierPoints(1, verifiers[0].address)).to.equal(0);
+            // Only the unclaimed contributor share and the verifier pool are left
+            expect(await ethers.provider.getBalance(await taskSplit.getAddress()))
+                .to.equal(contributorPool / 2n + verifierPool);
+        });
+
+        it("Should finalize a submission without votes without settling anything", async function () {
+            await ethers.provider.send("evm_increaseTime", [11 * 24 * 3600]);
+            await ethers.provider.send("evm_mine");
+            await expect(taskSplit.finalizeTaskVoting(1, 0))
+                .to.emit(taskSplit, "TaskRejected").withArgs(1, 0)
+                .and.to.not.emit(taskSplit, "StakeSettled");
+        });
+    });
+});
@@ -0,0 +1,40 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTaskSplitV2 } = require("./fixtures");
+
+describe("TaskSplitV2 Sponsor Refund", function () {
+    let taskSplit;
+    let sponsor;
+    let contributor;
+    const contributorPool = ethers.parseEther("1.0");
+    const verifierPool = ethers.parseEther("0.3");
+
+    beforeEach(async function () {
+        ({ taskSplit, sponsor, contributor } = await loadFixture(deployTaskSplitV2));
+
+        await taskSplit.connect(sponsor).createProjectWithTasks(
+            "Refund", 10, ["Build"], [["Feature", "Docs"]], [[30, 70]], contributorPool, verifierPool,
+            { value: contributorPool + verifierPool }
+        );
+        await taskSplit.connect(contributor).claimTask(1, 0);
+        await taskSplit.connect(contributor).submitTask(1, 0, "https://proof.example");
+
+        await ethers.provider.send("evm_increaseTime", [11 * 24 * 3600]);
+        await ethers.provider.send("evm_mine");
+    });
+
+    it("Should emit SponsorRefunded with the refund for unearned points", async function () {
+        const refund = (70n * contributorPool) / 100n;
+
+        await expect(taskSplit.connect(sponsor).claimSponsorRefund(1))
+            .to.emit(taskSplit, "SponsorRefunded")
+            .withArgs(1, sponsor.address, refund, 70);
+    });
+
+    it("Should not refund twice", async function () {
+        await taskSplit.connect(sponsor).claimSponsorRefund(1);
+
+        await expect(taskSplit.connect(sponsor).claimSponsorRefund(1)).to.be.revertedWith("Refund already claimed");
+    });
+});
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTaskSplitV2 } = require("./fixtures");
+
+describe("TaskSplitV2 Verifier Rewards", function () {
+    let taskSplit;
+    let verifiers;
+    let sponsor;
+    let contributor;
+    const stake = ethers.parseEther("0.02");
+    const contributorPool = ethers.parseEther("1.0");
+    const verifierPool = ethers.parseEther("0.3");
+
+    const vote = (index, approved) =>
+        taskSplit.connect(verifiers[index]).stakeAndVote(1, 0, approved, { value: stake });
+
+    beforeEach(async function () {
+        ({ taskSplit, verifiers, sponsor, contributor } = await loadFixture(deployTaskSplitV2));
+
+        await taskSplit.connect(sponsor).createProjectWithTasks(
+            "Rewards", 10, ["Build"], [["Feature"]], [[50]], contributorPool, verifierPool,
+            { value: contributorPool + verifierPool }
+        );
+        await taskSplit.connect(contributor).claimTask(1, 0);
+        await taskSplit.connect(contributor).submitTask(1, 0, "https://spam.example");
+    });
+
+    it("Should give the rejecting majority a point and a correct vote each", async function () {
+        await vote(0, false);
+        await vote(1, true);
+        await vote(2, false);
+
+        expect(await taskSplit.getVerifierPoints(1, verifiers[0].address)).to.equal(1);
+        expect(await taskSplit.getVerifierPoints(1, verifiers[2].address)).to.equal(1);
+        expect(await taskSplit.getVerifierPoints(1, verifiers[1].address)).to.equal(0);
+        expect((await taskSplit.verifierInfo(verifiers[0].address)).correctVotes).to.equal(1);
+        expect((await taskSplit.verifierInfo(verifiers[1].address)).correctVotes).to.equal(0);
+        expect((await taskSplit.getProjectDetailed(1)).totalVerifierPoints).to.equal(2);
+    });
+
+    it("Should return the rejecting majority's stakes", async function () {
+        await vote(0, false);
+        await vote(1, false);
+
+        await expect(vote(2, false)).to.changeEtherBalances(
+            [verifiers[0], verifiers[1], verifiers[2]],
+            [stake, stake, 0]
+        );
+    });
+
+    it("Should reward a unanimous rejection like a unanimous approval", async function () {
+        await vote(0, false);
+        await vote(1, false);
+        await vote(2, false);
+
+        for (const verifier of verifiers) {
+            expect(await taskSplit.getVerifierPoints(1, verifier.address)).to.equal(1);
+        }
+        expect(await taskSplit.getProjectedVerifierReward(1, verifiers[0].address)).to.equal(verifierPool / 3n);
+    });
+
+    it("Should still reward only the approving majority when a task is verified", async function () {
+        await vote(0, true);
+        await vote(1, false);
+        await vote(2, true);
+
+        expect(await taskSplit.getVerifierPoints(1, verifiers[0].address)).to.equal(1);
+        expect(await taskSplit.getVerifierPoints(1, verifiers[1].address)).to.equal(0);
+        expect((await taskSplit.verifierInfo(verifiers[1].address)).totalVotes).to.equal(1);
+        expect((await taskSplit.verifierInfo(verifiers[1].address)).correctVotes).to.equal(0);
+    });
+
+    it("Should not let a lone reject vote below quorum be finalized", async function () {
+        await vote(0, false);
+
+        await expect(taskSplit.connect(verifiers[0]).finalizeTaskVoting(1, 0))
+            .to.be.revertedWith("Quorum not reached");
+        expect(await taskSplit.getVerifierPoints(1, verifiers[0].address)).to.equal(0);
+    });
+
+    it("Should let a vote below quorum be finalized once the project ends", async function () {
+        await vote(0, false);
+        await ethers.provider.send("evm_increaseTime", [11 * 24 * 3600]);
+        await ethers.provider.send("evm_mine");
+
+        await expect(taskSplit.finalizeTaskVoting(1, 0)).to.emit(taskSplit, "TaskRejected").withArgs(1, 0);
+        expect(await taskSplit.getVerifierPoints(1, verifiers[0].address)).to.equal(1);
+    });
+
+    it("Should pay verifier rewards earned by rejecting after the project ends", async function () {
+        await vote(0, false);
+        await vote(1, false);
+        await vote(2, true);
+
+        await ethers.provider.send("evm_increaseTime", [11 * 24 * 3600]);
+        await ethers.provider.send("evm_mine");
+
+        await expect(taskSplit.connect(verifiers[0]).claimVerifierReward(1))
+            .to.emit(taskSplit, "VerifierRewardClaimed")
+            .withArgs(1, verifiers[0].address, verifierPool / 2n, 1);
+        await expect(taskSplit.connect(verifiers[2]).claimVerifierReward(1))
+            .to.be.revertedWith("No verifier points");
+    });
+});
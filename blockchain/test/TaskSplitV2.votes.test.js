@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTaskSplitV2 } = require("./fixtures");
+
+describe("TaskSplitV2 Task Votes", function () {
+    let taskSplit;
+    let verifiers;
+    let sponsor;
+    let contributor;
+    const stake = ethers.parseEther("0.02");
+    const contributorPool = ethers.parseEther("1.0");
+    const verifierPool = ethers.parseEther("0.5");
+
+    beforeEach(async function () {
+        ({ taskSplit, verifiers, sponsor, contributor } = await loadFixture(deployTaskSplitV2));
+
+        await taskSplit.connect(sponsor).createProjectWithTasks(
+            "Votes", 10, ["Build"], [["Feature"]], [[50]], contributorPool, verifierPool,
+            { value: contributorPool + verifierPool }
+        );
+        await taskSplit.connect(contributor).claimTask(1, 0);
+        await taskSplit.connect(contributor).submitTask(1, 0, "https://proof.example");
+    });
+
+    it("Should return no votes before anyone votes", async function () {
+        const [votes, finalized] = await taskSplit.getTaskVotes(1, 0);
+        expect(votes.length).to.equal(0);
+        expect(finalized).to.equal(false);
+    });
+
+    it("Should return each vote with verifier, direction and stake", async function () {
+        await taskSplit.connect(verifiers[0]).stakeAndVote(1, 0, true, { value: stake });
+        await taskSplit.connect(verifiers[1]).stakeAndVote(1, 0, false, { value: stake });
+
+        const [votes, finalized] = await taskSplit.getTaskVotes(1, 0);
+        expect(votes.length).to.equal(2);
+        expect(votes[0].verifier).to.equal(verifiers[0].address);
+        expect(votes[0].approved).to.equal(true);
+        expect(votes[0].stakeAmount).to.equal(stake);
+        expect(votes[1].verifier).to.equal(verifiers[1].address);
+        expect(votes[1].approved).to.equal(false);
+        expect(finalized).to.equal(false);
+    });
+
+    it("Should keep the votes and report finalized once the task is verified", async function () {
+        await taskSplit.connect(verifiers[0]).stakeAndVote(1, 0, true, { value: stake });
+        await taskSplit.connect(verifiers[1]).stakeAndVote(1, 0, true, { value: stake });
+        await taskSplit.connect(verifiers[2]).stakeAndVote(1, 0, false, { value: stake });
+
+        const [votes, finalized] = await taskSplit.getTaskVotes(1, 0);
+        expect(votes.map(v => v.approved)).to.deep.equal([true, true, false]);
+        expect(finalized).to.equal(true);
+    });
+
+    it("Should clear the votes when the submission is rejected", async function () {
+        await taskSplit.connect(verifiers[0]).stakeAndVote(1, 0, false, { value: stake });
+        await taskSplit.connect(verifiers[1]).stakeAndVote(1, 0, false, { value: stake });
+        await taskSplit.connect(verifiers[2]).stakeAndVote(1, 0, true, { value: stake });
+
+        const [votes, finalized] = await taskSplit.getTaskVotes(1, 0);
+        expect(votes.length).to.equal(0);
+        expect(finalized).to.equal(false);
+    });
+
+    it("Should revert for unknown projects and tasks", async function () {
+        await expect(taskSplit.getTaskVotes(2, 0)).to.be.revertedWith("Project does not exist");
+        await expect(taskSplit.getTaskVotes(1, 1)).to.be.revertedWith("Task does not exist");
+    });
+});
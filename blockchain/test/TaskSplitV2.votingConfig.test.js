@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTaskSplitV2 } = require("./fixtures");
+
+describe("TaskSplitV2 Voting Configuration", function () {
+    let taskSplit;
+    let verifiers;
+    let sponsor;
+    let contributor;
+    const contributorPool = ethers.parseEther("1.0");
+    const verifierPool = ethers.parseEther("0.3");
+    const stake = ethers.parseEther("0.05");
+    const TWO_THIRDS = 6666;
+
+    const create = (voting) => taskSplit.connect(sponsor).createProjectWithTasksAndVoting(
+        "Voting", 10, ["Build"], [["Feature"]], [[50]], contributorPool, verifierPool, voting,
+        { value: contributorPool + verifierPool }
+    );
+
+    const vote = (index, approved, value = stake) =>
+        taskSplit.connect(verifiers[index]).stakeAndVote(1, 0, approved, { value });
+
+    const submit = async () => {
+        await taskSplit.connect(contributor).claimTask(1, 0);
+        await taskSplit.connect(contributor).submitTask(1, 0, "https://proof.example");
+    };
+
+    beforeEach(async function () {
+        ({ taskSplit, verifiers, sponsor, contributor } = await loadFixture(deployTaskSplitV2));
+    });
+
+    describe("Creation", function () {
+        it("Should store the sponsor's rules and emit VotingConfigured", async function () {
+            await expect(create([2, TWO_THIRDS, stake]))
+                .to.emit(taskSplit, "VotingConfigured")
+                .withArgs(1, 2, TWO_THIRDS, stake);
+
+            const [quorum, approvalBps, stakeAmount] = await taskSplit.getVotingConfig(1);
+            expect(quorum).to.equal(2);
+            expect(approvalBps).to.equal(TWO_THIRDS);
+            expect(stakeAmount).to.equal(stake);
+        });
+
+        it("Should default to three votes, a simple majority and the standard stake", async function () {
+            await taskSplit.connect(sponsor).createProjectWithTasks(
+                "Defaults", 10, ["Build"], [["Feature"]], [[50]], contributorPool, verifierPool,
+                { value: contributorPool + verifierPool }
+            );
+
+            const [quorum, approvalBps, stakeAmount] = await taskSplit.getVotingConfig(1);
+            expect(quorum).to.equal(await taskSplit.DEFAULT_QUORUM());
+            expect(approvalBps).to.equal(5001);
+            expect(stakeAmount).to.equal(await taskSplit.VERIFIER_STAKE());
+        });
+
+        it("Should reject a quorum outside 1-10", async function () {
+            await expect(create([0, TWO_THIRDS, stake])).to.be.revertedWith("Quorum must be 1-10");
+            await expect(create([11, TWO_THIRDS, stake])).to.be.revertedWith("Quorum must be 1-10");
+        });
+
+        it("Should reject an approval threshold that is not a majority", async function () {
+            await expect(create([3, 5000, stake])).to.be.revertedWith("Approval threshold must be a majority");
+            await expect(create([3, 10001, stake])).to.be.revertedWith("Approval threshold must be a majority");
+        });
+
+        it("Should reject a zero stake", async function () {
+            await expect(create([3, TWO_THIRDS, 0])).to.be.revertedWith("Stake must be positive");
+        });
+
+        it("Should revert getVotingConfig for a missing project", async function () {
+            await expect(taskSplit.getVotingConfig(1)).to.be.revertedWith("Project does not exist");
+        });
+    });
+
+    describe("Voting", function () {
+        it("Should require the project's stake", async function () {
+            await create([3, TWO_THIRDS, stake]);
+            await submit();
+
+            await expect(vote(0, true, ethers.parseEther("0.02"))).to.be.revertedWith("Incorrect stake amount");
+            await expect(vote(0, true)).to.emit(taskSplit, "TaskVoted");
+        });
+
+        it("Should finalize as soon as the quorum is reached", async function () {
+            await create([2, TWO_THIRDS, stake]);
+            await submit();
+
+            await vote(0, true);
+            await expect(vote(1, true))
+                .to.emit(taskSplit, "TaskVerified")
+                .withArgs(1, 0, contributor.address, 50);
+        });
+
+        it("Should finalize on a single vote with a quorum of one", async function () {
+            await create([1, 5001, stake]);
+            await submit();
+
+            await expect(vote(0, false)).to.emit(taskSplit, "TaskRejected").withArgs(1, 0);
+        });
+
+        it("Should verify when exactly two thirds approve", async function () {
+            await create([3, TWO_THIRDS, stake]);
+            await submit();
+
+            await vote(0, true);
+            await vote(1, false);
+            await expect(vote(2, true)).to.emit(taskSplit, "TaskVerified");
+        });
+
+        it("Should reject a simple majority that falls short of the threshold", async function () {
+            await create([3, 7500, stake]);
+            await submit();
+
+            await vote(0, true);
+            await vote(1, false);
+            await expect(vote(2, true)).to.emit(taskSplit, "TaskRejected").withArgs(1, 0);
+
+            // The lone rejecter sided with the outcome
+            expect(await taskSplit.getVerifierPoints(1, verifiers[1].address)).to.equal(1);
+            expect(await taskSplit.getVerifierPoints(1, verifiers[0].address)).to.equal(0);
+        });
+
+        it("Should settle stakes at the project's stake amount", async function () {
+            await create([3, 5001, stake]);
+            await submit();
+
+            await vote(0, true);
+            await vote(1, false);
+            await expect(vote(2, true)).to.changeEtherBalances(
+                [verifiers[0], verifiers[1], verifiers[2]],
+                [stake + stake / 2n, 0, stake / 2n]
+            );
+        });
+    });
+});
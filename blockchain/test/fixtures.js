@@ -0,0 +1,29 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Deploys both verifier NFT contracts and TaskSplitV2. Signers 1-3 are the
+ * contract's hardcoded verifiers, so sponsor, contributor and outsider are
+ * taken from the signers after them. Use with loadFixture.
+ */
+async function deployTaskSplitV2() {
+    const signers = await ethers.getSigners();
+
+    const GenesisVerifierNFT = await ethers.getContractFactory("GenesisVerifierNFT");
+    const genesisNFT = await GenesisVerifierNFT.deploy();
+    const StandardVerifierNFT = await ethers.getContractFactory("StandardVerifierNFT");
+    const standardNFT = await StandardVerifierNFT.deploy();
+    const TaskSplitV2 = await ethers.getContractFactory("TaskSplitV2");
+    const taskSplit = await TaskSplitV2.deploy(await genesisNFT.getAddress(), await standardNFT.getAddress());
+
+    return {
+        taskSplit,
+        genesisNFT,
+        standardNFT,
+        verifiers: signers.slice(1, 4),
+        sponsor: signers[4],
+        contributor: signers[5],
+        outsider: signers[6]
+    };
+}
+
+module.exports = { deployTaskSplitV2 };
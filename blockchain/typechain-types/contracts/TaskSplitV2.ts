@@ -23,9 +23,39 @@ import type {
   TypedContractMethod,
 } from "../common";
 
+export declare namespace TaskSplitV2 {
+  export type VotingConfigStruct = {
+    quorum: BigNumberish;
+    approvalBps: BigNumberish;
+    stakeAmount: BigNumberish;
+  };
+
+  export type VotingConfigStructOutput = [
+    quorum: bigint,
+    approvalBps: bigint,
+    stakeAmount: bigint
+  ] & { quorum: bigint; approvalBps: bigint; stakeAmount: bigint };
+
+  export type VoteStruct = {
+    verifier: AddressLike;
+    approved: boolean;
+    stakeAmount: BigNumberish;
+  };
+
+  export type VoteStructOutput = [
+    verifier: string,
+    approved: boolean,
+    stakeAmount: bigint
+  ] & { verifier: string; approved: boolean; stakeAmount: bigint };
+}
+
 export interface TaskSplitV2Interface extends Interface {
   getFunction(
     nameOrSignature:
+      | "BPS"
+      | "DEFAULT_APPROVAL_BPS"
+      | "DEFAULT_QUORUM"
+      | "MAX_QUORUM"
       | "VERIFIER_ELIGIBILITY_THRESHOLD"
       | "VERIFIER_STAKE"
       | "addPhase"
@@ -38,24 +68,31 @@ export interface TaskSplitV2Interface extends Interface {
       | "claimVerifierNFT"
       | "claimVerifierReward"
       | "createProject"
+      | "createProjectWithTasks"
+      | "createProjectWithTasksAndVoting"
       | "finalizeTaskVoting"
       | "genesisNFT"
       | "getContributorPoints"
       | "getLeaderboard"
+      | "getLeaderboardPage"
       | "getPhase"
       | "getProject"
       | "getProjectCounter"
       | "getProjectDetailed"
       | "getProjectedContributorReward"
       | "getProjectedVerifierReward"
+      | "getSlashingConfig"
       | "getTask"
+      | "getTaskVotes"
       | "getVerifierPoints"
+      | "getVotingConfig"
       | "globalEarnings"
       | "hardcodedVerifiers"
       | "hasClaimed"
       | "isEligibleVerifier"
       | "projects"
       | "rewardEarners"
+      | "setSlashingConfig"
       | "stakeAndVote"
       | "standardNFT"
       | "submitTask"
@@ -68,6 +105,11 @@ export interface TaskSplitV2Interface extends Interface {
       | "PhaseAdded"
       | "PhaseUnlocked"
       | "ProjectCreated"
+      | "SlashedStakesPaid"
+      | "SlashingConfigured"
+      | "SponsorRefunded"
+      | "StakeRefunded"
+      | "StakeSettled"
       | "TaskAdded"
       | "TaskClaimed"
       | "TaskRejected"
@@ -76,8 +118,22 @@ export interface TaskSplitV2Interface extends Interface {
       | "TaskVoted"
       | "VerifierNFTClaimed"
       | "VerifierRewardClaimed"
+      | "VotingConfigured"
   ): EventFragment;
 
+  encodeFunctionData(functionFragment: "BPS", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_APPROVAL_BPS",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_QUORUM",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_QUORUM",
+    values?: undefined
+  ): string;
   encodeFunctionData(
     functionFragment: "VERIFIER_ELIGIBILITY_THRESHOLD",
     values?: undefined
@@ -126,6 +182,31 @@ export interface TaskSplitV2Interface extends Interface {
     functionFragment: "createProject",
     values: [string, BigNumberish, string[], BigNumberish, BigNumberish]
   ): string;
+  encodeFunctionData(
+    functionFragment: "createProjectWithTasks",
+    values: [
+      string,
+      BigNumberish,
+      string[],
+      string[][],
+      BigNumberish[][],
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createProjectWithTasksAndVoting",
+    values: [
+      string,
+      BigNumberish,
+      string[],
+      string[][],
+      BigNumberish[][],
+      BigNumberish,
+      BigNumberish,
+      TaskSplitV2.VotingConfigStruct
+    ]
+  ): string;
   encodeFunctionData(
     functionFragment: "finalizeTaskVoting",
     values: [BigNumberish, BigNumberish]
@@ -142,6 +223,10 @@ export interface TaskSplitV2Interface extends Interface {
     functionFragment: "getLeaderboard",
     values?: undefined
   ): string;
+  encodeFunctionData(
+    functionFragment: "getLeaderboardPage",
+    values: [BigNumberish, BigNumberish]
+  ): string;
   encodeFunctionData(
     functionFragment: "getPhase",
     values: [BigNumberish, BigNumberish]
@@ -166,14 +251,26 @@ export interface TaskSplitV2Interface extends Interface {
     functionFragment: "getProjectedVerifierReward",
     values: [BigNumberish, AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "getSlashingConfig",
+    values: [BigNumberish]
+  ): string;
   encodeFunctionData(
     functionFragment: "getTask",
     values: [BigNumberish, BigNumberish, AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "getTaskVotes",
+    values: [BigNumberish, BigNumberish]
+  ): string;
   encodeFunctionData(
     functionFragment: "getVerifierPoints",
     values: [BigNumberish, AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "getVotingConfig",
+    values: [BigNumberish]
+  ): string;
   encodeFunctionData(
     functionFragment: "globalEarnings",
     values: [AddressLike]
@@ -198,6 +295,10 @@ export interface TaskSplitV2Interface extends Interface {
     functionFragment: "rewardEarners",
     values: [BigNumberish]
   ): string;
+  encodeFunctionData(
+    functionFragment: "setSlashingConfig",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
   encodeFunctionData(
     functionFragment: "stakeAndVote",
     values: [BigNumberish, BigNumberish, boolean]
@@ -215,6 +316,16 @@ export interface TaskSplitV2Interface extends Interface {
     values: [AddressLike]
   ): string;
 
+  decodeFunctionResult(functionFragment: "BPS", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_APPROVAL_BPS",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_QUORUM",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "MAX_QUORUM", data: BytesLike): Result;
   decodeFunctionResult(
     functionFragment: "VERIFIER_ELIGIBILITY_THRESHOLD",
     data: BytesLike
@@ -251,6 +362,14 @@ export interface TaskSplitV2Interface extends Interface {
     functionFragment: "createProject",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "createProjectWithTasks",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createProjectWithTasksAndVoting",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "finalizeTaskVoting",
     data: BytesLike
@@ -264,6 +383,10 @@ export interface TaskSplitV2Interface extends Interface {
     functionFragment: "getLeaderboard",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "getLeaderboardPage",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(functionFragment: "getPhase", data: BytesLike): Result;
   decodeFunctionResult(functionFragment: "getProject", data: BytesLike): Result;
   decodeFunctionResult(
@@ -282,11 +405,23 @@ export interface TaskSplitV2Interface extends Interface {
     functionFragment: "getProjectedVerifierReward",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSlashingConfig",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(functionFragment: "getTask", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getTaskVotes",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "getVerifierPoints",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "getVotingConfig",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "globalEarnings",
     data: BytesLike
@@ -305,6 +440,10 @@ export interface TaskSplitV2Interface extends Interface {
     functionFragment: "rewardEarners",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "setSlashingConfig",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "stakeAndVote",
     data: BytesLike
@@ -407,6 +546,137 @@ export namespace ProjectCreatedEvent {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace SlashedStakesPaidEvent {
+  export type InputTuple = [
+    projectId: BigNumberish,
+    taskId: BigNumberish,
+    recipient: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    projectId: bigint,
+    taskId: bigint,
+    recipient: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    projectId: bigint;
+    taskId: bigint;
+    recipient: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SlashingConfiguredEvent {
+  export type InputTuple = [
+    projectId: BigNumberish,
+    slashBps: BigNumberish,
+    recipient: BigNumberish
+  ];
+  export type OutputTuple = [
+    projectId: bigint,
+    slashBps: bigint,
+    recipient: bigint
+  ];
+  export interface OutputObject {
+    projectId: bigint;
+    slashBps: bigint;
+    recipient: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SponsorRefundedEvent {
+  export type InputTuple = [
+    projectId: BigNumberish,
+    sponsor: AddressLike,
+    amount: BigNumberish,
+    points: BigNumberish
+  ];
+  export type OutputTuple = [
+    projectId: bigint,
+    sponsor: string,
+    amount: bigint,
+    points: bigint
+  ];
+  export interface OutputObject {
+    projectId: bigint;
+    sponsor: string;
+    amount: bigint;
+    points: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakeRefundedEvent {
+  export type InputTuple = [
+    projectId: BigNumberish,
+    taskId: BigNumberish,
+    verifier: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    projectId: bigint,
+    taskId: bigint,
+    verifier: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    projectId: bigint;
+    taskId: bigint;
+    verifier: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakeSettledEvent {
+  export type InputTuple = [
+    projectId: BigNumberish,
+    taskId: BigNumberish,
+    verifier: AddressLike,
+    withMajority: boolean,
+    returned: BigNumberish,
+    slashed: BigNumberish,
+    bonus: BigNumberish
+  ];
+  export type OutputTuple = [
+    projectId: bigint,
+    taskId: bigint,
+    verifier: string,
+    withMajority: boolean,
+    returned: bigint,
+    slashed: bigint,
+    bonus: bigint
+  ];
+  export interface OutputObject {
+    projectId: bigint;
+    taskId: bigint;
+    verifier: string;
+    withMajority: boolean;
+    returned: bigint;
+    slashed: bigint;
+    bonus: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export namespace TaskAddedEvent {
   export type InputTuple = [
     projectId: BigNumberish,
@@ -582,6 +852,31 @@ export namespace VerifierRewardClaimedEvent {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace VotingConfiguredEvent {
+  export type InputTuple = [
+    projectId: BigNumberish,
+    quorum: BigNumberish,
+    approvalBps: BigNumberish,
+    stakeAmount: BigNumberish
+  ];
+  export type OutputTuple = [
+    projectId: bigint,
+    quorum: bigint,
+    approvalBps: bigint,
+    stakeAmount: bigint
+  ];
+  export interface OutputObject {
+    projectId: bigint;
+    quorum: bigint;
+    approvalBps: bigint;
+    stakeAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export interface TaskSplitV2 extends BaseContract {
   connect(runner?: ContractRunner | null): TaskSplitV2;
   waitForDeployment(): Promise<this>;
@@ -625,6 +920,14 @@ export interface TaskSplitV2 extends BaseContract {
     event?: TCEvent
   ): Promise<this>;
 
+  BPS: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_APPROVAL_BPS: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_QUORUM: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_QUORUM: TypedContractMethod<[], [bigint], "view">;
+
   VERIFIER_ELIGIBILITY_THRESHOLD: TypedContractMethod<[], [bigint], "view">;
 
   VERIFIER_STAKE: TypedContractMethod<[], [bigint], "view">;
@@ -696,6 +999,35 @@ export interface TaskSplitV2 extends BaseContract {
     "payable"
   >;
 
+  createProjectWithTasks: TypedContractMethod<
+    [
+      name: string,
+      durationDays: BigNumberish,
+      phaseNames: string[],
+      taskDescriptions: string[][],
+      taskPoints: BigNumberish[][],
+      contributorPoolAmount: BigNumberish,
+      verifierPoolAmount: BigNumberish
+    ],
+    [bigint],
+    "payable"
+  >;
+
+  createProjectWithTasksAndVoting: TypedContractMethod<
+    [
+      name: string,
+      durationDays: BigNumberish,
+      phaseNames: string[],
+      taskDescriptions: string[][],
+      taskPoints: BigNumberish[][],
+      contributorPoolAmount: BigNumberish,
+      verifierPoolAmount: BigNumberish,
+      voting: TaskSplitV2.VotingConfigStruct
+    ],
+    [bigint],
+    "payable"
+  >;
+
   finalizeTaskVoting: TypedContractMethod<
     [projectId: BigNumberish, taskId: BigNumberish],
     [void],
@@ -716,6 +1048,18 @@ export interface TaskSplitV2 extends BaseContract {
     "view"
   >;
 
+  getLeaderboardPage: TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], bigint[], bigint] & {
+        earners: string[];
+        earnings: bigint[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
   getPhase: TypedContractMethod<
     [projectId: BigNumberish, phaseId: BigNumberish],
     [
@@ -791,6 +1135,18 @@ export interface TaskSplitV2 extends BaseContract {
     "view"
   >;
 
+  getSlashingConfig: TypedContractMethod<
+    [projectId: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        slashBps: bigint;
+        recipient: bigint;
+        locked: boolean;
+      }
+    ],
+    "view"
+  >;
+
   getTask: TypedContractMethod<
     [projectId: BigNumberish, taskId: BigNumberish, caller: AddressLike],
     [
@@ -819,12 +1175,35 @@ export interface TaskSplitV2 extends BaseContract {
     "view"
   >;
 
+  getTaskVotes: TypedContractMethod<
+    [projectId: BigNumberish, taskId: BigNumberish],
+    [
+      [TaskSplitV2.VoteStructOutput[], boolean] & {
+        votes: TaskSplitV2.VoteStructOutput[];
+        finalized: boolean;
+      }
+    ],
+    "view"
+  >;
+
   getVerifierPoints: TypedContractMethod<
     [projectId: BigNumberish, verifier: AddressLike],
     [bigint],
     "view"
   >;
 
+  getVotingConfig: TypedContractMethod<
+    [projectId: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        quorum: bigint;
+        approvalBps: bigint;
+        stakeAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+
   globalEarnings: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
 
   hardcodedVerifiers: TypedContractMethod<
@@ -863,7 +1242,11 @@ export interface TaskSplitV2 extends BaseContract {
         bigint,
         bigint,
         boolean,
-        boolean
+        boolean,
+        bigint,
+        bigint,
+        bigint,
+        TaskSplitV2.VotingConfigStructOutput
       ] & {
         name: string;
         sponsor: string;
@@ -875,6 +1258,10 @@ export interface TaskSplitV2 extends BaseContract {
         totalPossiblePoints: bigint;
         sponsorRefunded: boolean;
         exists: boolean;
+        slashBps: bigint;
+        slashRecipient: bigint;
+        totalVotesCast: bigint;
+        voting: TaskSplitV2.VotingConfigStructOutput;
       }
     ],
     "view"
@@ -882,6 +1269,12 @@ export interface TaskSplitV2 extends BaseContract {
 
   rewardEarners: TypedContractMethod<[arg0: BigNumberish], [string], "view">;
 
+  setSlashingConfig: TypedContractMethod<
+    [projectId: BigNumberish, slashBps: BigNumberish, recipient: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
   stakeAndVote: TypedContractMethod<
     [projectId: BigNumberish, taskId: BigNumberish, approved: boolean],
     [void],
@@ -912,6 +1305,18 @@ export interface TaskSplitV2 extends BaseContract {
     key: string | FunctionFragment
   ): T;
 
+  getFunction(
+    nameOrSignature: "BPS"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_APPROVAL_BPS"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_QUORUM"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_QUORUM"
+  ): TypedContractMethod<[], [bigint], "view">;
   getFunction(
     nameOrSignature: "VERIFIER_ELIGIBILITY_THRESHOLD"
   ): TypedContractMethod<[], [bigint], "view">;
@@ -979,6 +1384,37 @@ export interface TaskSplitV2 extends BaseContract {
     [bigint],
     "payable"
   >;
+  getFunction(
+    nameOrSignature: "createProjectWithTasks"
+  ): TypedContractMethod<
+    [
+      name: string,
+      durationDays: BigNumberish,
+      phaseNames: string[],
+      taskDescriptions: string[][],
+      taskPoints: BigNumberish[][],
+      contributorPoolAmount: BigNumberish,
+      verifierPoolAmount: BigNumberish
+    ],
+    [bigint],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "createProjectWithTasksAndVoting"
+  ): TypedContractMethod<
+    [
+      name: string,
+      durationDays: BigNumberish,
+      phaseNames: string[],
+      taskDescriptions: string[][],
+      taskPoints: BigNumberish[][],
+      contributorPoolAmount: BigNumberish,
+      verifierPoolAmount: BigNumberish,
+      voting: TaskSplitV2.VotingConfigStruct
+    ],
+    [bigint],
+    "payable"
+  >;
   getFunction(
     nameOrSignature: "finalizeTaskVoting"
   ): TypedContractMethod<
@@ -1003,6 +1439,19 @@ export interface TaskSplitV2 extends BaseContract {
     [[string[], bigint[]] & { earners: string[]; earnings: bigint[] }],
     "view"
   >;
+  getFunction(
+    nameOrSignature: "getLeaderboardPage"
+  ): TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], bigint[], bigint] & {
+        earners: string[];
+        earnings: bigint[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
   getFunction(
     nameOrSignature: "getPhase"
   ): TypedContractMethod<
@@ -1084,6 +1533,19 @@ export interface TaskSplitV2 extends BaseContract {
     [bigint],
     "view"
   >;
+  getFunction(
+    nameOrSignature: "getSlashingConfig"
+  ): TypedContractMethod<
+    [projectId: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        slashBps: bigint;
+        recipient: bigint;
+        locked: boolean;
+      }
+    ],
+    "view"
+  >;
   getFunction(
     nameOrSignature: "getTask"
   ): TypedContractMethod<
@@ -1113,6 +1575,18 @@ export interface TaskSplitV2 extends BaseContract {
     ],
     "view"
   >;
+  getFunction(
+    nameOrSignature: "getTaskVotes"
+  ): TypedContractMethod<
+    [projectId: BigNumberish, taskId: BigNumberish],
+    [
+      [TaskSplitV2.VoteStructOutput[], boolean] & {
+        votes: TaskSplitV2.VoteStructOutput[];
+        finalized: boolean;
+      }
+    ],
+    "view"
+  >;
   getFunction(
     nameOrSignature: "getVerifierPoints"
   ): TypedContractMethod<
@@ -1120,6 +1594,19 @@ export interface TaskSplitV2 extends BaseContract {
     [bigint],
     "view"
   >;
+  getFunction(
+    nameOrSignature: "getVotingConfig"
+  ): TypedContractMethod<
+    [projectId: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        quorum: bigint;
+        approvalBps: bigint;
+        stakeAmount: bigint;
+      }
+    ],
+    "view"
+  >;
   getFunction(
     nameOrSignature: "globalEarnings"
   ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
@@ -1156,7 +1643,11 @@ export interface TaskSplitV2 extends BaseContract {
         bigint,
         bigint,
         boolean,
-        boolean
+        boolean,
+        bigint,
+        bigint,
+        bigint,
+        TaskSplitV2.VotingConfigStructOutput
       ] & {
         name: string;
         sponsor: string;
@@ -1168,6 +1659,10 @@ export interface TaskSplitV2 extends BaseContract {
         totalPossiblePoints: bigint;
         sponsorRefunded: boolean;
         exists: boolean;
+        slashBps: bigint;
+        slashRecipient: bigint;
+        totalVotesCast: bigint;
+        voting: TaskSplitV2.VotingConfigStructOutput;
       }
     ],
     "view"
@@ -1175,6 +1670,13 @@ export interface TaskSplitV2 extends BaseContract {
   getFunction(
     nameOrSignature: "rewardEarners"
   ): TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "setSlashingConfig"
+  ): TypedContractMethod<
+    [projectId: BigNumberish, slashBps: BigNumberish, recipient: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
   getFunction(
     nameOrSignature: "stakeAndVote"
   ): TypedContractMethod<
@@ -1234,6 +1736,41 @@ export interface TaskSplitV2 extends BaseContract {
     ProjectCreatedEvent.OutputTuple,
     ProjectCreatedEvent.OutputObject
   >;
+  getEvent(
+    key: "SlashedStakesPaid"
+  ): TypedContractEvent<
+    SlashedStakesPaidEvent.InputTuple,
+    SlashedStakesPaidEvent.OutputTuple,
+    SlashedStakesPaidEvent.OutputObject
+  >;
+  getEvent(
+    key: "SlashingConfigured"
+  ): TypedContractEvent<
+    SlashingConfiguredEvent.InputTuple,
+    SlashingConfiguredEvent.OutputTuple,
+    SlashingConfiguredEvent.OutputObject
+  >;
+  getEvent(
+    key: "SponsorRefunded"
+  ): TypedContractEvent<
+    SponsorRefundedEvent.InputTuple,
+    SponsorRefundedEvent.OutputTuple,
+    SponsorRefundedEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakeRefunded"
+  ): TypedContractEvent<
+    StakeRefundedEvent.InputTuple,
+    StakeRefundedEvent.OutputTuple,
+    StakeRefundedEvent.OutputObject
+  >;
+  getEvent(
+    key: "StakeSettled"
+  ): TypedContractEvent<
+    StakeSettledEvent.InputTuple,
+    StakeSettledEvent.OutputTuple,
+    StakeSettledEvent.OutputObject
+  >;
   getEvent(
     key: "TaskAdded"
   ): TypedContractEvent<
@@ -1290,6 +1827,13 @@ export interface TaskSplitV2 extends BaseContract {
     VerifierRewardClaimedEvent.OutputTuple,
     VerifierRewardClaimedEvent.OutputObject
   >;
+  getEvent(
+    key: "VotingConfigured"
+  ): TypedContractEvent<
+    VotingConfiguredEvent.InputTuple,
+    VotingConfiguredEvent.OutputTuple,
+    VotingConfiguredEvent.OutputObject
+  >;
 
   filters: {
     "ContributorRewardClaimed(uint256,address,uint256,uint256)": TypedContractEvent<
@@ -1336,6 +1880,61 @@ export interface TaskSplitV2 extends BaseContract {
       ProjectCreatedEvent.OutputObject
     >;
 
+    "SlashedStakesPaid(uint256,uint256,address,uint256)": TypedContractEvent<
+      SlashedStakesPaidEvent.InputTuple,
+      SlashedStakesPaidEvent.OutputTuple,
+      SlashedStakesPaidEvent.OutputObject
+    >;
+    SlashedStakesPaid: TypedContractEvent<
+      SlashedStakesPaidEvent.InputTuple,
+      SlashedStakesPaidEvent.OutputTuple,
+      SlashedStakesPaidEvent.OutputObject
+    >;
+
+    "SlashingConfigured(uint256,uint256,uint8)": TypedContractEvent<
+      SlashingConfiguredEvent.InputTuple,
+      SlashingConfiguredEvent.OutputTuple,
+      SlashingConfiguredEvent.OutputObject
+    >;
+    SlashingConfigured: TypedContractEvent<
+      SlashingConfiguredEvent.InputTuple,
+      SlashingConfiguredEvent.OutputTuple,
+      SlashingConfiguredEvent.OutputObject
+    >;
+
+    "SponsorRefunded(uint256,address,uint256,uint256)": TypedContractEvent<
+      SponsorRefundedEvent.InputTuple,
+      SponsorRefundedEvent.OutputTuple,
+      SponsorRefundedEvent.OutputObject
+    >;
+    SponsorRefunded: TypedContractEvent<
+      SponsorRefundedEvent.InputTuple,
+      SponsorRefundedEvent.OutputTuple,
+      SponsorRefundedEvent.OutputObject
+    >;
+
+    "StakeRefunded(uint256,uint256,address,uint256)": TypedContractEvent<
+      StakeRefundedEvent.InputTuple,
+      StakeRefundedEvent.OutputTuple,
+      StakeRefundedEvent.OutputObject
+    >;
+    StakeRefunded: TypedContractEvent<
+      StakeRefundedEvent.InputTuple,
+      StakeRefundedEvent.OutputTuple,
+      StakeRefundedEvent.OutputObject
+    >;
+
+    "StakeSettled(uint256,uint256,address,bool,uint256,uint256,uint256)": TypedContractEvent<
+      StakeSettledEvent.InputTuple,
+      StakeSettledEvent.OutputTuple,
+      StakeSettledEvent.OutputObject
+    >;
+    StakeSettled: TypedContractEvent<
+      StakeSettledEvent.InputTuple,
+      StakeSettledEvent.OutputTuple,
+      StakeSettledEvent.OutputObject
+    >;
+
     "TaskAdded(uint256,uint256,uint256,string,uint256)": TypedContractEvent<
       TaskAddedEvent.InputTuple,
       TaskAddedEvent.OutputTuple,
@@ -1423,5 +2022,16 @@ export interface TaskSplitV2 extends BaseContract {
       VerifierRewardClaimedEvent.OutputTuple,
       VerifierRewardClaimedEvent.OutputObject
     >;
+
+    "VotingConfigured(uint256,uint256,uint256,uint256)": TypedContractEvent<
+      VotingConfiguredEvent.InputTuple,
+      VotingConfiguredEvent.OutputTuple,
+      VotingConfiguredEvent.OutputObject
+    >;
+    VotingConfigured: TypedContractEvent<
+      VotingConfiguredEvent.InputTuple,
+      VotingConfiguredEvent.OutputTuple,
+      VotingConfiguredEvent.OutputObject
+    >;
   };
 }
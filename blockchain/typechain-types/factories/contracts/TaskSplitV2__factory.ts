@@ -159,6 +159,173 @@ const _abi = [
     name: "ProjectCreated",
     type: "event",
   },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "taskId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "recipient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "SlashedStakesPaid",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "slashBps",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "enum TaskSplitV2.SlashRecipient",
+        name: "recipient",
+        type: "uint8",
+      },
+    ],
+    name: "SlashingConfigured",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "sponsor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "points",
+        type: "uint256",
+      },
+    ],
+    name: "SponsorRefunded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "taskId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "StakeRefunded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "taskId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "withMajority",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "returned",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "slashed",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "bonus",
+        type: "uint256",
+      },
+    ],
+    name: "StakeSettled",
+    type: "event",
+  },
   {
     anonymous: false,
     inputs: [
@@ -377,6 +544,89 @@ const _abi = [
     name: "VerifierRewardClaimed",
     type: "event",
   },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvalBps",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "stakeAmount",
+        type: "uint256",
+      },
+    ],
+    name: "VotingConfigured",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "BPS",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "DEFAULT_APPROVAL_BPS",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "DEFAULT_QUORUM",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_QUORUM",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [],
     name: "VERIFIER_ELIGIBILITY_THRESHOLD",
@@ -589,6 +839,126 @@ const _abi = [
     stateMutability: "payable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "durationDays",
+        type: "uint256",
+      },
+      {
+        internalType: "string[]",
+        name: "phaseNames",
+        type: "string[]",
+      },
+      {
+        internalType: "string[][]",
+        name: "taskDescriptions",
+        type: "string[][]",
+      },
+      {
+        internalType: "uint256[][]",
+        name: "taskPoints",
+        type: "uint256[][]",
+      },
+      {
+        internalType: "uint256",
+        name: "contributorPoolAmount",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "verifierPoolAmount",
+        type: "uint256",
+      },
+    ],
+    name: "createProjectWithTasks",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "payable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "durationDays",
+        type: "uint256",
+      },
+      {
+        internalType: "string[]",
+        name: "phaseNames",
+        type: "string[]",
+      },
+      {
+        internalType: "string[][]",
+        name: "taskDescriptions",
+        type: "string[][]",
+      },
+      {
+        internalType: "uint256[][]",
+        name: "taskPoints",
+        type: "uint256[][]",
+      },
+      {
+        internalType: "uint256",
+        name: "contributorPoolAmount",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "verifierPoolAmount",
+        type: "uint256",
+      },
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "quorum",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalBps",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "stakeAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct TaskSplitV2.VotingConfig",
+        name: "voting",
+        type: "tuple",
+      },
+    ],
+    name: "createProjectWithTasksAndVoting",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "payable",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -662,6 +1032,40 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getLeaderboardPage",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "earners",
+        type: "address[]",
+      },
+      {
+        internalType: "uint256[]",
+        name: "earnings",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -880,6 +1284,35 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+    ],
+    name: "getSlashingConfig",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "slashBps",
+        type: "uint256",
+      },
+      {
+        internalType: "enum TaskSplitV2.SlashRecipient",
+        name: "recipient",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "locked",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -949,6 +1382,52 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "taskId",
+        type: "uint256",
+      },
+    ],
+    name: "getTaskVotes",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "verifier",
+            type: "address",
+          },
+          {
+            internalType: "bool",
+            name: "approved",
+            type: "bool",
+          },
+          {
+            internalType: "uint256",
+            name: "stakeAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct TaskSplitV2.Vote[]",
+        name: "votes",
+        type: "tuple[]",
+      },
+      {
+        internalType: "bool",
+        name: "finalized",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -973,6 +1452,35 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+    ],
+    name: "getVotingConfig",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "approvalBps",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "stakeAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -1119,6 +1627,43 @@ const _abi = [
         name: "exists",
         type: "bool",
       },
+      {
+        internalType: "uint256",
+        name: "slashBps",
+        type: "uint256",
+      },
+      {
+        internalType: "enum TaskSplitV2.SlashRecipient",
+        name: "slashRecipient",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "totalVotesCast",
+        type: "uint256",
+      },
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "quorum",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalBps",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "stakeAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct TaskSplitV2.VotingConfig",
+        name: "voting",
+        type: "tuple",
+      },
     ],
     stateMutability: "view",
     type: "function",
@@ -1142,6 +1687,29 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "projectId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "slashBps",
+        type: "uint256",
+      },
+      {
+        internalType: "enum TaskSplitV2.SlashRecipient",
+        name: "recipient",
+        type: "uint8",
+      },
+    ],
+    name: "setSlashingConfig",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -1233,7 +1801,7 @@ const _abi = [
 ] as const;
 
 const _bytecode =
-  "0x60806040523461014a57604051601f61361638819003918201601f19168301916001600160401b0383118484101761013457808492604094855283398101031261014a5761005860206100518361014f565b920161014f565b6001600055604051909190606081016001600160401b03811182821017610134576040527370997970c51812dc3a010c7d01b50e0d17dc79c88152733c44cdddb6a900fa2b585dd299e03d12fa4293bc60208201527390f79bf6eb2c4f870365e785982e1f101e93b906604082015260005b60038110610116575050600780546001600160a01b039283166001600160a01b03199182161790915560088054939092169216919091179055600180556040516134b290816101648239f35b81516001600160a01b031660098201556020909101906001016100ca565b634e487b7160e01b600052604160045260246000fd5b600080fd5b51906001600160a01b038216820361014a5756fe6080604052600436101561001257600080fd5b6000803560e01c8062dfab9c146126b0578063011c2d98146124045780630740e88f1461230d5780630b7d0250146120e85780630bab1688146120b05780630c527d9d14612092578063107046bd14611fd957806312ffdcd114611f7a5780631397e04a14611e2957806313ee8d6214611de9578063197fbfe414611d9857806321dd58a414611d765780632942607814611d3257806339ceb35714611b7457806368e513aa14611b435780636d763a6e146119e0578063873f6f9e146119715780638dd4916b1461194857806398e609dc14611845578063a170668c146117f8578063a50f031a146117cf578063a748e5db14611728578063addd950a14611668578063c7b58a151461162f578063c8e3e576146113b8578063c9897d771461138a578063ceedaf9314611367578063d89615ed14610dad578063db6bebf914610bd5578063e0da650614610b6e578063f06cd2fa14610811578063f0f3f2c814610768578063f4f92d3d1461051a5763f7c95f471461019257600080fd5b3461051757608036600319011261051757600435906024356044356001600160401b038111610515576101c9903690600401612768565b91906064359085855260026020526101ed60ff600e60408820015460081c1661297b565b858552600260205261020f60018060a01b036001604088200154163314612adb565b858552600260205260408520600581019561022c87548610612d3a565b85156104dc57831515806104d1575b15610495576005600161024e878a612d7d565b5001541015610458576006820196875497600160401b8910156104445788610287916001820181556102808282612a00565b5050612a00565b50868155600181016001600160401b0389116104305790816102b48a6102ae8b955461279a565b83612a75565b8985601f82116001146103b9579260019592826006936102fd97968a916103ae575b50600019600383901b1c191690881b1790555b8960028201550160ff198154169055612d7d565b5001805491600160401b83101561039a5750879693600d60209a979461034e856103899560017f8ea30cf5235fd8e68e05cafb79601f27d4aeee87da53866897c9c3b94107fba09b98018155612963565b81549060031b908c821b91600019901b19161790550161036f848254612b1f565b9055604051948594855260608b8601526060850191612aba565b9060408301520390a3604051908152f35b634e487b7160e01b81526041600452602490fd5b90508b0135386102d6565b8287526020872091508b601f198116885b8181106104125750926102fd969592826001999693600696106103f7575b9050888092501b0190556102e9565b60f86000199160031b161c19908c013516905538808e6103e8565b8b84013585558d97506001909401936020938401938f9350016103ca565b634e487b7160e01b84526041600452602484fd5b634e487b7160e01b83526041600452602483fd5b60405162461bcd60e51b81526020600482015260156024820152744d61782035207461736b732070657220706861736560581b6044820152606490fd5b60405162461bcd60e51b81526020600482015260146024820152730506f696e7473206d75737420626520312d3130360641b6044820152606490fd5b50606484111561023b565b60405162461bcd60e51b81526020600482015260116024820152704465736372697074696f6e20656d70747960781b6044820152606490fd5b825b80fd5b503461051757602036600319011261051757600435808252600260205261054d60ff600e60408520015460081c1661297b565b610555613129565b8082526002602052604082209061057260048301544210156129c0565b600982019160018060a01b0333166000528260205261059960ff6040600020541615612bb4565b60068101845b815481101561061a576105b28183612a00565b5060038101546001600160a01b03163314806105ec575b90600192916105da575b500161059f565b6105e690858388612fc0565b386105d3565b5060ff6006820154166005811015610606576002146105c9565b634e487b7160e01b88526021600452602488fd5b50503360009081526007820160205260409020549081156107305780600d610649600261065294015485612b42565b91015490612b55565b9260018060a01b0333166000526020526040600020600160ff19825416179055338452600460205260408420610689848254612b1f565b90553384526003602052604084206106a2848254612b1f565b9055338452600660205260ff6040852054161561070b575b6106d38480808087335af16106cd612b75565b50612c37565b60405192835260208301527f1ae76b51ef7b6514611dcb5f6c5d256fc4776ac41654495b52e9122bddc8d24560403393a36001815580f35b61071433612bf2565b338452600660205260408420805460ff191660011790556106ba565b60405162461bcd60e51b815260206004820152601060248201526f139bc81c1bda5b9d1cc819585c9b995960821b6044820152606490fd5b50346105175760203660031901126105175760406107ee9160043580825260026020526107a060ff600e858520015460081c1661297b565b815260026020522060018060a01b03600182015416600282015491600381015460048201546005830154916107d960068501549461280b565b9560405197889760e0895260e08901906128af565b95602088015260408701526060860152608085015260a084015260c08301520390f35b5060603660031901126105175760043590602435916044359283151580940361051557818352600260205261085260ff600e60408620015460081c1661297b565b818352600260205261086c60066040852001548210612a1c565b610874613129565b61087d33612dd2565b15610b315766470de4df8200003403610af357818352600260205260408320936108aa8260068701612a00565b509460ff6006870154166005811015610adf5760026108c99114612f63565b600986019560018060a01b0333166000528660205260ff60406000205416610aaa5760038101546001600160a01b03163314610a6557610910600460089301544210612f27565b019060405195606087018781106001600160401b03821117610a5157604052338752602087019682885260408101973489528454600160401b811015610a3d578060016109609201875586612fa4565b929092610a295751825491516001600160a81b03199092166001600160a01b03919091161790151560a01b60ff60a01b1617815596516001978801553360008181526020928352604090819020805460ff191690991790985586526003908190529585206002018054959694959394936109d990612f18565b905560405190815283857fef70470c78a661ab0d64f2be13e91a30574a4fd0c79fca51e8782ee7aa7c7d5660203394a4541015610a19575b826001815580f35b610a229161314b565b3880610a11565b634e487b7160e01b89526004899052602489fd5b634e487b7160e01b89526041600452602489fd5b634e487b7160e01b87526041600452602487fd5b60405162461bcd60e51b815260206004820152601760248201527f43616e6e6f7420766f7465206f6e206f776e207461736b0000000000000000006044820152606490fd5b60405162461bcd60e51b815260206004820152600d60248201526c105b1c9958591e481d9bdd1959609a1b6044820152606490fd5b634e487b7160e01b86526021600452602486fd5b60405162461bcd60e51b8152602060048201526016602482015275125b98dbdc9c9958dd081cdd185ad948185b5bdd5b9d60521b6044820152606490fd5b60405162461bcd60e51b81526020600482015260156024820152742737ba1032b634b3b4b13632903b32b934b334b2b960591b6044820152606490fd5b5034610517576040366003190112610517576008604060043592610b90612906565b938082526002602052610bad60ff600e8585200154861c1661297b565b8152600260205220019060018060a01b03166000526020526020604060002054604051908152f35b503461051757610be4366128f0565b818352600260205260408320610c0360ff600e83015460081c1661297b565b60068101610c1381548410612a1c565b60018201546001600160a01b03163314610d685782610c3191612a00565b5090600682019060ff8254166005811015610d5457610d1a5760ff6003610c5c855460058501612d7d565b5001541615610ce3576004610c749101544210612f27565b6003820180546001600160a01b03191633179055805460ff19166001179055426202a300810191908210610ccf576007015533917fadb41d3227141be28f9f5e534a02e82d83fc4a946b0ae913099a2371b9316aae8480a480f35b634e487b7160e01b85526011600452602485fd5b60405162461bcd60e51b815260206004820152600f60248201526e141a185cd9481a5cc81b1bd8dad959608a1b6044820152606490fd5b60405162461bcd60e51b81526020600482015260126024820152715461736b206e6f7420617661696c61626c6560701b6044820152606490fd5b634e487b7160e01b87526021600452602487fd5b60405162461bcd60e51b815260206004820152601a60248201527f53706f6e736f722063616e6e6f7420636c61696d207461736b730000000000006044820152606490fd5b5060a0366003190112610517576004356001600160401b03811161136357610dd9903690600401612768565b9160243591604435936001600160401b03851161051557366023860112156105155784600401356001600160401b03811161135f573660248260051b8801011161135f5760643560843592341561132657610e348483612b1f565b34036112d757801561129b5782151580611290575b1561124b5786156112065781156111b75783156111725760015492610e6d84612f18565b600155838752600260205260408720976001600160401b03831161115e57610e9f83610e998b5461279a565b8b612a75565b8288601f82116001146110fa5789916110ef575b508360011b906000198560031b1c19161789555b6001890180546001600160a01b0319163317905560028901849055600389018690556201518081810291820490036110db57610f069098969842612b1f565b6004870155600e8601805461ff00191661010017905536899003604219019560050194875b8281101561107e57610f3c87612d99565b50508654600019810190811161106a57610f569088612d7d565b5060248260051b8d01013589811215611066578c016024810135906001600160401b03821161106257813603604482011361106257610f9f82610f99855461279a565b85612a75565b8b908c601f8411600114610ff357926001959492819260039592610fe5575b505060001982851b1c191690851b1781555b0160ff1981541660ff83151617905501610f2b565b016044013590503880610fbe565b91601f19841685845260208420935b818110611047575092600196959392859260039689951061102b575b505050811b018155610fd0565b60449101013560001983871b60f8161c1916905538808061101e565b60448484010135855560019094019360209283019201611002565b8b80fd5b8a80fd5b634e487b7160e01b8a52601160045260248afd5b5060209550917fc87cb4c4f7b6503500ab02c112ae1aaa4cee10065adda0681dbfef2c4d695f879185936110be8b60405194608086526080860191612aba565b9588840152604083015260608201528033940390a3604051908152f35b634e487b7160e01b88526011600452602488fd5b905087013538610eb3565b8a8a5260208a20915084601f1981168b5b8b8282106111445750501061112a575b5050600183811b018955610ec7565b880135600019600386901b60f8161c19169055388061111b565b84013585556001909401936020938401938893500161110b565b634e487b7160e01b88526041600452602488fd5b60405162461bcd60e51b815260206004820152601e60248201527f566572696669657220706f6f6c206d75737420626520706f73697469766500006044820152606490fd5b60405162461bcd60e51b815260206004820152602160248201527f436f6e7472696275746f7220706f6f6c206d75737420626520706f73697469766044820152606560f81b6064820152608490fd5b60405162461bcd60e51b815260206004820152601960248201527f4475726174696f6e206d75737420626520706f736974697665000000000000006044820152606490fd5b60405162461bcd60e51b815260206004820152601760248201527f506861736520636f756e74206d75737420626520312d350000000000000000006044820152606490fd5b506005831115610e49565b60405162461bcd60e51b81526020600482015260146024820152734e616d652063616e6e6f7420626520656d70747960601b6044820152606490fd5b60405162461bcd60e51b815260206004820152602160248201527f506f6f6c20616d6f756e7473206d75737420657175616c206d73672e76616c756044820152606560f81b6064820152608490fd5b60405162461bcd60e51b8152602060048201526011602482015270135d5cdd08199d5b99081c1c9bda9958dd607a1b6044820152606490fd5b8380fd5b5080fd5b503461051757806003193601126105175760206040516702c68af0bb1400008152f35b50346105175760203660031901126105175760206113ae6113a961291c565b612dd2565b6040519015158152f35b5034610517576040366003190112610517576004356024356001600160401b038111610515576113ec903690600401612768565b90828452600260205261140b60ff600e60408720015460081c1661297b565b828452600260205261142d60018060a01b036001604087200154163314612adb565b8284526002602052600560408520016005815410156115f35782156115ae5761145581612d99565b50508054600019810190811161159a5761146f9082612d7d565b506001600160401b0384116115865761148c846102ae835461279a565b859084601f811160011461151f576003928891611514575b5060001986841b1c1916600186901b1781555b01805460ff1916905554600019810191908211610ccf579061150e7fd0b09254f80bd44fe0e428084037f599da7e4914adf87cc2101ba05967ebe86a93926040519384938452604060208501526040840191612aba565b0390a280f35b9050840135386114a4565b5080875260208720879286601f1981165b808610611568576003955010611550575b5050600185811b0181556114b7565b85013560001987851b60f8161c191690553880611541565b87830135845560209586019560019094019390920191889150611530565b634e487b7160e01b86526041600452602486fd5b634e487b7160e01b86526011600452602486fd5b60405162461bcd60e51b815260206004820152601a60248201527f5068617365206e616d652063616e6e6f7420626520656d7074790000000000006044820152606490fd5b60405162461bcd60e51b815260206004820152601460248201527313585e080d481c1a185cd95cc81c995858da195960621b6044820152606490fd5b5034610517576020366003190112610517576020906040906001600160a01b0361165761291c565b168152600483522054604051908152f35b50346105175760203660031901126105175760406116ec91600435815260026020522060018060a01b0360018201541660028201549160038101546004820154600b830154600c840154600d8501549160ff600e87015416936005870154956116d560068901549861280b565b996040519b8c9b6101608d526101608d01906128af565b9960208c015260408b015260608a0152608089015260a088015260c087015260e086015215156101008501526101208401526101408301520390f35b5034610517576117876117b99160056040611742366128f0565b9390808252600260205261176160ff600e858520015460081c1661297b565b80825260026020526117798484842001548610612d3a565b815260026020522001612d7d565b5060018101546002820154916117a460ff6003830154169161280b565b926040519485946080865260808601906128af565b9260208501526040840152151560608301520390f35b50346105175780600319360112610517576008546040516001600160a01b039091168152602090f35b50346105175760403660031901126105175761183d60209160043561183860ff600e6040611824612906565b958581526002895220015460081c1661297b565b612cf5565b604051908152f35b5034610517576060366003190112610517576044356001600160a01b0381168103611363576004358252600260205261188660243560066040852001612a00565b509081549160028101549160018060a01b036003830154169161192060ff6006830154169460088301549260078101549460018060a01b03166000526009810160205260ff60406000205416956119086118ee60046118e76001860161280b565b940161280b565b926040519a8b5261012060208c01526101208b01906128af565b9260408a0152606089015287820360808901526128af565b936005811015610d545785965060a086015260c085015260e084015215156101008301520390f35b50346105175780600319360112610517576007546040516001600160a01b039091168152602090f35b503461051757604036600319011261051757604090600a82611991612906565b92600435815260026020522060018060a01b0383166000526009810160205260ff8460002054169260018060a01b03166000520160205260ff8260002054168251911515825215156020820152f35b50346105175780600319360112610517576005546119fd81612cca565b90611a0b60405192836127d4565b808252611a1781612cca565b602083019390601f1901368537611a2d82612cca565b93611a3b60405195866127d4565b828552611a4783612cca565b602086019390601f1901368537825b818110611ae057505060405194859460408601906040875251809152606086019290845b818110611abe575050506020908583038287015251918281520192915b818110611aa5575050500390f35b8251845285945060209384019390920191600101611a97565b82516001600160a01b0316855288975060209485019490920191600101611a7a565b80611af16001929894969798612932565b838060a01b0391549060031b1c16611b09828a612ce1565b52611b1381612932565b838060a01b0391549060031b1c16855260046020526040852054611b378286612ce1565b52019594939195611a56565b50346105175760403660031901126105175761183d602091600435611b6f60ff600e6040611824612906565b612c75565b5034610517576020366003190112610517576004358082526002602052611ba760ff600e60408520015460081c1661297b565b611baf613129565b80825260026020526040822090611bcc60048301544210156129c0565b600a82019160018060a01b03331660005282602052611bf360ff6040600020541615612bb4565b336000908152600882016020526040902054908115611cf85780600c6106496003611c2094015485612b42565b9260018060a01b0333166000526020526040600020600160ff19825416179055338452600460205260408420611c57848254612b1f565b9055338452600360205260408420611c70848254612b1f565b9055338452600660205260ff60408520541615611cd3575b611c9b8480808087335af16106cd612b75565b60405192835260208301527f149d7fbaa1127dfde2311121051a9aeec684ec908922d8ae779df059a7aee73260403393a36001815580f35b611cdc33612bf2565b338452600660205260408420805460ff19166001179055611c88565b60405162461bcd60e51b81526020600482015260126024820152714e6f20766572696669657220706f696e747360701b6044820152606490fd5b50346105175760203660031901126105175760043590600554821015610517576020611d5d83612932565b905460405160039290921b1c6001600160a01b03168152f35b5034610517578060031936011261051757602060405166470de4df8200008152f35b5034610517576020366003190112610517576060906040906001600160a01b03611dc061291c565b168152600360205220805490600260018201549101549060405192835260208301526040820152f35b5034610517576040366003190112610517576007604060043592611e0b612906565b938082526002602052610bad60ff600e858520015460081c1661297b565b503461051757611e38366128f0565b8183526002602052611e6381600660408620611e5d60ff600e83015460081c1661297b565b01612a00565b50916006830160ff8154166005811015610adf57600103611f42576003840180546001600160a01b031633148015611f35575b15611ee25780546001600160a01b0319169055805460ff19169055600790920183905582917fadb41d3227141be28f9f5e534a02e82d83fc4a946b0ae913099a2371b9316aae8380a480f35b60405162461bcd60e51b815260206004820152602560248201527f4e6f7420617574686f72697a6564206f7220646561646c696e65206e6f742070604482015264185cdcd95960da1b6064820152608490fd5b5060078501544211611e96565b60405162461bcd60e51b815260206004820152601060248201526f15185cdac81b9bdd0818db185a5b595960821b6044820152606490fd5b503461051757611fd2611f8c366128f0565b908084526002602052611fab60ff600e60408720015460081c1661297b565b8084526002602052611fc560066040862001548310612a1c565b611fcd613129565b61314b565b6001815580f35b50346105175760203660031901126105175760406120539160043581526002602052206120058161280b565b9060ff60018060a01b036001830154169160028101549060038101546004820154600b83015490600c84015492600e600d860154950154956040519a8b9a6101408c526101408c01906128af565b9860208b015260408a01526060890152608088015260a087015260c086015260e0850152818116151561010085015260081c1615156101208301520390f35b50346105175780600319360112610517576020600154604051908152f35b503461051757602036600319011261051757600435600381101561136357600901546040516001600160a01b03909116815260209150f35b503461051757602036600319011261051757600435808252600260205261211f60018060a01b036001604085200154163314612adb565b612127613129565b815260026020526040812061214260048201544210156129c0565b600e81019081549160ff83166122cf578384600684018054915b8281106122435750505080156121fe578480808686829660016121936121888699600286015490612b42565b600d85015490612b55565b60ff19909416179055600101546001600160a01b03165af16121b3612b75565b50156121c0576001815580f35b60405162461bcd60e51b81526020600482015260166024820152751499599d5b99081d1c985b9cd9995c8819985a5b195960521b6044820152606490fd5b60405162461bcd60e51b815260206004820152601c60248201527f4e6f20756e6561726e656420706f696e747320746f20726566756e64000000006044820152606490fd5b60ff60066122518385612a00565b5001541660058110156122bb57158015612297575b612273575b60010161215c565b9261228f60019160026122868786612a00565b50015490612b1f565b93905061226b565b5060ff60066122a68385612a00565b5001541660058110156122bb57600114612266565b634e487b7160e01b89526021600452602489fd5b60405162461bcd60e51b81526020600482015260166024820152751499599d5b9908185b1c9958591e4818db185a5b595960521b6044820152606490fd5b503461051757806003193601126105175733815260036020526702c68af0bb1400006040822054106123bf5760085481906001600160a01b0316803b156123bc578180916024604051809581936335313c2160e11b83523360048401525af180156123af5761239f575b337f4b3a4cedc5ea97e0751a86f5d6e4ebdc1d7fec558c332b6586b8573a14efa40b8280a280f35b6123a8916127d4565b3881612377565b50604051903d90823e3d90fd5b50fd5b60405162461bcd60e51b815260206004820152601760248201527f496e656c696769626c6520746f20636c61696d204e46540000000000000000006044820152606490fd5b5034610517576060366003190112610517576004356024356044356001600160401b03811161135f5761243b903690600401612768565b9290818552600260205261245b60ff600e60408820015460081c1661297b565b818552600260205261247560066040872001548410612a1c565b818552600260205261248d8360066040882001612a00565b5060038101546001600160a01b03163303612677576006810160ff8154166005811015610606576001036126325785156125f857805460ff19166002179055600481016001600160401b038611610a51576124ec866102ae835461279a565b8587601f821160011461256a579161255993917f516b8f21aea03720ed9f466cd27c5dfc0b911499c91be964a7940b75d197d6ca95938a9161255f575b508860011b906000198a60031b1c19161790555b6005429101556040519182916020835233976020840191612aba565b0390a480f35b905083013538612529565b82895260208920915087601f1981168a5b8181106125dd5750916125599593917f516b8f21aea03720ed9f466cd27c5dfc0b911499c91be964a7940b75d197d6ca979593106125c3575b5050600188811b01905561253d565b84013560001960038b901b60f8161c1916905538806125b4565b8784013585556001909401936020938401938b93500161257b565b60405162461bcd60e51b8152602060048201526012602482015271141c9bdbd988155493081c995c5d5a5c995960721b6044820152606490fd5b60405162461bcd60e51b815260206004820152601a60248201527f5461736b206e6f7420696e20636c61696d6564207374617475730000000000006044820152606490fd5b60405162461bcd60e51b8152602060048201526011602482015270139bdd081d185cdac818db185a5b585b9d607a1b6044820152606490fd5b50346105175760203660031901126105175760043580825260026020526126e360ff600e60408520015460081c1661297b565b8082526002602052604082209061270060048301544210156129c0565b6006820191835b83548110156127645761271a8185612a00565b5060ff6006820154166005811015610d5457906002600193921480612758575b612746575b5001612707565b61275290848387612fc0565b3861273f565b5060088101541561273a565b8480f35b9181601f84011215612795578235916001600160401b038311612795576020838186019501011161279557565b600080fd5b90600182811c921680156127ca575b60208310146127b457565b634e487b7160e01b600052602260045260246000fd5b91607f16916127a9565b90601f801991011681019081106001600160401b038211176127f557604052565b634e487b7160e01b600052604160045260246000fd5b906040519182600082549261281f8461279a565b808452936001811690811561288d5750600114612846575b50612844925003836127d4565b565b90506000929192526020600020906000915b8183106128715750509060206128449282010138612837565b6020919350806001915483858901015201910190918492612858565b90506020925061284494915060ff191682840152151560051b82010138612837565b919082519283825260005b8481106128db575050826000602080949584010152601f8019910116010190565b806020809284010151828286010152016128ba565b6040906003190112612795576004359060243590565b602435906001600160a01b038216820361279557565b600435906001600160a01b038216820361279557565b60055481101561294d57600560005260206000200190600090565b634e487b7160e01b600052603260045260246000fd5b805482101561294d5760005260206000200190600090565b1561298257565b60405162461bcd60e51b8152602060048201526016602482015275141c9bda9958dd08191bd95cc81b9bdd08195e1a5cdd60521b6044820152606490fd5b156129c757565b60405162461bcd60e51b8152602060048201526011602482015270141c9bda9958dd081b9bdd08195b991959607a1b6044820152606490fd5b805482101561294d57600052600b602060002091020190600090565b15612a2357565b60405162461bcd60e51b815260206004820152601360248201527215185cdac8191bd95cc81b9bdd08195e1a5cdd606a1b6044820152606490fd5b818110612a69575050565b60008155600101612a5e565b9190601f8111612a8457505050565b612844926000526020600020906020601f840160051c83019310612ab0575b601f0160051c0190612a5e565b9091508190612aa3565b908060209392818452848401376000828201840152601f01601f1916010190565b15612ae257565b60405162461bcd60e51b815260206004820152601560248201527413db9b1e481cdc1bdb9cdbdc8818d85b8818d85b1b605a1b6044820152606490fd5b91908201809211612b2c57565b634e487b7160e01b600052601160045260246000fd5b81810292918115918404141715612b2c57565b8115612b5f570490565b634e487b7160e01b600052601260045260246000fd5b3d15612baf573d906001600160401b0382116127f55760405191612ba3601f8201601f1916602001846127d4565b82523d6000602084013e565b606090565b15612bbb57565b60405162461bcd60e51b815260206004820152600f60248201526e105b1c9958591e4818db185a5b5959608a1b6044820152606490fd5b600554600160401b8110156127f557806001612c1392016005556005612963565b81546001600160a01b0393841660039290921b91821b9390911b1916919091179055565b15612c3e57565b60405162461bcd60e51b815260206004820152600f60248201526e151c985b9cd9995c8819985a5b1959608a1b6044820152606490fd5b600052600260205260406000209060018060a01b03166000526007810160205260406000205490600d810154908115612cc257612cbf926002612cba92015490612b42565b612b55565b90565b505050600090565b6001600160401b0381116127f55760051b60200190565b805182101561294d5760209160051b010190565b600052600260205260406000209060018060a01b03166000526008810160205260406000205490600c810154908115612cc257612cbf926003612cba92015490612b42565b15612d4157565b60405162461bcd60e51b8152602060048201526014602482015273141a185cd948191bd95cc81b9bdd08195e1a5cdd60621b6044820152606490fd5b805482101561294d5760005260206000209060021b0190600090565b8054600160401b8110156127f557612db691600182018155612d7d565b9091565b90816020910312612795575180151581036127955790565b60005b6003811015612e045760098101546001600160a01b03838116911614612dfd57600101612dd5565b5050600190565b50600754604051630af508d360e11b81526001600160a01b03928316600482018190529092909160209184916024918391165afa918215612eeb57600092612ef7575b508115612e77575b8115612e59575090565b905060005260036020526702c68af0bb140000604060002054101590565b60085460405163ea24f8f360e01b815260048101839052919250602090829060249082906001600160a01b03165afa908115612eeb57600091612ebc575b5090612e4f565b612ede915060203d602011612ee4575b612ed681836127d4565b810190612dba565b38612eb5565b503d612ecc565b6040513d6000823e3d90fd5b612f1191925060203d602011612ee457612ed681836127d4565b9038612e47565b6000198114612b2c5760010190565b15612f2e57565b60405162461bcd60e51b815260206004820152600d60248201526c141c9bda9958dd08195b991959609a1b6044820152606490fd5b15612f6a57565b60405162461bcd60e51b815260206004820152601260248201527115185cdac81b9bdd081cdd589b5a5d1d195960721b6044820152606490fd5b805482101561294d5760005260206000209060011b0190600090565b909160068401600360ff1982541617905560028401936005855492600383019360018060a01b0385541660018060a01b03166000526007820160205261300c6040600020918254612b1f565b9055865461301f600b8301918254612b1f565b90550161302d825482612d7d565b506001600282019161303f8354612f18565b80935501541480613113575b61308b575b505060207fa9d21bf4fc78bf0b1c452d4358921f442691aa11cacdf1424f9c92601cb91e949160018060a01b039054169454604051908152a4565b81549060018201809211612b2c576003916130a591612d7d565b5001600160ff198254161790555460018101809111612b2c577fa9d21bf4fc78bf0b1c452d4358921f442691aa11cacdf1424f9c92601cb91e9491837f57106ecf6ea3dc9158cadd9547e9dc71f576ac97d16723a6f03a50914eea525760208094604051908152a291613050565b50815460018101809111612b2c5781541161304b565b60026000541461313a576002600055565b633ee5aeb560e01b60005260046000fd5b8060005260026020526040600020916131678160068501612a00565b5090600682019260ff84541660058110156134665760026131889114612f63565b600a830180549460ff861661342d57600080600097600888019889545b8082106133ed57505060ff1916600117845511156132c15750506131cb92918591612fc0565b60005b81548110156132bc5760ff6131e38284612fa4565b505460a01c166131f6575b6001016131ce565b6132008183612fa4565b50546001600160a01b03166000818152600885016020526040902080546001810191908210612b2c5755600c840190815460018101809111612b2c5760008093928193928293558082526003602052600160408320016132608154612f18565b9055600161326e8789612fa4565b500154905af161327c612b75565b506131ee5760405162461bcd60e51b815260206004820152601360248201527214dd185ad9481c995d1d5c9b8819985a5b1959606a1b6044820152606490fd5b505050565b9091949693955060ff198154169055600385016bffffffffffffffffffffffff60a01b81541690556000600486016132f9815461279a565b601f81116133ce575b5055600060078601819055815460ff19169091559293600901925b85548110156133595780604061333560019389612fa4565b505460a084901b849003166000908152602087905220805460ff191690550161331d565b50929150928054906000815581613394575b50507f275ae23cda4ee67ab6630a18099fc72de52fb12f66144c43bc89fa6464d1568e600080a3565b6001600160ff1b0382168203612b2c5760005260206000209060011b8101905b8181101561336b57600080825560018201556002016133b4565b818352602083206133e791601f0160051c810190612a5e565b38613302565b909260ff6133fb858d612fa4565b505460a01c161561341a57613411600191612f18565b935b01906131a5565b9293613427600191612f18565b94613413565b60405162461bcd60e51b8152602060048201526011602482015270105b1c9958591e48199a5b985b1a5e9959607a1b6044820152606490fd5b634e487b7160e01b600052602160045260246000fdfea264697066735822122020cdc1399946371b4fc41cc4d7daedf09822eb801bc0af2e04e620bcb4bba61c64736f6c634300081c0033";
+  "0x60806040523461014a57604051601f6147f038819003918201601f19168301916001600160401b0383118484101761013457808492604094855283398101031261014a5761005860206100518361014f565b920161014f565b6001600055604051909190606081016001600160401b03811182821017610134576040527370997970c51812dc3a010c7d01b50e0d17dc79c88152733c44cdddb6a900fa2b585dd299e03d12fa4293bc60208201527390f79bf6eb2c4f870365e785982e1f101e93b906604082015260005b60038110610116575050600780546001600160a01b039283166001600160a01b031991821617909155600880549390921692169190911790556001805560405161468c90816101648239f35b81516001600160a01b031660098201556020909101906001016100ca565b634e487b7160e01b600052604160045260246000fd5b600080fd5b51906001600160a01b038216820361014a5756fe6080604052600436101561001257600080fd5b6000803560e01c8062dfab9c146126b6578063011c2d98146123e25780630740e88f146122eb5780630b7d02501461208c5780630bab1688146120545780630c527d9d14612036578063107046bd14611f0b57806312ffdcd114611e305780631397e04a14611ccb57806313ee8d6214611c8b578063197fbfe414611c3157806321dd58a414611c0f578063249d39e914611bf25780632942607814611bae57806333e2f79c14611b8f57806339ceb357146119d15780634ba3f857146118e257806368e513aa146118b15780636d763a6e146117fd578063873f6f9e1461178e5780638dd4916b1461176557806398e609dc146116625780639a341b9f14611646578063a170668c14611601578063a50f031a146115d8578063a748e5db14611531578063a7e0e1fd146113e2578063addd950a14611322578063b3990f2314611233578063c15892cd1461116f578063c7b58a1514611136578063c8e3e57614610eb9578063c9897d7714610e8b578063ceedaf9314610e68578063d0a17a3714610df8578063d2cbc86714610ddc578063d89615ed14610d68578063db6bebf914610ba4578063e0da650614610b3d578063e2f1783a146109ec578063ecd4d5e21461097d578063f06cd2fa14610636578063f0f3f2c81461058d578063f4f92d3d146102a15763f7c95f471461020b57600080fd5b3461029e57608036600319011261029e576004356044356001600160401b03811161029c579061028760209361024861029494369060040161276e565b9290918481526002875261026860ff600e60408420015460081c16612aa3565b8481526002875260409020600101546001600160a01b03163314612c03565b6064359260243590614375565b604051908152f35b825b80fd5b503461029e57602036600319011261029e5760043580825260026020526102d460ff600e60408520015460081c16612aa3565b6102dc61324d565b808252600260205260408220906102f96004830154421015612ae8565b600982019060018060a01b0333166000528160205261032060ff6040600020541615612c99565b83600684015b805486101561043f576103398682612b28565b5060038101549096906001600160a01b0316331480610411575b610362575b6001019550610326565b91939095600a8101600160ff19825416179055849160088201925b83548110156103ed57806103e7888080808b600161039c81998d6130b9565b508d828060a01b038254169283920154937f3af3e4e67a1afe1f8c7f50e6268a011add4d251a3bc8e5701eef8342580fa73c6020604051878152a45af16103e1612c5a565b50614333565b0161037d565b509596929060019250610405909594958883886130e4565b86959493929150610358565b5060ff600688015416600581101561042b57600214610353565b634e487b7160e01b84526021600452602484fd5b50336000908152600785016020526040902054909381156105555780600d61046e600261047794015485612c47565b910154906129bf565b9260018060a01b0333166000526020526040600020600160ff198254161790553384526004602052604084206104ae8482546129df565b90553384526003602052604084206104c78482546129df565b9055338452600660205260ff60408520541615610530575b6104f88480808087335af16104f2612c5a565b50612d1c565b60405192835260208301527f1ae76b51ef7b6514611dcb5f6c5d256fc4776ac41654495b52e9122bddc8d24560403393a36001815580f35b61053933612cd7565b338452600660205260408420805460ff191660011790556104df565b60405162461bcd60e51b815260206004820152601060248201526f139bc81c1bda5b9d1cc819585c9b995960821b6044820152606490fd5b503461029e57602036600319011261029e5760406106139160043580825260026020526105c560ff600e858520015460081c16612aa3565b815260026020522060018060a01b03600182015416600282015491600381015460048201546005830154916105fe60068501549461282c565b9560405197889760e0895260e08901906128d0565b95602088015260408701526060860152608085015260a084015260c08301520390f35b50606036600319011261029e5760043560243560443580151580910361097957828452600260205261067460ff600e60408720015460081c16612aa3565b828452600260205261068e60066040862001548310612b44565b61069661324d565b61069f33612ef6565b1561093c57828452600260205260408420906106be8360068401612b28565b5090601483015434036108fe5760ff60068301541660058110156108ea5760026106e89114613078565b600982019160018060a01b0333166000528260205260ff604060002054166108b55760038101546001600160a01b03163314610870576008906107306004860154421061303c565b019160405161073e816127da565b3381526020810183815260408201903482528554600160401b81101561085c5780600161076e92018855876130b9565b9390936108485751835491516001600160a81b03199092166001600160a01b03919091161790151560a01b60ff60a01b16178255516001918201553360009081526020929092526040909120805460ff191690911790556011830180546012939291906107da906130d5565b90553387526003602052600260408820016107f581546130d5565b905560405190815284867fef70470c78a661ab0d64f2be13e91a30574a4fd0c79fca51e8782ee7aa7c7d5660203394a4549101541115610838575b826001815580f35b6108419161326f565b3880610830565b634e487b7160e01b8b5260048b905260248bfd5b634e487b7160e01b8b52604160045260248bfd5b60405162461bcd60e51b815260206004820152601760248201527f43616e6e6f7420766f7465206f6e206f776e207461736b0000000000000000006044820152606490fd5b60405162461bcd60e51b815260206004820152600d60248201526c105b1c9958591e481d9bdd1959609a1b6044820152606490fd5b634e487b7160e01b87526021600452602487fd5b60405162461bcd60e51b8152602060048201526016602482015275125b98dbdc9c9958dd081cdd185ad948185b5bdd5b9d60521b6044820152606490fd5b60405162461bcd60e51b81526020600482015260156024820152742737ba1032b634b3b4b13632903b32b934b334b2b960591b6044820152606490fd5b8380fd5b503461029e57602036600319011261029e57604060609160043580825260026020526109b460ff600e858520015460081c16612aa3565b8152600260205220600f810154906109e5601160ff6010840154169201541515916040519384526020840190612911565b6040820152f35b503461029e57610a4a6109fe36612934565b908084526002602052610a1d60ff600e60408720015460081c16612aa3565b8084526002602052610a3760066040862001548310612b44565b8352600260205260066040842001612b28565b509060ff600a600884019301541691805492610a6584612d67565b93610a73604051958661280b565b80855260208501809385526020852085915b838310610af557505050506040519260408401946040855251809552606084019290945b808610610ac0575050829350151560208301520390f35b90926020606060019260408751858060a01b038151168352848101511515858401520151604082015201940195019490610aa9565b6002602060019260409a999a51610b0b816127da565b60ff8654868060a01b038116835260a01c16151583820152848601546040820152815201920192019190969596610a85565b503461029e57604036600319011261029e576008604060043592610b5f61294a565b938082526002602052610b7c60ff600e8585200154861c16612aa3565b8152600260205220019060018060a01b03166000526020526020604060002054604051908152f35b503461029e57610bb336612934565b818352600260205260408320610bd260ff600e83015460081c16612aa3565b60068101610be281548410612b44565b60018201546001600160a01b03163314610d235782610c0091612b28565b5090600682019060ff82541660058110156108ea57610ce95760ff6003610c2b855460058501612ea1565b5001541615610cb2576004610c43910154421061303c565b6003820180546001600160a01b03191633179055805460ff19166001179055426202a300810191908210610c9e576007015533917fadb41d3227141be28f9f5e534a02e82d83fc4a946b0ae913099a2371b9316aae8480a480f35b634e487b7160e01b85526011600452602485fd5b60405162461bcd60e51b815260206004820152600f60248201526e141a185cd9481a5cc81b1bd8dad959608a1b6044820152606490fd5b60405162461bcd60e51b81526020600482015260126024820152715461736b206e6f7420617661696c61626c6560701b6044820152606490fd5b60405162461bcd60e51b815260206004820152601a60248201527f53706f6e736f722063616e6e6f7420636c61696d207461736b730000000000006044820152606490fd5b5060a036600319011261029e576004356001600160401b038111610dd857610d9490369060040161276e565b91604435906001600160401b03821161029e5760206102948585610dbb3660048801612a73565b610dc69391936142f0565b93608435936064359360243591613acf565b5080fd5b503461029e578060031936011261029e576020604051600a8152f35b503461029e57602036600319011261029e576040906004358082526002602052610e2d60ff600e858520015460081c16612aa3565b81526002602052206012810154610e6460146013840154930154604051938493846040919493926060820195825260208201520152565b0390f35b503461029e578060031936011261029e5760206040516702c68af0bb1400008152f35b503461029e57602036600319011261029e576020610eaf610eaa612960565b612ef6565b6040519015158152f35b503461029e57604036600319011261029e576004356024356001600160401b03811161029c57610eed90369060040161276e565b908284526002602052610f0c60ff600e60408720015460081c16612aa3565b8284526002602052610f2e60018060a01b036001604087200154163314612c03565b8284526002602052600560408520016005815410156110fa5782156110b557610f5681612ebd565b5050805460001981019081116110a157610f709082612ea1565b506001600160401b03841161108d57610f9384610f8d83546127a0565b83612b9d565b859084601f811160011461102657600392889161101b575b5060001986841b1c1916600186901b1781555b01805460ff1916905554600019810191908211610c9e57906110157fd0b09254f80bd44fe0e428084037f599da7e4914adf87cc2101ba05967ebe86a93926040519384938452604060208501526040840191612be2565b0390a280f35b905084013538610fab565b5080875260208720879286601f1981165b80861061106f576003955010611057575b5050600185811b018155610fbe565b85013560001987851b60f8161c191690553880611048565b87830135845560209586019560019094019390920191889150611037565b634e487b7160e01b86526041600452602486fd5b634e487b7160e01b86526011600452602486fd5b60405162461bcd60e51b815260206004820152601a60248201527f5068617365206e616d652063616e6e6f7420626520656d7074790000000000006044820152606490fd5b60405162461bcd60e51b815260206004820152601460248201527313585e080d481c1a185cd95cc81c995858da195960621b6044820152606490fd5b503461029e57602036600319011261029e576020906040906001600160a01b0361115e612960565b168152600483522054604051908152f35b5060e036600319011261029e576004356001600160401b038111610dd85761119b90369060040161276e565b6044929192356001600160401b03811161029c576111bd903690600401612a73565b926064356001600160401b038111610dd8576111dd903690600401612a73565b929091608435906001600160401b03821161029e57509161122c602097949261120e61029497953690600401612a73565b9690958961121a6142f0565b9360c4359360a4359360243591613acf565b95866141d5565b5061014036600319011261029e576004356001600160401b038111610dd85761126090369060040161276e565b906044356001600160401b03811161097957611280903690600401612a73565b92906064356001600160401b03811161131e576112a1903690600401612a73565b916084356001600160401b03811161131a576112c1903690600401612a73565b95909460603660e3190112611316579161122c91610294979695949360209a5089604051936112ef856127da565b60e4358552610104358d86015261012435604086015260c4359360a4359360243591613acf565b8880fd5b8780fd5b8580fd5b503461029e57602036600319011261029e5760406113a691600435815260026020522060018060a01b0360018201541660028201549160038101546004820154600b830154600c840154600d8501549160ff600e870154169360058701549561138f60068901549861282c565b996040519b8c9b6101608d526101608d01906128d0565b9960208c015260408b015260608a0152608089015260a088015260c087015260e086015215156101008501526101208401526101408301520390f35b503461029e57606036600319011261029e57600435602435604435600281101561097957828452600260205261142460ff600e60408720015460081c16612aa3565b828452600260205261144660018060a01b036001604087200154163314612c03565b8284526002602052604084209161271081116114f45760118301546114b6576114b260409260108584600f7f0d288e0103842dd7caeee0be22c277fd3c5d20c931c25d26f0ef631e7264b0a29801550160ff1981541660ff831617905583519283526020830190612911565ba280f35b60405162461bcd60e51b8152602060048201526016602482015275159bdd1a5b99c8185b1c9958591e481cdd185c9d195960521b6044820152606490fd5b60405162461bcd60e51b8152602060048201526015602482015274536c61736820726174652061626f7665203130302560581b6044820152606490fd5b503461029e576115906115c2916005604061154b36612934565b9390808252600260205261156a60ff600e858520015460081c16612aa3565b80825260026020526115828484842001548610612e5e565b815260026020522001612ea1565b5060018101546002820154916115ad60ff6003830154169161282c565b926040519485946080865260808601906128d0565b9260208501526040840152151560608301520390f35b503461029e578060031936011261029e576008546040516001600160a01b039091168152602090f35b503461029e57604036600319011261029e5761029460209160043561164160ff600e604061162d61294a565b958581526002895220015460081c16612aa3565b612e19565b503461029e578060031936011261029e57602060405160038152f35b503461029e57606036600319011261029e576044356001600160a01b0381168103610dd857600435825260026020526116a360243560066040852001612b28565b509081549160028101549160018060a01b036003830154169161173d60ff6006830154169460088301549260078101549460018060a01b03166000526009810160205260ff604060002054169561172561170b60046117046001860161282c565b940161282c565b926040519a8b5261012060208c01526101208b01906128d0565b9260408a0152606089015287820360808901526128d0565b9360058110156108ea5785965060a086015260c085015260e084015215156101008301520390f35b503461029e578060031936011261029e576007546040516001600160a01b039091168152602090f35b503461029e57604036600319011261029e57604090600a826117ae61294a565b92600435815260026020522060018060a01b0383166000526009810160205260ff8460002054169260018060a01b03166000520160205260ff8260002054168251911515825215156020820152f35b503461029e578060031936011261029e5760055461181a81612d7e565b9061182481612d7e565b92805b8281106118585761184a84610e6487604051938493604085526040850190612a02565b908382036020850152612a3f565b80611864600192612976565b838060a01b0391549060031b1c1661187c8287612db0565b5261188681612976565b838060a01b0391549060031b1c168352600460205260408320546118aa8288612db0565b5201611827565b503461029e57604036600319011261029e576102946020916004356118dd60ff600e604061162d61294a565b612dc4565b503461029e576118f136612934565b6005549091818110156119ca576119088183612d5a565b925b8381106119c2575b5061191c83612d7e565b9261192681612d7e565b91855b8281106119655761194d868661195b87604051948594606086526060860190612a02565b908482036020860152612a3f565b9060408301520390f35b8061197a611975600193856129df565b612976565b838060a01b0391549060031b1c166119928289612db0565b52818060a01b036119a38289612db0565b51168852600460205260408820546119bb8287612db0565b5201611929565b925038611912565b839261190a565b503461029e57602036600319011261029e576004358082526002602052611a0460ff600e60408520015460081c16612aa3565b611a0c61324d565b80825260026020526040822090611a296004830154421015612ae8565b600a82019160018060a01b03331660005282602052611a5060ff6040600020541615612c99565b336000908152600882016020526040902054908115611b555780600c61046e6003611a7d94015485612c47565b9260018060a01b0333166000526020526040600020600160ff19825416179055338452600460205260408420611ab48482546129df565b9055338452600360205260408420611acd8482546129df565b9055338452600660205260ff60408520541615611b30575b611af88480808087335af16104f2612c5a565b60405192835260208301527f149d7fbaa1127dfde2311121051a9aeec684ec908922d8ae779df059a7aee73260403393a36001815580f35b611b3933612cd7565b338452600660205260408420805460ff19166001179055611ae5565b60405162461bcd60e51b81526020600482015260126024820152714e6f20766572696669657220706f696e747360701b6044820152606490fd5b503461029e578060031936011261029e57506020611389604051908152f35b503461029e57602036600319011261029e576004359060055482101561029e576020611bd983612976565b905460405160039290921b1c6001600160a01b03168152f35b503461029e578060031936011261029e5760206040516127108152f35b503461029e578060031936011261029e57602060405166470de4df8200008152f35b503461029e57602036600319011261029e576040906001600160a01b03611c56612960565b1681526003602052208054610e6460026001840154930154604051938493846040919493926060820195825260208201520152565b503461029e57604036600319011261029e576007604060043592611cad61294a565b938082526002602052610b7c60ff600e858520015460081c16612aa3565b503461029e57611cda36612934565b8183526002602052611d0581600660408620611cff60ff600e83015460081c16612aa3565b01612b28565b50916006830160ff8154166005811015611e1c57600103611de4576003840180546001600160a01b031633148015611dd7575b15611d845780546001600160a01b0319169055805460ff19169055600790920183905582917fadb41d3227141be28f9f5e534a02e82d83fc4a946b0ae913099a2371b9316aae8380a480f35b60405162461bcd60e51b815260206004820152602560248201527f4e6f7420617574686f72697a6564206f7220646561646c696e65206e6f742070604482015264185cdcd95960da1b6064820152608490fd5b5060078501544211611d38565b60405162461bcd60e51b815260206004820152601060248201526f15185cdac81b9bdd0818db185a5b595960821b6044820152606490fd5b634e487b7160e01b86526021600452602486fd5b503461029e57611e3f36612934565b8183526002602052611e5d60ff600e60408620015460081c16612aa3565b8183526002602052611e7760066040852001548210612b44565b611e7f61324d565b8183526002602052604083206008611e9a8360068401612b28565b50015460128201541190811591611efc575b5015611ec257611ebb9161326f565b6001815580f35b60405162461bcd60e51b8152602060048201526012602482015271145d5bdc9d5b481b9bdd081c995858da195960721b6044820152606490fd5b60049150015442101538611eac565b503461029e57602036600319011261029e576004358152600260205260409020611f348161282c565b90600160a01b600190036001820154166002820154916003810154906004810154600b820154600c830154600d840154600e850154600f86015491601087015460ff169360118801549560405197611f8b896127da565b60128a0154895260138a01549960208a019a8b52601401549a60408a019b8c526040519e8f9e8f9161020083526102008301611fc6916128d0565b9e602083015260408201526060015260808d015260a08c015260c08b015260e08a015260ff811615156101008a015260081c60ff161515610120890152610140880152610160870161201791612911565b610180860152516101a0850152516101c0840152516101e08301520390f35b503461029e578060031936011261029e576020600154604051908152f35b503461029e57602036600319011261029e576004356003811015610dd857600901546040516001600160a01b03909116815260209150f35b503461029e57602036600319011261029e5760043580825260026020526120c360018060a01b036001604085200154163314612c03565b6120cb61324d565b808252600260205260408220906120e86004830154421015612ae8565b600e820180549060ff82166122ad57849385600682018054915b8281106122215750505084156121dc5760019182612132612127600285015489612c47565b600d850154906129bf565b9460ff191617905501848080808560018060a01b038654165af1612154612c5a565b501561219e57546040805192835260208301949094526001600160a01b0316927f6161ba499dd909bd0b98911a8fff149716f6cb94d73be2bb1b81ebbd7c70795491a36001815580f35b60405162461bcd60e51b81526020600482015260166024820152751499599d5b99081d1c985b9cd9995c8819985a5b195960521b6044820152606490fd5b60405162461bcd60e51b815260206004820152601c60248201527f4e6f20756e6561726e656420706f696e747320746f20726566756e64000000006044820152606490fd5b60ff600661222f8385612b28565b50015416600581101561229957158015612275575b612251575b600101612102565b9661226d60019160026122648b86612b28565b500154906129df565b979050612249565b5060ff60066122848385612b28565b50015416600581101561229957600114612244565b634e487b7160e01b8a52602160045260248afd5b60405162461bcd60e51b81526020600482015260166024820152751499599d5b9908185b1c9958591e4818db185a5b595960521b6044820152606490fd5b503461029e578060031936011261029e5733815260036020526702c68af0bb14000060408220541061239d5760085481906001600160a01b0316803b1561239a578180916024604051809581936335313c2160e11b83523360048401525af1801561238d5761237d575b337f4b3a4cedc5ea97e0751a86f5d6e4ebdc1d7fec558c332b6586b8573a14efa40b8280a280f35b6123869161280b565b3881612355565b50604051903d90823e3d90fd5b50fd5b60405162461bcd60e51b815260206004820152601760248201527f496e656c696769626c6520746f20636c61696d204e46540000000000000000006044820152606490fd5b503461029e57606036600319011261029e576004356024356044356001600160401b0381116109795761241990369060040161276e565b9290818552600260205261243960ff600e60408820015460081c16612aa3565b818552600260205261245360066040872001548410612b44565b818552600260205261246b8360066040882001612b28565b5060038101546001600160a01b0316330361267d576006810160ff8154166005811015612669576001036126245785156125ea57805460ff19166002179055600481016001600160401b0386116125d6576124ca86610f8d83546127a0565b8587601f8211600114612548579161253793917f516b8f21aea03720ed9f466cd27c5dfc0b911499c91be964a7940b75d197d6ca95938a9161253d575b508860011b906000198a60031b1c19161790555b6005429101556040519182916020835233976020840191612be2565b0390a480f35b905083013538612507565b82895260208920915087601f1981168a5b8181106125bb5750916125379593917f516b8f21aea03720ed9f466cd27c5dfc0b911499c91be964a7940b75d197d6ca979593106125a1575b5050600188811b01905561251b565b84013560001960038b901b60f8161c191690553880612592565b8784013585556001909401936020938401938b935001612559565b634e487b7160e01b87526041600452602487fd5b60405162461bcd60e51b8152602060048201526012602482015271141c9bdbd988155493081c995c5d5a5c995960721b6044820152606490fd5b60405162461bcd60e51b815260206004820152601a60248201527f5461736b206e6f7420696e20636c61696d6564207374617475730000000000006044820152606490fd5b634e487b7160e01b88526021600452602488fd5b60405162461bcd60e51b8152602060048201526011602482015270139bdd081d185cdac818db185a5b585b9d607a1b6044820152606490fd5b503461029e57602036600319011261029e5760043580825260026020526126e960ff600e60408520015460081c16612aa3565b808252600260205260408220906127066004830154421015612ae8565b6006820191835b835481101561276a576127208185612b28565b5060ff60068201541660058110156108ea5790600260019392148061275e575b61274c575b500161270d565b612758908483876130e4565b38612745565b50600881015415612740565b8480f35b9181601f8401121561279b578235916001600160401b03831161279b576020838186019501011161279b57565b600080fd5b90600182811c921680156127d0575b60208310146127ba57565b634e487b7160e01b600052602260045260246000fd5b91607f16916127af565b606081019081106001600160401b038211176127f557604052565b634e487b7160e01b600052604160045260246000fd5b90601f801991011681019081106001600160401b038211176127f557604052565b9060405191826000825492612840846127a0565b80845293600181169081156128ae5750600114612867575b506128659250038361280b565b565b90506000929192526020600020906000915b8183106128925750509060206128659282010138612858565b6020919350806001915483858901015201910190918492612879565b90506020925061286594915060ff191682840152151560051b82010138612858565b919082519283825260005b8481106128fc575050826000602080949584010152601f8019910116010190565b806020809284010151828286010152016128db565b90600282101561291e5752565b634e487b7160e01b600052602160045260246000fd5b604090600319011261279b576004359060243590565b602435906001600160a01b038216820361279b57565b600435906001600160a01b038216820361279b57565b60055481101561299157600560005260206000200190600090565b634e487b7160e01b600052603260045260246000fd5b80548210156129915760005260206000200190600090565b81156129c9570490565b634e487b7160e01b600052601260045260246000fd5b919082018092116129ec57565b634e487b7160e01b600052601160045260246000fd5b906020808351928381520192019060005b818110612a205750505090565b82516001600160a01b0316845260209384019390920191600101612a13565b906020808351928381520192019060005b818110612a5d5750505090565b8251845260209384019390920191600101612a50565b9181601f8401121561279b578235916001600160401b03831161279b576020808501948460051b01011161279b57565b15612aaa57565b60405162461bcd60e51b8152602060048201526016602482015275141c9bda9958dd08191bd95cc81b9bdd08195e1a5cdd60521b6044820152606490fd5b15612aef57565b60405162461bcd60e51b8152602060048201526011602482015270141c9bda9958dd081b9bdd08195b991959607a1b6044820152606490fd5b805482101561299157600052600b602060002091020190600090565b15612b4b57565b60405162461bcd60e51b815260206004820152601360248201527215185cdac8191bd95cc81b9bdd08195e1a5cdd606a1b6044820152606490fd5b818110612b91575050565b60008155600101612b86565b9190601f8111612bac57505050565b612865926000526020600020906020601f840160051c83019310612bd8575b601f0160051c0190612b86565b9091508190612bcb565b908060209392818452848401376000828201840152601f01601f1916010190565b15612c0a57565b60405162461bcd60e51b815260206004820152601560248201527413db9b1e481cdc1bdb9cdbdc8818d85b8818d85b1b605a1b6044820152606490fd5b818102929181159184041417156129ec57565b3d15612c94573d906001600160401b0382116127f55760405191612c88601f8201601f19166020018461280b565b82523d6000602084013e565b606090565b15612ca057565b60405162461bcd60e51b815260206004820152600f60248201526e105b1c9958591e4818db185a5b5959608a1b6044820152606490fd5b600554600160401b8110156127f557806001612cf8920160055560056129a7565b81546001600160a01b0393841660039290921b91821b9390911b1916919091179055565b15612d2357565b60405162461bcd60e51b815260206004820152600f60248201526e151c985b9cd9995c8819985a5b1959608a1b6044820152606490fd5b919082039182116129ec57565b6001600160401b0381116127f55760051b60200190565b90612d8882612d67565b612d95604051918261280b565b8281528092612da6601f1991612d67565b0190602036910137565b80518210156129915760209160051b010190565b600052600260205260406000209060018060a01b03166000526007810160205260406000205490600d810154908115612e1157612e0e926002612e0992015490612c47565b6129bf565b90565b505050600090565b600052600260205260406000209060018060a01b03166000526008810160205260406000205490600c810154908115612e1157612e0e926003612e0992015490612c47565b15612e6557565b60405162461bcd60e51b8152602060048201526014602482015273141a185cd948191bd95cc81b9bdd08195e1a5cdd60621b6044820152606490fd5b80548210156129915760005260206000209060021b0190600090565b8054600160401b8110156127f557612eda91600182018155612ea1565b9091565b9081602091031261279b5751801515810361279b5790565b60005b6003811015612f285760098101546001600160a01b03838116911614612f2157600101612ef9565b5050600190565b50600754604051630af508d360e11b81526001600160a01b03928316600482018190529092909160209184916024918391165afa91821561300f5760009261301b575b508115612f9b575b8115612f7d575090565b905060005260036020526702c68af0bb140000604060002054101590565b60085460405163ea24f8f360e01b815260048101839052919250602090829060249082906001600160a01b03165afa90811561300f57600091612fe0575b5090612f73565b613002915060203d602011613008575b612ffa818361280b565b810190612ede565b38612fd9565b503d612ff0565b6040513d6000823e3d90fd5b61303591925060203d60201161300857612ffa818361280b565b9038612f6b565b1561304357565b60405162461bcd60e51b815260206004820152600d60248201526c141c9bda9958dd08195b991959609a1b6044820152606490fd5b1561307f57565b60405162461bcd60e51b815260206004820152601260248201527115185cdac81b9bdd081cdd589b5a5d1d195960721b6044820152606490fd5b80548210156129915760005260206000209060011b0190600090565b60001981146129ec5760010190565b909160068401600360ff1982541617905560028401936005855492600383019360018060a01b0385541660018060a01b03166000526007820160205261313060406000209182546129df565b90558654613143600b83019182546129df565b905501613151825482612ea1565b506001600282019161316383546130d5565b80935501541480613237575b6131af575b505060207fa9d21bf4fc78bf0b1c452d4358921f442691aa11cacdf1424f9c92601cb91e949160018060a01b039054169454604051908152a4565b815490600182018092116129ec576003916131c991612ea1565b5001600160ff1982541617905554600181018091116129ec577fa9d21bf4fc78bf0b1c452d4358921f442691aa11cacdf1424f9c92601cb91e9491837f57106ecf6ea3dc9158cadd9547e9dc71f576ac97d16723a6f03a50914eea525760208094604051908152a291613174565b508154600181018091116129ec5781541161316f565b60026000541461325e576002600055565b633ee5aeb560e01b60005260046000fd5b909181600052600260205260406000209261328d8160068601612b28565b5091600683019160ff835416600581101561291e5760026132ae9114613078565b600a84019485549460ff8616613a5557600094859660088301978854905b818110613a22575080151597886139ef575b505060ff1916600117885560005b87548110156133895760ff613301828a6130b9565b505460a01c1615158715151461331a575b6001016132ec565b61332481896130b9565b50546001600160a01b0316600081815260088c0160205260409020805491929160018101919082106129ec5755600c8b01918254600181018091116129ec576001935560005260036020528160406000200161338081546130d5565b90559050613312565b509193969092949795976000146136625750506133a8908484846130e4565b600091828387545b8082106135fb57505060ff601086015416600281101561291e571595866135f1575b86156135e9576133e285836129bf565b945b87156135e1576133f76133fd9187612c47565b83612d5a565b9160005b895481101561351457613414818b6130b9565b509384549089600160ff8460a01c161515146000146134b257509061343c600193928a6129df565b83600097015461344c82826129df565b916040519186835260208301528860408301526060820152888a6000805160206146378339815191526080888060a01b03871694a45b80613490575b505001613401565b6000808080936134ab95888060a01b03165af16103e1612c5a565b3880613488565b6134d76127106134cf600f6001809897969b015494015484612c47565b048092612d5a565b906040519060008252826020830152604082015260006060820152888a6000805160206146378339815191526080888060a01b03871694a4613482565b5096929593945096505015806135d8575b613530575b50505050565b60010160008080808760018060a01b038654165af161354d612c5a565b501561359357546040519384526001600160a01b0316927f7cb2d7c13cc0af318f4066fc8f8b7c3db83cdfb9bdea292d4886f49c95d6b9b090602090a43880808061352a565b60405162461bcd60e51b815260206004820152601d60248201527f536c6173686564207374616b65207472616e73666572206661696c65640000006044820152606490fd5b50831515613525565b5060006133fd565b6000946133e4565b84151596506133d2565b909488600160ff61360c89846130b9565b505460a01c1615150361362e57506136256001916130d5565b955b01906133b0565b8693612710613655600161364781969b61365c966130b9565b500154600f8c015490612c47565b04906129df565b92613627565b909593916000948592868a545b80821061399057505060ff601089015416600281101561291e57159889613986575b891561397e576136a188866129bf565b975b8a15613976576136b66136bc918a612c47565b86612d5a565b9460005b8c80548210156137c857816136d4916130b9565b50968754908c60ff8360a01c161560001461376e5750906136f8600193928d6129df565b8360009a015461370882826129df565b916040519186835260208301528b604083015260608201528b8d6000805160206146378339815191526080888060a01b03871694a45b8061374c575b5050016136c0565b60008080809361376795888060a01b03165af16103e1612c5a565b3880613744565b61378b6127106134cf600f6001809897969e015494015484612c47565b9060405190600082528260208301526040820152600060608201528b8d6000805160206146378339815191526080888060a01b03871694a461373e565b50509399919596989297509350158061396d575b613908575b505060ff198154169055600385016bffffffffffffffffffffffff60a01b815416905560006004860161381481546127a0565b601f81116138e9575b5055600060078601819055815460ff19169091559293600901925b855481101561387457806040613850600193896130b9565b505460a084901b849003166000908152602087905220805460ff1916905501613838565b509291509280549060008155816138af575b50507f275ae23cda4ee67ab6630a18099fc72de52fb12f66144c43bc89fa6464d1568e600080a3565b6001600160ff1b03821682036129ec5760005260206000209060011b8101905b8181101561388657600080825560018201556002016138cf565b8183526020832061390291601f0160051c810190612b86565b3861381d565b60010160008080808560018060a01b038654165af1613925612c5a565b501561359357546040519182526001600160a01b031690849087907f7cb2d7c13cc0af318f4066fc8f8b7c3db83cdfb9bdea292d4886f49c95d6b9b090602090a438806137e1565b508115156137dc565b5060006136bc565b6000976136a3565b8715159950613691565b9097898c60ff6139a08c836130b9565b505460a01c166139c05750506139b76001916130d5565b985b019061366f565b966127106136556139e993600f600180979f9c8d6139dd916130b9565b50015491015490612c47565b956139b9565b9091975061271081029080820461271014901517156129ec57613a1860019260138d0154612c47565b11159690386132de565b60ff613a2e828c6130b9565b505460a01c16613a41575b6001016132cc565b97613a4d6001916130d5565b989050613a39565b60405162461bcd60e51b8152602060048201526011602482015270105b1c9958591e48199a5b985b1a5e9959607a1b6044820152606490fd5b91908110156129915760051b81013590601e198136030182121561279b5701908135916001600160401b03831161279b57602001823603811361279b579190565b9492959693909196341561410757613ae781856129df565b34036140b857821561407c5781151580614071575b1561402c578715613fe7578315613f98578015613f535784518015159081613f47575b5015613f0c57602085019561138887511180613eff575b15613eac576040860197885115613e6e5760015499613b548b6130d5565b6001558a60005260026020526040600020906001600160401b0387116127f557613b8887613b8284546127a0565b84612b9d565b866000601f8211600114613e0b57600091613e00575b508760011b906000198960031b1c19161782555b6001820180546001600160a01b0319163317905560028201889055600382018590556201518081810291820490036129ec5790613bf98c9a989b99979695949392426129df565b6004820155600e8101805461ff001916610100179055612710600f82015586516012820155875160138201558851601482015560050160005b858110613cdc57505050613cd694938899937f642f032d4b5dddc09c81f76537e236138e026320f82713a6d9d59a939c144fd89993613c9e7fc87cb4c4f7b6503500ab02c112ae1aaa4cee10065adda0681dbfef2c4d695f879460405194608086526080860191612be2565b956020840152604083015260608201528033940390a35191519251604051938493846040919493926060820195825260208201520152565b0390a290565b90919293949596989a979950613cf182612ebd565b5050815460001981019081116129ec57613d0b9083612ea1565b50613d17828886613a8e565b906001600160401b0382116127f557613d3a82613d3485546127a0565b85612b9d565b600090601f8311600114613d985791806001959492600394600092613d8d575b505060001982851b1c191690851b1781555b0160ff1981541660ff83151617905501908b99979a98969594939291613c32565b013590503880613d5a565b8382526020822091601f198416815b818110613de85750926001969593928592600396899510613dd0575b505050811b018155613d6c565b013560001983871b60f8161c19169055388080613dc3565b91936020600181928787013581550195019201613da7565b905084013538613b9e565b83815260208120915088601f198116825b818110613e53575010613e39575b5050600187811b018255613bb2565b85013560001960038a901b60f8161c191690553880613e2a565b8884013585556001909401936020938401938c935001613e1c565b60405162461bcd60e51b81526020600482015260166024820152755374616b65206d75737420626520706f73697469766560501b6044820152606490fd5b60405162461bcd60e51b815260206004820152602560248201527f417070726f76616c207468726573686f6c64206d7573742062652061206d616a6044820152646f7269747960d81b6064820152608490fd5b5061271087511115613b36565b60405162461bcd60e51b8152602060048201526013602482015272051756f72756d206d75737420626520312d313606c1b6044820152606490fd5b600a9150111538613b1f565b60405162461bcd60e51b815260206004820152601e60248201527f566572696669657220706f6f6c206d75737420626520706f73697469766500006044820152606490fd5b60405162461bcd60e51b815260206004820152602160248201527f436f6e7472696275746f7220706f6f6c206d75737420626520706f73697469766044820152606560f81b6064820152608490fd5b60405162461bcd60e51b815260206004820152601960248201527f4475726174696f6e206d75737420626520706f736974697665000000000000006044820152606490fd5b60405162461bcd60e51b815260206004820152601760248201527f506861736520636f756e74206d75737420626520312d350000000000000000006044820152606490fd5b506005821115613afc565b60405162461bcd60e51b81526020600482015260146024820152734e616d652063616e6e6f7420626520656d70747960601b6044820152606490fd5b60405162461bcd60e51b815260206004820152602160248201527f506f6f6c20616d6f756e7473206d75737420657175616c206d73672e76616c756044820152606560f81b6064820152608490fd5b60405162461bcd60e51b8152602060048201526011602482015270135d5cdd08199d5b99081c1c9bda9958dd607a1b6044820152606490fd5b1561414757565b60405162461bcd60e51b815260206004820152601c60248201527f5461736b206c69737420706572207068617365207265717569726564000000006044820152606490fd5b909291928310156129915760009260051b81013590601e198136030182121561097957018035926001600160401b03841161029e57506020018260051b3603811361279b579190565b9193929490946141e6868214614140565b6141f1868314614140565b6000955b8087106142055750505050505050565b9091929394959661421788848961418c565b905061422489868961418c565b9190500361429b5760005b61423a89858a61418c565b905081101561428b57614258816142528b878c61418c565b90613a8e565b91906142658b888b61418c565b83929192101561299157600193614284928460051b0135918d8b614375565b500161422f565b50966001019594939291906141f5565b60405162461bcd60e51b815260206004820152602760248201527f4465736372697074696f6e7320616e6420706f696e7473206c656e677468206d6044820152660d2e6dac2e8c6d60cb1b6064820152608490fd5b6000604080516142ff816127da565b82815282602082015201526113896040519061431a826127da565b60038252602082015266470de4df820000604082015290565b1561433a57565b60405162461bcd60e51b815260206004820152601360248201527214dd185ad9481c995d1d5c9b8819985a5b1959606a1b6044820152606490fd5b9192826000526002602052604060002091600583019561439787548310612e5e565b82156145fd57801515806145f2575b156145b657600560016143b9848a612ea1565b5001541015614579576006840196875497600160401b8910156127f557886143f2916001820181556143eb8282612b28565b5050612b28565b5083815560018101906001600160401b0386116127f5578161441987610f8d8895546127a0565b866000601f82116001146144ff57926001959260069261446396956000916144f4575b5060001960038c901b1c19168a881b1790555b8660028201550160ff198154169055612ea1565b5001805496600160401b8810156127f557600d7f8ea30cf5235fd8e68e05cafb79601f27d4aeee87da53866897c9c3b94107fba0966144ac8a6144e89560018e9d0181556129a7565b81549060031b908c821b91600019901b1916179055016144cd8482546129df565b90556040519485948552606060208601526060850191612be2565b9060408301520390a390565b90508d01353861443c565b8281526020812091508b9089601f198116825b8181106145595750926001989592600695926144639998951061453f575b505050868a811b01905561444f565b013560001960038d901b60f8161c19169055388d81614530565b9383013585558a97506001909401938e936020938401938d935001614512565b60405162461bcd60e51b81526020600482015260156024820152744d61782035207461736b732070657220706861736560581b6044820152606490fd5b60405162461bcd60e51b81526020600482015260146024820152730506f696e7473206d75737420626520312d3130360641b6044820152606490fd5b5060648111156143a6565b60405162461bcd60e51b81526020600482015260116024820152704465736372697074696f6e20656d70747960781b6044820152606490fdfe17e9bbb41cd2d64a29180eb1adc0494b75530891b42e62bd524261e23574ea9aa264697066735822122009e39fc3a61d79e827fd902d97737efed73a8d4b220d14748e90a7bafab4bf0064736f6c634300081c0033";
 
 type TaskSplitV2ConstructorParams =
   | [signer?: Signer]
@@ -1,91 +1,53 @@
 import { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Link, NavLink } from 'react-router-dom';
-import { ethers } from 'ethers';
 import { getContract } from './utils/contract';
 import WalletConnect from './components/WalletConnect';
 import NFTStatus from './components/NFTStatus';
 import ProjectList from './components/ProjectList';
 import ProjectDetail from './components/ProjectDetail';
 import Leaderboard from './components/Leaderboard';
+import ProjectWizard from './components/ProjectWizard';
+import TxToasts from './components/TxToasts';
+import PhaseDetail from './components/PhaseDetail';
+import TaskDetail from './components/TaskDetail';
+import AddressProfile from './components/AddressProfile';
+import MyWork from './components/MyWork';
+import VerifierQueue from './components/VerifierQueue';
 import { formatEth } from './utils/format';
 
+const loadGlobalEarnings = async (signer, address) => {
+  try {
+    if (signer && signer.provider) {
+      const network = await signer.provider.getNetwork();
+      
+      if (network.chainId.toString() !== "31337") {
+        return null; 
+      }
+    }
+    const contract = await getContract(signer);
+    const earnings = await contract.globalEarnings(address);
+    return earnings.toString();
+  } catch (err) {
+    console.error("Failed to load global earnings:", err);
+    return null;
+  }
+};
+
 function App() {
   const [signer, setSigner] = useState(null);
   const [address, setAddress] = useState('');
-  const [creating, setCreating] = useState(false);
-  const [newName, setNewName] = useState('');
-  const [newDuration, setNewDuration] = useState('');
-  const [contributorPool, setContributorPool] = useState('');
-  const [verifierPool, setVerifierPool] = useState('');
   const [globalEarnings, setGlobalEarnings] = useState('0');
 
   const [isMenuOpen, setIsMenuOpen] = useState(false);
 
   useEffect(() => {
     if (signer && address) {
-      loadGlobalEarnings();
+      loadGlobalEarnings(signer, address).then(earnings => {
+        if (earnings !== null) setGlobalEarnings(earnings);
+      });
     }
   }, [signer, address]);
 
-  const loadGlobalEarnings = async () => {
-    try {
-      if (signer && signer.provider) {
-        const network = await signer.provider.getNetwork();
-        
-        if (network.chainId.toString() !== "31337") {
-          return; 
-        }
-      }
-      const contract = await getContract(signer);
-      const earnings = await contract.globalEarnings(address);
-      setGlobalEarnings(earnings.toString());
-    } catch (err) {
-      console.error("Failed to load global earnings:", err);
-      
-    }
-  };
-
-  const createProject = async (e) => {
-    e.preventDefault();
-    if (!signer) return alert("Connect wallet first");
-
-    try {
-      setCreating(true);
-      const contract = await getContract(signer);
-      
-      const phaseNames = ["Phase 1"];
-
-      
-      const contributorPoolWei = ethers.parseEther(contributorPool);
-      const verifierPoolWei = ethers.parseEther(verifierPool);
-      const totalWei = contributorPoolWei + verifierPoolWei;
-
-      console.log(`Creating project with Contributor: ${contributorPool} ETH, Verifier: ${verifierPool} ETH`);
-
-      
-      const tx = await contract.createProject(
-        newName,
-        newDuration,
-        phaseNames,
-        contributorPoolWei,
-        verifierPoolWei,
-        { value: totalWei }
-      );
-      await tx.wait();
-      alert("Project created successfully!");
-      setNewName('');
-      setNewDuration('');
-      setContributorPool('');
-      setVerifierPool('');
-      window.dispatchEvent(new Event('projectCreated'));
-    } catch (err) {
-      console.error(err);
-      alert("Failed to create project: " + err.message);
-    } finally {
-      setCreating(false);
-    }
-  };
-
   return (
     <Router>
       <div className="min-h-screen bg-gray-50 text-gray-900 font-sans">
@@ -122,6 +84,42 @@ function App() {
                 >
                   Leaderboard
                 </NavLink>
+
+                {address && (
+                  <NavLink
+                    to="/review"
+                    className={({ isActive }) =>
+                      `transition-colors ${isActive ? "text-blue-600 font-semibold" : "hover:text-blue-600"
+                      }`
+                    }
+                  >
+                    Review
+                  </NavLink>
+                )}
+
+                {address && (
+                  <NavLink
+                    to="/my-work"
+                    className={({ isActive }) =>
+                      `transition-colors ${isActive ? "text-blue-600 font-semibold" : "hover:text-blue-600"
+                      }`
+                    }
+                  >
+                    My Work
+                  </NavLink>
+                )}
+
+                {address && (
+                  <NavLink
+                    to={`/address/${address}`}
+                    className={({ isActive }) =>
+                      `transition-colors ${isActive ? "text-blue-600 font-semibold" : "hover:text-blue-600"
+                      }`
+                    }
+                  >
+                    Profile
+                  </NavLink>
+                )}
               </nav>
 
             
@@ -159,6 +157,15 @@ function App() {
               <nav className="flex flex-col gap-4">
                 <Link to="/" onClick={() => setIsMenuOpen(false)} className="text-sm font-medium text-gray-600 hover:text-blue-600 py-2 border-b border-gray-50">Projects</Link>
                 <Link to="/leaderboard" onClick={() => setIsMenuOpen(false)} className="text-sm font-medium text-gray-600 hover:text-blue-600 py-2 border-b border-gray-50">Leaderboard</Link>
+                {address && (
+                  <Link to="/review" onClick={() => setIsMenuOpen(false)} className="text-sm font-medium text-gray-600 hover:text-blue-600 py-2 border-b border-gray-50">Review</Link>
+                )}
+                {address && (
+                  <Link to="/my-work" onClick={() => setIsMenuOpen(false)} className="text-sm font-medium text-gray-600 hover:text-blue-600 py-2 border-b border-gray-50">My Work</Link>
+                )}
+                {address && (
+                  <Link to={`/address/${address}`} onClick={() => setIsMenuOpen(false)} className="text-sm font-medium text-gray-600 hover:text-blue-600 py-2 border-b border-gray-50">Profile</Link>
+                )}
                 <div className="pt-2">
                   <WalletConnect setSigner={setSigner} setAddress={setAddress} />
                 </div>
@@ -179,59 +186,22 @@ function App() {
                   </div>
 
                   
-                  <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-100 hidden md:block">
-                    <h3 className="font-bold text-sm mb-2">Launch New Project</h3>
-                    <form onSubmit={createProject} className="grid grid-cols-2 gap-2">
-                      <input
-                        placeholder="Project Name"
-                        className="border rounded px-2 py-1 text-sm col-span-2"
-                        value={newName}
-                        onChange={e => setNewName(e.target.value)}
-                        required
-                      />
-                      <input
-                        type="number"
-                        placeholder="Duration (days)"
-                        className="border rounded px-2 py-1 text-sm col-span-2"
-                        value={newDuration}
-                        onChange={e => setNewDuration(e.target.value)}
-                        required
-                      />
-                      <input
-                        type="number"
-                        placeholder="Contributor Pool (ETH)"
-                        className="border rounded px-2 py-1 text-sm"
-                        value={contributorPool}
-                        onChange={e => setContributorPool(e.target.value)}
-                        step="0.001"
-                        required
-                      />
-                      <input
-                        type="number"
-                        placeholder="Verifier Pool (ETH)"
-                        className="border rounded px-2 py-1 text-sm"
-                        value={verifierPool}
-                        onChange={e => setVerifierPool(e.target.value)}
-                        step="0.001"
-                        required
-                      />
-                      <button
-                        disabled={creating || !signer}
-                        className="bg-black text-white px-3 py-1 rounded text-sm hover:opacity-80 disabled:opacity-50 col-span-2"
-                      >
-                        {creating ? '...' : 'Create'}
-                      </button>
-                    </form>
-                  </div>
+                  <ProjectWizard signer={signer} />
                 </div>
                 <ProjectList signer={signer} />
               </>
             } />
 
             <Route path="/project/:id" element={<ProjectDetail signer={signer} userAddress={address} />} />
+            <Route path="/project/:id/phase/:phaseId" element={<PhaseDetail signer={signer} userAddress={address} />} />
+            <Route path="/project/:id/task/:taskId" element={<TaskDetail signer={signer} userAddress={address} />} />
+            <Route path="/address/:addr" element={<AddressProfile signer={signer} />} />
+            <Route path="/review" element={<VerifierQueue signer={signer} userAddress={address} />} />
+            <Route path="/my-work" element={<MyWork signer={signer} userAddress={address} />} />
             <Route path="/leaderboard" element={<Leaderboard signer={signer} />} />
           </Routes>
         </main>
+        <TxToasts signer={signer} />
       </div>
     </Router >
   );
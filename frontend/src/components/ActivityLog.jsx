@@ -0,0 +1,146 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { selectActivity } from '../utils/indexer';
+import { getReadProvider, explorerTxUrl } from '../utils/contract';
+import useBlockTimes from '../hooks/useBlockTimes';
+import { formatEth, formatSlashing } from '../utils/format';
+import AddressLink from './AddressLink';
+
+const EVENT_TYPES = {
+    created: { label: 'Project created', dot: 'bg-gray-800' },
+    'phase-added': { label: 'Phase added', dot: 'bg-purple-400' },
+    'phase-unlocked': { label: 'Phase unlocked', dot: 'bg-purple-600' },
+    added: { label: 'Task added', dot: 'bg-gray-400' },
+    claimed: { label: 'Claimed', dot: 'bg-yellow-500' },
+    // cancelTask re-emits TaskClaimed with the zero address
+    released: { label: 'Claim cancelled', dot: 'bg-gray-400' },
+    submitted: { label: 'Proof submitted', dot: 'bg-blue-500' },
+    voted: { label: 'Vote cast', dot: 'bg-indigo-500' },
+    verified: { label: 'Verified', dot: 'bg-green-500' },
+    rejected: { label: 'Rejected by verifiers', dot: 'bg-red-500' },
+    'reward-claimed': { label: 'Reward claimed', dot: 'bg-emerald-600' },
+    'sponsor-refunded': { label: 'Sponsor refunded', dot: 'bg-amber-500' },
+    'stake-settled': { label: 'Stake settled', dot: 'bg-teal-500' },
+    // Verified by claimContributorReward after the end, before the vote concluded
+    'stake-refunded': { label: 'Stake refunded', dot: 'bg-teal-300' },
+    'slashed-stakes-paid': { label: 'Slashed stakes paid', dot: 'bg-orange-500' },
+    'slashing-configured': { label: 'Slashing settings changed', dot: 'bg-gray-600' }
+};
+
+function EntryDetail({ entry, project, projectLevel }) {
+    const task = entry.taskId !== undefined ? project.tasks[entry.taskId] : null;
+    const phase = entry.phaseId !== undefined ? project.phases[entry.phaseId] : null;
+
+    return (
+        <>
+            {entry.type === 'voted' && (
+                <span className={entry.approved ? 'text-green-600' : 'text-red-600'}>
+                    {' '}({entry.approved ? 'approve' : 'reject'})
+                </span>
+            )}
+            {entry.type === 'reward-claimed' && (
+                <span className="text-gray-600"> · {entry.role}, {formatEth(entry.amount)} ETH for {entry.points} pts</span>
+            )}
+            {entry.type === 'sponsor-refunded' && (
+                <span className="text-gray-600"> · {formatEth(entry.amount)} ETH for {entry.points} unearned pts</span>
+            )}
+            {(entry.type === 'added' || entry.type === 'verified') && <span className="text-gray-600"> · {entry.points} pts</span>}
+            {entry.type === 'stake-settled' && (
+                <span className="text-gray-600">
+                    {' '}· {entry.withMajority ? 'majority' : 'minority'}, {formatEth(entry.returned)} ETH returned
+                    {entry.slashed !== '0' && `, ${formatEth(entry.slashed)} ETH slashed`}
+                    {entry.bonus !== '0' && `, +${formatEth(entry.bonus)} ETH bonus`}
+                </span>
+            )}
+            {entry.type === 'stake-refunded' && <span className="text-gray-600"> · {formatEth(entry.amount)} ETH</span>}
+            {entry.type === 'slashed-stakes-paid' && <span className="text-gray-600"> · {formatEth(entry.amount)} ETH</span>}
+            {entry.type === 'slashing-configured' && (
+                <span className="text-gray-600"> · {formatSlashing(entry)}</span>
+            )}
+            {phase && <span className="text-gray-600"> · {entry.name || phase.name}</span>}
+            {task && projectLevel && (
+                <>
+                    {' '}on{' '}
+                    <Link to={`/project/${project.id}/task/${task.id}`} className="text-blue-600 hover:underline">
+                        #{task.id} {task.description}
+                    </Link>
+                </>
+            )}
+            {entry.actor && <> by <AddressLink address={entry.actor} /></>}
+        </>
+    );
+}
+
+/**
+ * Audit log of everything emitted for a project, or for a single task when
+ * taskId is set, with block timestamps, explorer links and filters.
+ */
+export default function ActivityLog({ signer, project, taskId = null }) {
+    const [typeFilter, setTypeFilter] = useState('');
+    const [actorFilter, setActorFilter] = useState('');
+    const [chainId, setChainId] = useState(null);
+
+    const entries = useMemo(() => selectActivity(project, taskId), [project, taskId]);
+    const times = useBlockTimes(signer, entries.map(e => e.blockNumber));
+
+    useEffect(() => {
+        getReadProvider(signer).getNetwork()
+            .then(network => setChainId(network.chainId))
+            .catch(err => console.error('Failed to read network:', err));
+    }, [signer]);
+
+    const types = [...new Set(entries.map(e => e.type))];
+    const actors = [...new Set(entries.filter(e => e.actor).map(e => e.actor.toLowerCase()))];
+    const visible = entries.filter(e => (
+        (!typeFilter || e.type === typeFilter) &&
+        (!actorFilter || e.actor?.toLowerCase() === actorFilter)
+    ));
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                <h2 className="text-lg font-bold">Activity</h2>
+                <div className="flex gap-2 text-sm">
+                    <select value={typeFilter} onChange={e => setTypeFilter(e.target.value)} className="border border-gray-300 rounded-lg px-2 py-1">
+                        <option value="">All events</option>
+                        {types.map(type => <option key={type} value={type}>{EVENT_TYPES[type].label}</option>)}
+                    </select>
+                    <select value={actorFilter} onChange={e => setActorFilter(e.target.value)} className="border border-gray-300 rounded-lg px-2 py-1 font-mono">
+                        <option value="">Anyone</option>
+                        {actors.map(actor => <option key={actor} value={actor}>{actor.slice(0, 6)}...{actor.slice(-4)}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            {visible.length === 0 ? (
+                <p className="text-sm text-gray-500 italic">{entries.length === 0 ? 'Nothing has happened yet.' : 'No events match these filters.'}</p>
+            ) : (
+                <ol className="border-l-2 border-gray-100 ml-2 space-y-4">
+                    {visible.map(entry => {
+                        const txUrl = chainId !== null ? explorerTxUrl(chainId, entry.txHash) : null;
+                        return (
+                            <li key={`${entry.txHash}:${entry.logIndex}`} className="pl-4 relative">
+                                <span className={`absolute -left-[7px] top-1.5 w-3 h-3 rounded-full ${EVENT_TYPES[entry.type].dot}`}></span>
+                                <div className="text-sm font-medium text-gray-900">
+                                    {EVENT_TYPES[entry.type].label}
+                                    <EntryDetail entry={entry} project={project} projectLevel={taskId === null} />
+                                </div>
+                                <div className="text-xs text-gray-500 flex flex-wrap gap-x-2">
+                                    <span>{times[entry.blockNumber] ? new Date(times[entry.blockNumber] * 1000).toLocaleString() : '...'}</span>
+                                    <span>block {entry.blockNumber}</span>
+                                    {txUrl ? (
+                                        <a href={txUrl} target="_blank" rel="noopener noreferrer" className="font-mono text-blue-600 hover:underline">
+                                            {entry.txHash.slice(0, 10)}…
+                                        </a>
+                                    ) : (
+                                        <span className="font-mono" title={entry.txHash}>{entry.txHash.slice(0, 10)}…</span>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ol>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,9 @@
+import { Link } from 'react-router-dom';
+
+export default function AddressLink({ address, className = '' }) {
+    return (
+        <Link to={`/address/${address}`} className={`font-mono hover:text-blue-600 hover:underline ${className}`}>
+            {address.slice(0, 6)}...{address.slice(-4)}
+        </Link>
+    );
+}
@@ -0,0 +1,263 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ethers } from 'ethers';
+import useProjectIndex from '../hooks/useProjectIndex';
+import useDocumentTitle from '../hooks/useDocumentTitle';
+import { selectAddressActivity } from '../utils/indexer';
+import { getContract, getGenesisNFT, getStandardNFT, getReadProvider } from '../utils/contract';
+import { formatEth } from '../utils/format';
+import StakeOutcome from './StakeOutcome';
+
+const STAGE_STYLES = {
+    claimed: 'bg-yellow-100 text-yellow-700',
+    submitted: 'bg-blue-100 text-blue-700',
+    released: 'bg-gray-100 text-gray-600',
+    rejected: 'bg-red-100 text-red-700',
+    verified: 'bg-green-100 text-green-700'
+};
+
+// An open attempt is either still being worked on or waiting for votes
+const stageOf = (attempt) => {
+    if (attempt.outcome !== 'active') return attempt.outcome;
+    return attempt.proofUrl ? 'submitted' : 'claimed';
+};
+
+const loadOnChainProfile = async (signer, address) => {
+    const provider = getReadProvider(signer);
+    const [contract, genesisNFT, standardNFT] = await Promise.all([
+        getContract(provider),
+        getGenesisNFT(provider),
+        getStandardNFT(provider)
+    ]);
+    const [info, earnings, hasGenesis, hasStandard, eligible] = await Promise.all([
+        contract.verifierInfo(address),
+        contract.globalEarnings(address),
+        genesisNFT.isGenesisVerifier(address),
+        standardNFT.isVerifierNFT(address),
+        contract.isEligibleVerifier(address)
+    ]);
+
+    return {
+        totalEarned: info.totalEarned,
+        correctVotes: Number(info.correctVotes),
+        totalVotes: Number(info.totalVotes),
+        globalEarnings: earnings,
+        hasGenesis,
+        hasStandard,
+        eligible
+    };
+};
+
+export default function AddressProfile({ signer }) {
+    const { addr } = useParams();
+    const { index, loading, error } = useProjectIndex(signer);
+    const [loaded, setLoaded] = useState(null);
+    const valid = ethers.isAddress(addr);
+    const short = valid ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : addr;
+
+    useDocumentTitle(valid ? `Address ${short}` : null, valid ? `TaskSplit activity for ${addr}` : null);
+
+    useEffect(() => {
+        if (!valid) return;
+        let cancelled = false;
+        loadOnChainProfile(signer, addr)
+            .then(profile => { if (!cancelled) setLoaded({ address: addr, ...profile }); })
+            .catch(err => console.error('Failed to load profile:', err));
+        return () => { cancelled = true; };
+    }, [signer, addr, valid]);
+
+    // Keep the previous address's numbers off screen while the next ones load
+    const onChain = loaded && loaded.address === addr ? loaded : null;
+
+    if (!valid) return <div className="p-8 text-center text-red-500">Invalid address</div>;
+    if (error) return <div className="p-8 text-center text-red-500">{error}</div>;
+    if (loading) return <div className="p-8 text-center">Loading activity...</div>;
+
+    const { sponsored, claims, votes, projects } = selectAddressActivity(index, addr);
+    const stages = claims.map(({ attempt }) => stageOf(attempt));
+    const countStage = (stage) => stages.filter(s => s === stage).length;
+    const settledVotes = votes.filter(v => v.correct !== null);
+
+    let claimedRewards = 0n;
+    let unclaimedRewards = 0n;
+    for (const standing of projects) {
+        const ended = index.blockTime >= standing.project.endTime;
+        for (const [claim, reward] of [
+            [standing.contributorClaim, standing.contributorReward],
+            [standing.verifierClaim, standing.verifierReward]
+        ]) {
+            if (claim) claimedRewards += BigInt(claim.amount);
+            else if (ended) unclaimedRewards += reward;
+        }
+    }
+
+    const rewardCell = (claim, reward, ended) => {
+        if (claim) return <span className="text-green-600">{formatEth(claim.amount)} ETH claimed</span>;
+        if (reward === 0n) return <span className="text-gray-400">—</span>;
+        return (
+            <span className={ended ? 'text-orange-600' : 'text-gray-500'}>
+                {formatEth(reward.toString())} ETH {ended ? 'unclaimed' : 'accruing'}
+            </span>
+        );
+    };
+
+    return (
+        <div className="max-w-4xl mx-auto p-6 space-y-6">
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <div className="text-xs text-gray-500 uppercase tracking-widest font-bold mb-1">Address</div>
+                <h1 className="text-xl font-mono font-bold text-gray-900 break-all">{addr}</h1>
+                {onChain && (
+                    <div className="flex flex-wrap gap-2 mt-3">
+                        {onChain.hasGenesis && (
+                            <span className="bg-purple-100 text-purple-700 px-3 py-1 rounded-full text-xs font-medium">Genesis Verifier NFT</span>
+                        )}
+                        {onChain.hasStandard && (
+                            <span className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-xs font-medium">Standard Verifier NFT</span>
+                        )}
+                        {!onChain.hasGenesis && !onChain.hasStandard && (
+                            <span className="bg-gray-100 text-gray-600 px-3 py-1 rounded-full text-xs font-medium">No verifier NFT</span>
+                        )}
+                        {onChain.eligible && (
+                            <span className="bg-green-100 text-green-700 px-3 py-1 rounded-full text-xs font-medium">Eligible verifier</span>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                    <div className="text-xs text-gray-500">Global Earnings</div>
+                    <div className="text-lg font-bold text-gray-900">{onChain ? formatEth(onChain.globalEarnings) : '…'} ETH</div>
+                </div>
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                    <div className="text-xs text-gray-500">Rewards Claimed</div>
+                    <div className="text-lg font-bold text-green-600">{formatEth(claimedRewards.toString())} ETH</div>
+                </div>
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                    <div className="text-xs text-gray-500">Rewards Unclaimed</div>
+                    <div className="text-lg font-bold text-orange-600">{formatEth(unclaimedRewards.toString())} ETH</div>
+                </div>
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                    <div className="text-xs text-gray-500">Correct Votes</div>
+                    <div className="text-lg font-bold text-gray-900">
+                        {onChain ? `${onChain.correctVotes} / ${onChain.totalVotes}` : '…'}
+                    </div>
+                </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h2 className="text-lg font-bold mb-2">Tasks ({claims.length} claims)</h2>
+                <div className="flex flex-wrap gap-4 text-xs text-gray-500 mb-4">
+                    <span>{claims.length} claimed</span>
+                    <span>{claims.filter(c => c.attempt.proofUrl).length} submitted</span>
+                    <span className="text-green-600">{countStage('verified')} verified</span>
+                    <span className="text-red-600">{countStage('rejected')} rejected</span>
+                </div>
+                {claims.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">No task claims yet.</p>
+                ) : (
+                    <ul className="divide-y divide-gray-50">
+                        {claims.map(({ project, task, attempt }, i) => (
+                            <li key={`${project.id}:${task.id}:${attempt.claimBlock}`} className="py-2 flex justify-between items-center text-sm">
+                                <Link to={`/project/${project.id}/task/${task.id}`} className="hover:text-blue-600">
+                                    {task.description} <span className="text-gray-400">· {project.name} · {task.points} pts</span>
+                                </Link>
+                                <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${STAGE_STYLES[stages[i]]}`}>
+                                    {stages[i]}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h2 className="text-lg font-bold mb-2">Votes Cast ({votes.length})</h2>
+                {settledVotes.length > 0 && (
+                    <p className="text-xs text-gray-500 mb-4">
+                        {settledVotes.filter(v => v.correct).length} of {settledVotes.length} settled votes matched the outcome
+                    </p>
+                )}
+                {votes.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">No verifier votes yet.</p>
+                ) : (
+                    <ul className="divide-y divide-gray-50">
+                        {votes.map(({ project, task, approved, outcome, correct, settlement, txHash }) => (
+                            <li key={txHash} className="py-2 flex justify-between items-center text-sm">
+                                <Link to={`/project/${project.id}/task/${task.id}`} className="hover:text-blue-600">
+                                    {task.description} <span className="text-gray-400">· {project.name}</span>
+                                </Link>
+                                <span className="flex items-center gap-2">
+                                    <span className={`font-bold ${approved ? 'text-green-600' : 'text-red-600'}`}>
+                                        {approved ? 'Approve' : 'Reject'}
+                                    </span>
+                                    {correct !== null ? (
+                                        <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${correct ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                                            {correct ? 'correct' : 'overruled'}
+                                        </span>
+                                    ) : !settlement && (
+                                        <span className="text-xs text-gray-400">{outcome === 'active' ? 'pending' : 'not concluded'}</span>
+                                    )}
+                                    {(correct !== null || settlement) && <StakeOutcome settlement={settlement} />}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h2 className="text-lg font-bold mb-4">Points & Rewards by Project</h2>
+                {projects.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">No project activity yet.</p>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-[10px] font-black text-gray-400 uppercase tracking-widest border-b border-gray-100">
+                                <th className="pb-2 text-left">Project</th>
+                                <th className="pb-2 text-right">Contributor</th>
+                                <th className="pb-2 text-right">Verifier</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-50">
+                            {projects.map(standing => {
+                                const ended = index.blockTime >= standing.project.endTime;
+                                return (
+                                    <tr key={standing.project.id}>
+                                        <td className="py-2">
+                                            <Link to={`/project/${standing.project.id}`} className="hover:text-blue-600">{standing.project.name}</Link>
+                                        </td>
+                                        <td className="py-2 text-right">
+                                            <div className="font-bold">{standing.contributorPoints} pts</div>
+                                            <div className="text-xs">{rewardCell(standing.contributorClaim, standing.contributorReward, ended)}</div>
+                                        </td>
+                                        <td className="py-2 text-right">
+                                            <div className="font-bold">{standing.verifierPoints} pts</div>
+                                            <div className="text-xs">{rewardCell(standing.verifierClaim, standing.verifierReward, ended)}</div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h2 className="text-lg font-bold mb-4">Projects Sponsored ({sponsored.length})</h2>
+                {sponsored.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">No sponsored projects.</p>
+                ) : (
+                    <ul className="divide-y divide-gray-50">
+                        {sponsored.map(project => (
+                            <li key={project.id} className="py-2 flex justify-between items-center text-sm">
+                                <Link to={`/project/${project.id}`} className="hover:text-blue-600">{project.name}</Link>
+                                <span className="text-gray-500">{formatEth(project.contributorPool)} ETH pool</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,13 @@
+import { requestWalletConnect } from '../utils/contract';
+
+export default function ConnectPrompt({ action, className = '' }) {
+    return (
+        <button
+            type="button"
+            onClick={requestWalletConnect}
+            className={`w-full py-2.5 rounded-lg text-sm font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 border border-dashed border-blue-200 ${className}`}
+        >
+            Connect wallet to {action}
+        </button>
+    );
+}
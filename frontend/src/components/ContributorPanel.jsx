@@ -1,7 +1,11 @@
 import { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
 import { getContract } from '../utils/contract';
+import useContractEvents from '../hooks/useContractEvents';
 import { formatEth, formatPoints } from '../utils/format';
+import useTransactions from '../hooks/useTransactions';
+import { sendTransaction, isBusy } from '../utils/transactions';
+import usePreflight from '../hooks/usePreflight';
+import RewardEstimator from './RewardEstimator';
 
 export default function ContributorPanel({ projectId, userAddress, signer, projectEnded, tasks, isSponsor }) {
     const [stats, setStats] = useState({
@@ -22,7 +26,9 @@ export default function ContributorPanel({ projectId, userAddress, signer, proje
         contributor: false,
         verifier: false
     });
-    const [loading, setLoading] = useState(false);
+    const transactions = useTransactions();
+    const txKey = `rewards:${projectId}`;
+    const loading = isBusy(transactions, txKey);
 
     useEffect(() => {
         if (userAddress && projectId !== undefined) {
@@ -30,6 +36,10 @@ export default function ContributorPanel({ projectId, userAddress, signer, proje
         }
     }, [userAddress, projectId, signer, tasks]);
 
+    useContractEvents(signer, ['ContributorRewardClaimed', 'VerifierRewardClaimed'], (logs) => {
+        if (userAddress && logs.some(l => l.args?.projectId?.toString() === String(projectId))) loadData();
+    });
+
     const loadData = async () => {
         try {
             const contract = await getContract(signer);
@@ -84,39 +94,39 @@ export default function ContributorPanel({ projectId, userAddress, signer, proje
     };
 
     const claimReward = async (type) => {
-        setLoading(true);
-        try {
-            const contract = await getContract(signer);
-            let tx = type === 'contributor'
-                ? await contract.claimContributorReward(projectId)
-                : await contract.claimVerifierReward(projectId);
-            await tx.wait();
-            alert(`${type.charAt(0).toUpperCase() + type.slice(1)} reward claimed!`);
-            loadData();
-        } catch (err) {
-            console.error(err);
-            alert(err.reason || err.message || 'Claim failed');
-        } finally {
-            setLoading(false);
-        }
+        const contract = await getContract(signer);
+        const receipt = await sendTransaction({
+            key: txKey,
+            label: `Claim ${type} reward (project #${projectId})`,
+            contract,
+            method: type === 'contributor' ? 'claimContributorReward' : 'claimVerifierReward',
+            args: [projectId]
+        });
+        if (receipt) loadData();
     };
 
     const claimRefund = async () => {
-        setLoading(true);
-        try {
-            const contract = await getContract(signer);
-            const tx = await contract.claimSponsorRefund(projectId);
-            await tx.wait();
-            alert('Sponsor refund claimed!');
-            loadData();
-        } catch (err) {
-            console.error(err);
-            alert(err.reason || err.message || 'Refund failed');
-        } finally {
-            setLoading(false);
-        }
+        const contract = await getContract(signer);
+        const receipt = await sendTransaction({
+            key: txKey,
+            label: `Claim sponsor refund (project #${projectId})`,
+            contract,
+            method: 'claimSponsorRefund',
+            args: [projectId]
+        });
+        if (receipt) loadData();
     };
 
+    const preflight = usePreflight(signer, projectEnded ? {
+        refund: isSponsor && !projectTotals.sponsorRefunded ? { method: 'claimSponsorRefund', args: [projectId] } : null,
+        contributor: !isSponsor && !hasClaimed.contributor ? { method: 'claimContributorReward', args: [projectId] } : null,
+        verifier: !isSponsor && !hasClaimed.verifier ? { method: 'claimVerifierReward', args: [projectId] } : null
+    } : {}, tasks);
+    const blocked = (name) => Boolean(preflight[name] && !preflight[name].ok);
+    const predictedFailure = (name) => !loading && blocked(name) && (
+        <p className="text-[10px] text-red-600 font-medium text-center mt-2">{preflight[name].error.message}</p>
+    );
+
     const hasAnyContribution = stats.contributorPoints > 0 || stats.verifierPoints > 0;
 
     const contributors = tasks
@@ -166,7 +176,7 @@ export default function ContributorPanel({ projectId, userAddress, signer, proje
                                 </div>
                                 <button
                                     onClick={claimRefund}
-                                    disabled={!projectEnded || loading || projectTotals.sponsorRefunded || unearnedPoints === 0}
+                                    disabled={!projectEnded || loading || projectTotals.sponsorRefunded || unearnedPoints === 0 || blocked('refund')}
                                     className={`w-full py-3 rounded-xl font-black text-xs uppercase tracking-widest transition-all ${projectEnded && !projectTotals.sponsorRefunded && unearnedPoints > 0
                                         ? 'bg-orange-600 text-white hover:bg-orange-700 shadow-lg shadow-orange-200 active:scale-95'
                                         : 'bg-gray-200 text-gray-400 cursor-not-allowed border border-gray-300'
@@ -174,6 +184,7 @@ export default function ContributorPanel({ projectId, userAddress, signer, proje
                                 >
                                     {loading ? 'Processing...' : projectTotals.sponsorRefunded ? 'Refund Already Claimed' : projectEnded ? 'Claim Refund' : 'Locked until project ends'}
                                 </button>
+                                {predictedFailure('refund')}
                             </div>
                             <div className="p-5 rounded-2xl border bg-gray-50 border-gray-100 flex flex-col justify-center">
                                 <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-1 text-center">Unearned Points</div>
@@ -206,11 +217,12 @@ export default function ContributorPanel({ projectId, userAddress, signer, proje
                                     </div>
                                     <button
                                         onClick={() => claimReward('contributor')}
-                                        disabled={!projectEnded || loading || hasClaimed.contributor || (stats.contributorPoints === 0 && !tasks?.some(t => t.claimant?.toLowerCase() === userAddress?.toLowerCase() && t.status === 2))}
+                                        disabled={!projectEnded || loading || hasClaimed.contributor || (stats.contributorPoints === 0 && !tasks?.some(t => t.claimant?.toLowerCase() === userAddress?.toLowerCase() && t.status === 2)) || blocked('contributor')}
                                         className={`w-full py-3 rounded-xl font-black text-xs uppercase tracking-widest transition-all ${projectEnded && !hasClaimed.contributor ? 'bg-blue-600 text-white hover:bg-blue-700 shadow-lg shadow-blue-200 active:scale-95' : 'bg-gray-200 text-gray-400 cursor-not-allowed border border-gray-300'}`}
                                     >
                                         {loading ? 'Processing...' : hasClaimed.contributor ? 'Already Claimed' : projectEnded ? 'Claim Contributor ETH' : 'Unlocked after project ends'}
                                     </button>
+                                    {predictedFailure('contributor')}
                                 </div>
 
                                 <div className={`p-5 rounded-2xl border transition-all ${stats.verifierPoints > 0 ? 'bg-purple-50 border-purple-200 ring-4 ring-purple-50' : 'bg-gray-50 border-gray-100 grayscale'}`}>
@@ -226,11 +238,12 @@ export default function ContributorPanel({ projectId, userAddress, signer, proje
                                     </div>
                                     <button
                                         onClick={() => claimReward('verifier')}
-                                        disabled={!projectEnded || loading || hasClaimed.verifier || stats.verifierPoints === 0}
+                                        disabled={!projectEnded || loading || hasClaimed.verifier || stats.verifierPoints === 0 || blocked('verifier')}
                                         className={`w-full py-3 rounded-xl font-black text-xs uppercase tracking-widest transition-all ${projectEnded && stats.verifierPoints > 0 && !hasClaimed.verifier ? 'bg-purple-600 text-white hover:bg-purple-700 shadow-lg shadow-purple-200 active:scale-95' : 'bg-gray-200 text-gray-400 cursor-not-allowed border border-gray-300'}`}
                                     >
                                         {loading ? 'Processing...' : hasClaimed.verifier ? 'Already Claimed' : projectEnded ? 'Claim Verifier ETH' : 'Unlocked after project ends'}
                                     </button>
+                                    {predictedFailure('verifier')}
                                 </div>
                             </div>
                         )
@@ -238,6 +251,16 @@ export default function ContributorPanel({ projectId, userAddress, signer, proje
                 </div>
             </div>
 
+            {!isSponsor && userAddress && (
+                <RewardEstimator
+                    tasks={tasks || []}
+                    userAddress={userAddress}
+                    totals={projectTotals}
+                    stats={stats}
+                    projectEnded={projectEnded}
+                />
+            )}
+
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
                 <h3 className="font-bold text-gray-900 mb-6 flex items-center gap-2">
                     <span>👥</span> Project Contributors
@@ -1,57 +1,118 @@
-import { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
-import { getContract } from '../utils/contract';
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { getContract, getReadProvider } from '../utils/contract';
+import { selectLeaderboard, selectLeaderboardBlocks } from '../utils/indexer';
+import useProjectIndex from '../hooks/useProjectIndex';
+import useBlockTimes from '../hooks/useBlockTimes';
+import useDocumentTitle from '../hooks/useDocumentTitle';
+import { formatEth } from '../utils/format';
+
+const PAGE_SIZE = 10;
+
+const WINDOWS = [
+    { id: '7d', label: '7 days', seconds: 7 * 86400 },
+    { id: '30d', label: '30 days', seconds: 30 * 86400 },
+    { id: 'all', label: 'All time', seconds: null }
+];
+
+const ROLES = [
+    { id: 'contributor', label: 'Contributors' },
+    { id: 'verifier', label: 'Verifiers' }
+];
+
+// Accuracy is lifetime and only needed for the rows on screen
+const loadAccuracy = async (signer, addresses) => {
+    const contract = await getContract(getReadProvider(signer));
+    const infos = await Promise.all(addresses.map(address => contract.verifierInfo(address)));
+    return Object.fromEntries(addresses.map((address, i) => [address.toLowerCase(), {
+        correct: Number(infos[i].correctVotes),
+        total: Number(infos[i].totalVotes)
+    }]));
+};
 
 export default function Leaderboard({ signer }) {
-    const [leaders, setLeaders] = useState([]);
-    const [loading, setLoading] = useState(true);
+    const { index, loading, error } = useProjectIndex(signer);
+    const [role, setRole] = useState('contributor');
+    const [windowId, setWindowId] = useState('30d');
+    const [page, setPage] = useState(0);
+    const [accuracy, setAccuracy] = useState({});
+
+    useDocumentTitle('Leaderboard', 'Top contributors and verifiers across all TaskSplit projects');
+
+    const blocks = useMemo(() => (index ? selectLeaderboardBlocks(index) : []), [index]);
+    const times = useBlockTimes(signer, blocks);
+    const timesReady = blocks.every(n => times[n] !== undefined);
+
+    const timeWindow = WINDOWS.find(w => w.id === windowId);
+    const rows = useMemo(() => {
+        if (!index) return [];
+        if (timeWindow.seconds === null) return selectLeaderboard(index, role);
+        // Windows are measured against chain time, which is what the timestamps are in
+        const since = index.blockTime - timeWindow.seconds;
+        return selectLeaderboard(index, role, blockNumber => times[blockNumber] >= since);
+    }, [index, role, timeWindow, times]);
+
+    const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageRows = rows.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+    const accuracyKey = role === 'verifier' ? pageRows.map(r => r.address).join(',') : '';
 
     useEffect(() => {
-        loadLeaderboard();
-    }, [signer]);
-
-    const loadLeaderboard = async () => {
-        if (!signer) {
-            setLoading(false);
-            return;
-        }
-
-        try {
-            const contract = await getContract(signer);
-            
-            const [earners, earnings] = await contract.getLeaderboard();
-
-            const data = earners.map((addr, i) => ({
-                address: addr,
-                earnings: earnings[i],
-                rawEarnings: earnings[i] 
-            }));
-
-            
-            data.sort((a, b) => {
-                if (a.rawEarnings > b.rawEarnings) return -1;
-                if (a.rawEarnings < b.rawEarnings) return 1;
-                return 0;
-            });
-
-            setLeaders(data);
-        } catch (err) {
-            console.error("Failed to load leaderboard:", err);
-        } finally {
-            setLoading(false);
-        }
+        if (!accuracyKey) return;
+        loadAccuracy(signer, accuracyKey.split(','))
+            .then(loaded => setAccuracy(prev => ({ ...prev, ...loaded })))
+            .catch(err => console.error('Failed to load verifier accuracy:', err));
+    }, [signer, accuracyKey, index]);
+
+    const changeRole = (value) => {
+        setRole(value);
+        setPage(0);
+    };
+
+    const changeWindow = (value) => {
+        setWindowId(value);
+        setPage(0);
     };
 
-    if (loading) return <div className="p-8 text-center text-gray-500">Loading leaderboard...</div>;
-    if (!signer) return <div className="p-8 text-center text-red-500">Please connect wallet to view leaderboard</div>;
+    if (error) return <div className="p-8 text-center text-red-600">{error}</div>;
+    if (loading || !index) return <div className="p-8 text-center text-gray-500">Loading leaderboard...</div>;
+
+    const waitingForTimes = timeWindow.seconds !== null && !timesReady;
 
     return (
         <div className="max-w-4xl mx-auto p-4">
             <h1 className="text-3xl font-bold mb-6 text-gray-900 border-b pb-4">Global Leaderboard</h1>
 
-            {leaders.length === 0 ? (
+            <div className="flex flex-wrap justify-between gap-3 mb-4">
+                <div className="flex bg-gray-100 rounded-lg p-1">
+                    {ROLES.map(r => (
+                        <button
+                            key={r.id}
+                            onClick={() => changeRole(r.id)}
+                            className={`px-4 py-1.5 rounded-md text-sm font-medium ${role === r.id ? 'bg-white shadow-sm text-gray-900' : 'text-gray-500 hover:text-gray-700'}`}
+                        >
+                            {r.label}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex bg-gray-100 rounded-lg p-1">
+                    {WINDOWS.map(w => (
+                        <button
+                            key={w.id}
+                            onClick={() => changeWindow(w.id)}
+                            className={`px-3 py-1.5 rounded-md text-sm font-medium ${windowId === w.id ? 'bg-white shadow-sm text-gray-900' : 'text-gray-500 hover:text-gray-700'}`}
+                        >
+                            {w.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {waitingForTimes ? (
+                <div className="p-8 text-center text-gray-500">Loading block times...</div>
+            ) : rows.length === 0 ? (
                 <div className="text-center text-gray-500 py-10 bg-gray-50 rounded-xl">
-                    No rewards have been distributed yet. Be the first to earn!
+                    No {role} rewards have been claimed {timeWindow.seconds === null ? 'yet' : `in the last ${timeWindow.label}`}.
                 </div>
             ) : (
                 <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
@@ -59,26 +120,59 @@ export default function Leaderboard({ signer }) {
                         <thead className="bg-gray-50 border-b border-gray-200">
                             <tr>
                                 <th className="px-6 py-4 text-gray-500 font-medium w-16">Rank</th>
-                                <th className="px-6 py-4 text-gray-500 font-medium">Contributor</th>
-                                <th className="px-6 py-4 text-gray-500 font-medium text-right">Total Earned</th>
+                                <th className="px-6 py-4 text-gray-500 font-medium">{role === 'contributor' ? 'Contributor' : 'Verifier'}</th>
+                                <th className="px-6 py-4 text-gray-500 font-medium text-right">Points</th>
+                                <th className="px-6 py-4 text-gray-500 font-medium text-right">
+                                    {role === 'contributor' ? 'Tasks Verified' : 'Accuracy (lifetime)'}
+                                </th>
+                                <th className="px-6 py-4 text-gray-500 font-medium text-right">Earned</th>
                             </tr>
                         </thead>
                         <tbody className="divide-y divide-gray-100">
-                            {leaders.map((item, index) => (
-                                <tr key={item.address} className="hover:bg-gray-50 transition-colors">
-                                    <td className="px-6 py-4 font-bold text-gray-400">
-                                        {index + 1}
-                                    </td>
-                                    <td className="px-6 py-4 font-mono text-sm text-blue-600">
-                                        {item.address}
-                                    </td>
-                                    <td className="px-6 py-4 text-right font-bold text-green-600">
-                                        {ethers.formatEther(item.earnings)} ETH
-                                    </td>
-                                </tr>
-                            ))}
+                            {pageRows.map((item, i) => {
+                                const acc = accuracy[item.address.toLowerCase()];
+                                return (
+                                    <tr key={item.address} className="hover:bg-gray-50 transition-colors">
+                                        <td className="px-6 py-4 font-bold text-gray-400">
+                                            {currentPage * PAGE_SIZE + i + 1}
+                                        </td>
+                                        <td className="px-6 py-4 font-mono text-sm text-blue-600">
+                                            <Link to={`/address/${item.address}`} className="hover:underline">{item.address}</Link>
+                                        </td>
+                                        <td className="px-6 py-4 text-right text-gray-900">{item.points}</td>
+                                        <td className="px-6 py-4 text-right text-gray-900">
+                                            {role === 'contributor'
+                                                ? item.tasksVerified
+                                                : !acc ? '...' : acc.total === 0 ? '—' : `${Math.round((acc.correct / acc.total) * 100)}% (${acc.correct}/${acc.total})`}
+                                        </td>
+                                        <td className="px-6 py-4 text-right font-bold text-green-600">
+                                            {formatEth(item.amount)} ETH
+                                        </td>
+                                    </tr>
+                                );
+                            })}
                         </tbody>
                     </table>
+
+                    {pageCount > 1 && (
+                        <div className="flex justify-between items-center px-6 py-3 border-t border-gray-100 text-sm">
+                            <button
+                                onClick={() => setPage(currentPage - 1)}
+                                disabled={currentPage === 0}
+                                className="text-blue-600 hover:underline disabled:text-gray-300 disabled:no-underline"
+                            >
+                                ← Previous
+                            </button>
+                            <span className="text-gray-500">Page {currentPage + 1} of {pageCount} · {rows.length} {role}s</span>
+                            <button
+                                onClick={() => setPage(currentPage + 1)}
+                                disabled={currentPage >= pageCount - 1}
+                                className="text-blue-600 hover:underline disabled:text-gray-300 disabled:no-underline"
+                            >
+                                Next →
+                            </button>
+                        </div>
+                    )}
                 </div>
             )}
         </div>
@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getContract } from '../utils/contract';
+import { formatEth, formatCountdown } from '../utils/format';
+import { selectWorkItems } from '../utils/indexer';
+import { sendTransaction, notifyFailure, isBusy } from '../utils/transactions';
+import { emptyProof, validateProof, encodeProof } from '../utils/proof';
+import { storeProof } from '../utils/proofStorage';
+import useProjectIndex from '../hooks/useProjectIndex';
+import useTransactions from '../hooks/useTransactions';
+import usePreflight from '../hooks/usePreflight';
+import useProofRef from '../hooks/useProofRef';
+import useDocumentTitle from '../hooks/useDocumentTitle';
+import ConnectPrompt from './ConnectPrompt';
+import VoteButtons from './VoteButtons';
+import ProofForm from './ProofForm';
+import ProofCard from './ProofCard';
+
+const run = async (signer, { key, label, method, args, overrides }) => {
+    const contract = await getContract(signer);
+    return sendTransaction({ key, label, contract, method, args, overrides });
+};
+
+function TaskLink({ project, task }) {
+    return (
+        <Link to={`/project/${project.id}/task/${task.id}`} className="font-medium text-gray-900 hover:text-blue-600">
+            {task.description} <span className="text-gray-400 font-normal">· {project.name} · {task.points} pts</span>
+        </Link>
+    );
+}
+
+function SubmitItem({ project, task, now, signer, refresh }) {
+    const [proof, setProof] = useState(emptyProof);
+    const key = `task:${project.id}:${task.id}`;
+    const busy = isBusy(useTransactions(), key);
+    const proofErrors = validateProof(proof);
+    const encodedProof = proofErrors.length === 0 ? encodeProof(proof) : '';
+    const expectedRef = useProofRef(encodedProof);
+    const { submit } = usePreflight(signer, {
+        submit: expectedRef ? { method: 'submitTask', args: [project.id, task.id, expectedRef] } : null
+    });
+    const remaining = task.claimDeadline - now;
+
+    const handleSubmit = async () => {
+        let proofRef;
+        try {
+            proofRef = await storeProof(encodedProof);
+        } catch (err) {
+            return notifyFailure('Upload proof', err.message);
+        }
+        const receipt = await run(signer, {
+            key,
+            label: `Submit proof (task #${task.id})`,
+            method: 'submitTask',
+            args: [project.id, task.id, proofRef]
+        });
+        if (receipt) refresh();
+    };
+
+    return (
+        <li className="py-3 space-y-2">
+            <div className="flex justify-between items-start gap-4 text-sm">
+                <TaskLink project={project} task={task} />
+                {task.claimDeadline > 0 && (
+                    <span className={`whitespace-nowrap text-xs font-semibold ${remaining > 6 * 3600 ? 'text-orange-600' : 'text-red-600'}`}>
+                        {formatCountdown(remaining)}
+                    </span>
+                )}
+            </div>
+            {remaining <= 0 && task.claimDeadline > 0 && (
+                <p className="text-xs text-red-600">The claim window has passed. Anyone can release this task until you submit.</p>
+            )}
+            <ProofForm value={proof} onChange={setProof} errors={proof.links.some(l => l.url) ? proofErrors : []} />
+            <button
+                onClick={handleSubmit}
+                disabled={busy || !encodedProof || Boolean(submit && !submit.ok)}
+                className="px-4 py-1.5 bg-blue-600 text-white rounded text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+            >
+                {busy ? 'Submitting...' : 'Submit'}
+            </button>
+            {submit && !submit.ok && !busy && <p className="text-xs text-red-600">{submit.error.message}</p>}
+        </li>
+    );
+}
+
+function VoteItem({ project, task, signer, refresh }) {
+    return (
+        <li className="py-3 space-y-2">
+            <div className="flex justify-between items-start gap-4 text-sm">
+                <TaskLink project={project} task={task} />
+                <span className="whitespace-nowrap text-xs text-gray-500">{task.voteCount}/{project.voting?.quorum ?? '…'} votes</span>
+            </div>
+            <ProofCard key={task.proofUrl} raw={task.proofUrl} />
+            <VoteButtons project={project} task={task} signer={signer} onVoted={refresh} />
+        </li>
+    );
+}
+
+function ClaimItem({ project, title, amount, method, label, signer, onDone }) {
+    const key = `rewards:${project.id}`;
+    const busy = isBusy(useTransactions(), key);
+    const { claim } = usePreflight(signer, { claim: { method, args: [project.id] } });
+    const blocked = Boolean(claim && !claim.ok);
+
+    const handleClaim = async () => {
+        const receipt = await run(signer, { key, label: `${label} (project #${project.id})`, method, args: [project.id] });
+        if (receipt) onDone();
+    };
+
+    return (
+        <li className="py-3 flex justify-between items-center gap-4 text-sm">
+            <div>
+                <Link to={`/project/${project.id}`} className="font-medium text-gray-900 hover:text-blue-600">{project.name}</Link>
+                <div className="text-xs text-gray-500">{title}</div>
+                {blocked && !busy && <div className="text-xs text-red-600">{claim.error.message}</div>}
+            </div>
+            <button
+                onClick={handleClaim}
+                disabled={busy || blocked}
+                className="whitespace-nowrap px-4 py-1.5 bg-green-600 text-white rounded text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+            >
+                {busy ? 'Processing...' : `Claim ~${formatEth(amount.toString())} ETH`}
+            </button>
+        </li>
+    );
+}
+
+function Section({ title, empty, items, children }) {
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+            <h2 className="text-lg font-bold mb-2">{title} ({items.length})</h2>
+            {items.length === 0
+                ? <p className="text-sm text-gray-500 italic">{empty}</p>
+                : <ul className="divide-y divide-gray-50">{children}</ul>}
+        </div>
+    );
+}
+
+export default function MyWork({ signer, userAddress }) {
+    const { index, loading, error, refresh } = useProjectIndex(signer);
+    const [isVerifier, setIsVerifier] = useState(false);
+    const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+    useDocumentTitle('My Work', 'Everything waiting for you across TaskSplit projects');
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    useEffect(() => {
+        if (!signer || !userAddress) return;
+        getContract(signer)
+            .then(contract => contract.isEligibleVerifier(userAddress))
+            .then(setIsVerifier)
+            .catch(err => console.error(err));
+    }, [signer, userAddress]);
+
+    if (!signer || !userAddress) {
+        return (
+            <div className="max-w-4xl mx-auto p-6">
+                <ConnectPrompt action="see your to-do list" className="w-full py-6" />
+            </div>
+        );
+    }
+    if (error) return <div className="p-8 text-center text-red-500">{error}</div>;
+    if (loading) return <div className="p-8 text-center">Loading your work...</div>;
+
+    const { toSubmit, toVote, rewards, refunds } = selectWorkItems(index, userAddress, isVerifier);
+    const total = toSubmit.length + toVote.length + rewards.length + refunds.length;
+
+    return (
+        <div className="max-w-4xl mx-auto p-6 space-y-6">
+            <div>
+                <h1 className="text-3xl font-bold text-gray-900">My Work</h1>
+                <p className="text-sm text-gray-500 mt-1">
+                    {total === 0 ? 'Nothing needs your attention right now.' : `${total} item${total === 1 ? '' : 's'} need your attention.`}
+                </p>
+            </div>
+
+            <Section title="Claimed, Not Submitted" empty="No open claims." items={toSubmit}>
+                {toSubmit.map(({ project, task }) => (
+                    <SubmitItem key={`${project.id}:${task.id}`} project={project} task={task} now={now} signer={signer} refresh={refresh} />
+                ))}
+            </Section>
+
+            {isVerifier && (
+                <Section title="Awaiting Your Vote" empty="No submissions waiting for your review." items={toVote}>
+                    {toVote.map(({ project, task }) => (
+                        <VoteItem key={`${project.id}:${task.id}`} project={project} task={task} signer={signer} refresh={refresh} />
+                    ))}
+                </Section>
+            )}
+
+            <Section title="Unclaimed Rewards" empty="No rewards waiting on ended projects." items={rewards}>
+                {rewards.map(({ project, role, points, amount }) => (
+                    <ClaimItem
+                        key={`${project.id}:${role}`}
+                        project={project}
+                        title={`${points} ${role} pts`}
+                        amount={amount}
+                        method={role === 'contributor' ? 'claimContributorReward' : 'claimVerifierReward'}
+                        label={`Claim ${role} reward`}
+                        signer={signer}
+                        onDone={refresh}
+                    />
+                ))}
+            </Section>
+
+            {refunds.length > 0 && (
+                <Section title="Sponsor Refunds" empty="" items={refunds}>
+                    {refunds.map(({ project, points, amount }) => (
+                        <ClaimItem
+                            key={project.id}
+                            project={project}
+                            title={`${points} unearned pts`}
+                            amount={amount}
+                            method="claimSponsorRefund"
+                            label="Claim sponsor refund"
+                            signer={signer}
+                            onDone={refresh}
+                        />
+                    ))}
+                </Section>
+            )}
+        </div>
+    );
+}
@@ -1,15 +1,27 @@
-import { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import { getGenesisNFT, getStandardNFT, getContract } from '../utils/contract';
 import { formatEth } from '../utils/format';
+import { selectVerifierReputation } from '../utils/indexer';
+import useTransactions from '../hooks/useTransactions';
+import useProjectIndex from '../hooks/useProjectIndex';
+import { sendTransaction, isBusy } from '../utils/transactions';
+import usePreflight from '../hooks/usePreflight';
 
 export default function NFTStatus({ signer, address }) {
     const [hasGenesisNFT, setHasGenesisNFT] = useState(false);
     const [hasStandardNFT, setHasStandardNFT] = useState(false);
     const [totalEarnings, setTotalEarnings] = useState('0');
     const [isEligible, setIsEligible] = useState(false);
+    const [threshold, setThreshold] = useState(null);
+    const [record, setRecord] = useState({ totalEarned: 0n, correctVotes: 0, totalVotes: 0 });
     const [loading, setLoading] = useState(true);
-    const [claiming, setClaiming] = useState(false);
+    const { index } = useProjectIndex(signer);
+    const reputation = useMemo(() => (index && address ? selectVerifierReputation(index, address) : null), [index, address]);
+    const claiming = isBusy(useTransactions(), 'verifier-nft');
+    const canClaim = isEligible && !hasStandardNFT && !hasGenesisNFT;
+    const { claim: claimCheck } = usePreflight(signer, { claim: canClaim ? { method: 'claimVerifierNFT', args: [] } : null }, totalEarnings);
+    const claimBlocked = Boolean(claimCheck && !claimCheck.ok);
 
     useEffect(() => {
         if (signer && address) {
@@ -35,6 +47,11 @@ export default function NFTStatus({ signer, address }) {
 
             const eligible = await contract.isEligibleVerifier(address);
             setIsEligible(eligible);
+
+            // Eligibility is measured against verifierInfo.totalEarned, not globalEarnings
+            const [info, minimum] = await Promise.all([contract.verifierInfo(address), contract.VERIFIER_ELIGIBILITY_THRESHOLD()]);
+            setRecord({ totalEarned: info.totalEarned, correctVotes: Number(info.correctVotes), totalVotes: Number(info.totalVotes) });
+            setThreshold(minimum);
         } catch (err) {
             console.error("Failed to check NFT status:", err);
         } finally {
@@ -44,21 +61,20 @@ export default function NFTStatus({ signer, address }) {
 
     const claimNFT = async () => {
         if (!signer) return;
-        setClaiming(true);
-        try {
-            const contract = await getContract(signer);
-            const tx = await contract.claimVerifierNFT();
-            await tx.wait();
-            alert("Standard Verifier NFT claimed successfully!");
-            checkNFTStatus();
-        } catch (err) {
-            console.error("NFT Claim error:", err);
-            alert(err.reason || err.message || "Claim failed");
-        } finally {
-            setClaiming(false);
-        }
+        const contract = await getContract(signer);
+        const receipt = await sendTransaction({
+            key: 'verifier-nft',
+            label: 'Claim Standard Verifier NFT',
+            contract,
+            method: 'claimVerifierNFT'
+        });
+        if (receipt) checkNFTStatus();
     };
 
+    const eligibilityProgress = threshold
+        ? Math.min(Number((record.totalEarned * 10000n) / threshold) / 100, 100)
+        : 0;
+
     if (loading) {
         return (
             <div className="text-xs text-gray-400">Loading...</div>
@@ -107,6 +123,50 @@ export default function NFTStatus({ signer, address }) {
                         <span className="text-sm font-black text-blue-900">{formatEth(totalEarnings)} ETH</span>
                     </div>
 
+                    <div className="bg-purple-50/50 rounded-xl p-3 border border-purple-100 space-y-2">
+                        <div className="flex justify-between items-baseline">
+                            <span className="text-[10px] font-black text-purple-600 uppercase">Reputation</span>
+                            <span className="text-sm font-black text-purple-900">
+                                {record.totalVotes === 0 ? 'No votes yet' : `${Math.round((record.correctVotes / record.totalVotes) * 100)}% accurate`}
+                            </span>
+                        </div>
+                        <div className="text-[10px] text-gray-600">
+                            {record.correctVotes} correct of {record.totalVotes} votes cast
+                        </div>
+                        {reputation && reputation.votesCast > 0 && (
+                            <>
+                                <div className="grid grid-cols-3 gap-2 text-center">
+                                    {[
+                                        ['Returned', reputation.stakes.returned, 'text-green-700'],
+                                        ['Slashed', reputation.stakes.slashed, 'text-red-600'],
+                                        ['Won', reputation.stakes.bonus, 'text-purple-700']
+                                    ].map(([label, amount, color]) => (
+                                        <div key={label} className="bg-white rounded-lg py-1.5 border border-purple-100">
+                                            <div className="text-[9px] font-black text-gray-400 uppercase">{label}</div>
+                                            <div className={`text-xs font-bold ${color}`}>{formatEth(amount)} ETH</div>
+                                        </div>
+                                    ))}
+                                </div>
+                                {reputation.stakes.locked > 0 && (
+                                    <div className="text-[10px] text-gray-500">
+                                        {reputation.stakes.locked} stake{reputation.stakes.locked === 1 ? '' : 's'} awaiting settlement
+                                        {` (${formatEth(reputation.stakes.lockedValue)} ETH)`}
+                                    </div>
+                                )}
+                            </>
+                        )}
+                        {reputation && reputation.projects.length > 0 && (
+                            <ul className="text-[10px] space-y-1 max-h-24 overflow-y-auto">
+                                {reputation.projects.map(({ project, points, reward }) => (
+                                    <li key={project.id} className="flex justify-between gap-2">
+                                        <Link to={`/project/${project.id}`} className="text-blue-600 hover:underline truncate">{project.name}</Link>
+                                        <span className="text-gray-600 whitespace-nowrap">{points} pts · {formatEth(reward)} ETH</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
                     <div className="pt-2">
                         {isEligible ? (
                             <div className="space-y-3">
@@ -114,25 +174,30 @@ export default function NFTStatus({ signer, address }) {
                                     <span className="w-1.5 h-1.5 rounded-full bg-green-500 animate-pulse"></span>
                                     Registry Authorization Active
                                 </div>
-                                {isEligible && !hasStandardNFT && !hasGenesisNFT && (
+                                {canClaim && (
                                     <button
                                         onClick={claimNFT}
-                                        disabled={claiming}
-                                        className="w-full py-2.5 bg-black text-white rounded-xl text-[10px] font-black uppercase tracking-widest hover:bg-gray-800 transition-all active:scale-95 shadow-lg shadow-gray-200"
+                                        disabled={claiming || claimBlocked}
+                                        className="w-full py-2.5 bg-black text-white rounded-xl text-[10px] font-black uppercase tracking-widest hover:bg-gray-800 transition-all active:scale-95 shadow-lg shadow-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
                                     >
                                         {claiming ? 'Minting...' : 'Claim Verifier NFT'}
                                     </button>
                                 )}
+                                {canClaim && !claiming && claimBlocked && (
+                                    <div className="text-[10px] font-medium text-red-600">{claimCheck.error.message}</div>
+                                )}
                             </div>
                         ) : (
                             <div className="space-y-2">
                                 <div className="text-[10px] font-bold text-gray-400">
-                                    Reach 0.2 ETH to unlock voting rights
+                                    {threshold === null
+                                        ? 'Loading eligibility threshold...'
+                                        : `Reach ${formatEth(threshold)} ETH to unlock voting rights (${formatEth(record.totalEarned)} so far)`}
                                 </div>
                                 <div className="w-full bg-gray-100 h-1.5 rounded-full overflow-hidden">
                                     <div
                                         className="h-full bg-blue-500 transition-all duration-1000"
-                                        style={{ width: `${Math.min((parseFloat(ethers.formatEther(totalEarnings)) / 0.2) * 100, 100)}%` }}
+                                        style={{ width: `${eligibilityProgress}%` }}
                                     ></div>
                                 </div>
                             </div>
@@ -149,7 +214,7 @@ export default function NFTStatus({ signer, address }) {
                         </li>
                         <li className="flex items-center gap-2 text-[10px] text-gray-600 font-medium">
                             <span className="w-1 h-1 rounded-full bg-gray-300"></span>
-                            Earn ≥ 0.2 ETH on platform
+                            Earn ≥ {threshold === null ? '...' : formatEth(threshold)} ETH on platform
                         </li>
                     </ul>
                 </div>
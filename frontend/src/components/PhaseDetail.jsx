@@ -0,0 +1,72 @@
+import { useParams, Link } from 'react-router-dom';
+import useProjectView from '../hooks/useProjectView';
+import useDocumentTitle from '../hooks/useDocumentTitle';
+import TaskCard from './TaskCard';
+
+export default function PhaseDetail({ signer, userAddress }) {
+    const { id, phaseId } = useParams();
+    const { loading, refresh, project, tasks, blockchainTime, isSponsor, isEnded, isVerifier } =
+        useProjectView(signer, userAddress, id);
+
+    const phase = project ? project.phases[Number(phaseId)] || null : null;
+    const phaseTasks = phase ? tasks.filter(t => t.phaseId === phase.id) : [];
+
+    useDocumentTitle(
+        phase ? `${phase.name} · ${project.name}` : null,
+        phase ? `${phase.verifiedTaskCount}/${phase.taskCount} tasks verified` : null
+    );
+
+    if (loading) return <div className="p-8 text-center">Loading phase...</div>;
+    if (!project) return <div className="p-8 text-center">Project not found</div>;
+    if (!phase) return <div className="p-8 text-center">Phase not found</div>;
+
+    const progress = phase.taskCount > 0 ? Math.round((phase.verifiedTaskCount / phase.taskCount) * 100) : 0;
+
+    return (
+        <div className="max-w-4xl mx-auto p-6">
+            <Link to={`/project/${id}`} className="text-blue-600 hover:underline mb-4 inline-block">← {project.name}</Link>
+
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+                <div className="flex items-center gap-3 mb-4">
+                    <h1 className="text-2xl font-bold text-gray-900">{phase.name}</h1>
+                    {phase.unlocked ? (
+                        <span className="bg-green-100 text-green-700 px-3 py-1 rounded-full text-xs font-medium">🔓 Unlocked</span>
+                    ) : (
+                        <span className="bg-gray-100 text-gray-600 px-3 py-1 rounded-full text-xs font-medium">🔒 Locked</span>
+                    )}
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 mb-1">
+                    <span>Phase {phase.id + 1} of {project.phases.length}</span>
+                    <span>{phase.verifiedTaskCount}/{phase.taskCount} verified</span>
+                </div>
+                <div className="w-full bg-gray-100 rounded-full h-2 overflow-hidden">
+                    <div className="bg-green-500 h-full" style={{ width: `${progress}%` }}></div>
+                </div>
+            </div>
+
+            {phaseTasks.length === 0 ? (
+                <div className="text-gray-500 text-center py-8 border border-dashed border-gray-300 rounded-lg">
+                    No tasks in this phase yet
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {phaseTasks.map(task => (
+                        <TaskCard
+                            key={task.id}
+                            task={task}
+                            project={project}
+                            userAddress={userAddress}
+                            isSponsor={isSponsor}
+                            isPhaseUnlocked={phase.unlocked}
+                            blockchainTime={blockchainTime}
+                            isEnded={isEnded}
+                            isVerifier={isVerifier}
+                            signer={signer}
+                            refresh={refresh}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
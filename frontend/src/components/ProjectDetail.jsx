@@ -1,18 +1,24 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { ethers } from 'ethers';
 import { getContract } from '../utils/contract';
+import useProjectView from '../hooks/useProjectView';
+import useDocumentTitle from '../hooks/useDocumentTitle';
 import TaskCard from './TaskCard';
 import ContributorPanel from './ContributorPanel';
-import { formatEth } from '../utils/format';
+import SponsorAnalytics from './SponsorAnalytics';
+import ActivityLog from './ActivityLog';
+import SlashingSettings from './SlashingSettings';
+import ConnectPrompt from './ConnectPrompt';
+import { formatEth, formatVoting } from '../utils/format';
+import { downloadTemplate } from '../utils/projectTemplate';
+import useTransactions from '../hooks/useTransactions';
+import { sendTransaction, isBusy } from '../utils/transactions';
+import usePreflight from '../hooks/usePreflight';
 
 export default function ProjectDetail({ signer, userAddress }) {
     const { id } = useParams();
-    const [project, setProject] = useState(null);
-    const [phases, setPhases] = useState([]);
-    const [tasks, setTasks] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [blockchainTime, setBlockchainTime] = useState(0);
+    const { index, loading, refresh, project, tasks, blockchainTime, isSponsor, isEnded, isVerifier } =
+        useProjectView(signer, userAddress, id);
 
     const [showAddTask, setShowAddTask] = useState(false);
     const [newTaskDesc, setNewTaskDesc] = useState('');
@@ -21,122 +27,62 @@ export default function ProjectDetail({ signer, userAddress }) {
 
     const [showAddPhase, setShowAddPhase] = useState(false);
     const [newPhaseName, setNewPhaseName] = useState('');
-    const [isVerifier, setIsVerifier] = useState(false);
+    const transactions = useTransactions();
 
-    useEffect(() => {
-        if (signer) loadProject();
-    }, [id, signer]);
+    const phases = project ? project.phases : [];
 
-    const loadProject = async () => {
-        if (!signer) return;
-        try {
-            const contract = await getContract(signer);
-            const provider = signer.provider;
-            const block = await provider.getBlock('latest');
-            if (block) {
-                const newTime = Number(block.timestamp);
-                setBlockchainTime(newTime);
-                console.log(`[ProjectDetail] Blockchain Time: ${newTime}`);
-            }
-
-            const p = await contract.getProject(id);
-            console.log(`[ProjectDetail] Project End Time: ${Number(p.endTime || p[4] || 0)}`);
-
-            setProject({
-                name: p.name || p[0] || '',
-                sponsor: p.sponsor || p[1] || ethers.ZeroAddress,
-                contributorPool: (p.contributorPool || p[2] || 0).toString(),
-                verifierPool: (p.verifierPool || p[3] || 0).toString(),
-                endTime: Number(p.endTime || p[4] || 0),
-                phaseCount: Number(p.phaseCount || p[5] || 0),
-                taskCount: Number(p.taskCount || p[6] || 0)
-            });
-
-            const phaseCount = Number(p.phaseCount || p[5] || 0);
-            const loadedPhases = [];
-            for (let i = 0; i < phaseCount; i++) {
-                const phase = await contract.getPhase(id, i);
-                loadedPhases.push({
-                    id: i,
-                    name: phase[0],
-                    taskCount: Number(phase[1]),
-                    verifiedTaskCount: Number(phase[2]),
-                    unlocked: phase[3]
-                });
-            }
-            setPhases(loadedPhases);
+    useDocumentTitle(
+        project ? project.name : null,
+        project ? `${project.tasks.length} tasks across ${phases.length} phases, ${formatEth(project.contributorPool)} ETH contributor pool` : null
+    );
 
-                
-            const taskCount = Number(p[6]);
-            const loadedTasks = [];
-            for (let i = 0; i < taskCount; i++) {
-                
-                const t = await contract.getTask(id, i, userAddress || ethers.ZeroAddress);
-                loadedTasks.push({
-                    id: i,
-                    phaseId: Number(t[0]),
-                    description: t[1],
-                    points: Number(t[2]),
-                    claimant: t[3],
-                    proofUrl: t[4],
-                    status: Number(t[5]),
-                    voteCount: Number(t[6]),
-                    claimDeadline: Number(t[7]),
-                    hasVoted: t[8]
-                });
-            }
-            setTasks(loadedTasks);
+    const setupKey = `project:${id}:setup`;
+    const settingUp = isBusy(transactions, setupKey);
 
-           
-            const isElig = await contract.isEligibleVerifier(userAddress || ethers.ZeroAddress);
-            setIsVerifier(isElig);
-        } catch (err) {
-            console.error(err);
-        } finally {
-            setLoading(false);
-        }
-    };
+    const preflight = usePreflight(signer, {
+        addPhase: showAddPhase && newPhaseName ? { method: 'addPhase', args: [id, newPhaseName] } : null,
+        addTask: showAddTask && newTaskDesc && newTaskPoints
+            ? { method: 'addTask', args: [id, selectedPhase, newTaskDesc, newTaskPoints] }
+            : null
+    }, blockchainTime);
+    const blocked = (name) => Boolean(preflight[name] && !preflight[name].ok);
 
     const addTask = async (e) => {
         e.preventDefault();
-        try {
-            const contract = await getContract(signer);
-            const tx = await contract.addTask(id, selectedPhase, newTaskDesc, newTaskPoints);
-            await tx.wait();
-            alert('Task added successfully!');
-            setNewTaskDesc('');
-            setNewTaskPoints('');
-            setShowAddTask(false);
-            loadProject();
-        } catch (err) {
-            console.error(err);
-            alert('Failed to add task: ' + err.message);
-        }
+        const contract = await getContract(signer);
+        const receipt = await sendTransaction({
+            key: setupKey,
+            label: `Add task "${newTaskDesc}"`,
+            contract,
+            method: 'addTask',
+            args: [id, selectedPhase, newTaskDesc, newTaskPoints]
+        });
+        if (!receipt) return;
+        setNewTaskDesc('');
+        setNewTaskPoints('');
+        setShowAddTask(false);
+        refresh();
     };
 
     const addPhase = async (e) => {
         e.preventDefault();
-        try {
-            const contract = await getContract(signer);
-            const tx = await contract.addPhase(id, newPhaseName);
-            await tx.wait();
-            alert('Phase added successfully!');
-            setNewPhaseName('');
-            setShowAddPhase(false);
-            loadProject();
-        } catch (err) {
-            console.error(err);
-            alert('Failed to add phase: ' + err.message);
-        }
+        const contract = await getContract(signer);
+        const receipt = await sendTransaction({
+            key: setupKey,
+            label: `Add phase "${newPhaseName}"`,
+            contract,
+            method: 'addPhase',
+            args: [id, newPhaseName]
+        });
+        if (!receipt) return;
+        setNewPhaseName('');
+        setShowAddPhase(false);
+        refresh();
     };
 
-    if (!signer) return <div className="p-8 text-center text-red-500">Please connect wallet first</div>;
     if (loading) return <div className="p-8 text-center">Loading project...</div>;
     if (!project) return <div className="p-8 text-center">Project not found</div>;
 
-    const isSponsor = userAddress && project.sponsor.toLowerCase() === userAddress.toLowerCase();
-    const isEnded = blockchainTime > 0 && project.endTime > 0 && blockchainTime >= project.endTime;
-
     if (isEnded) {
         console.log(`[ProjectDetail] Project Ended. Time: ${blockchainTime}, EndTime: ${project.endTime}`);
     }
@@ -160,11 +106,20 @@ export default function ProjectDetail({ signer, userAddress }) {
 
                         </div>
                         <p className="text-sm text-gray-500 mt-1">
-                            by {project.sponsor.slice(0, 6)}...{project.sponsor.slice(-4)}
+                            by{' '}
+                            <Link to={`/address/${project.sponsor}`} className="hover:text-blue-600 hover:underline">
+                                {project.sponsor.slice(0, 6)}...{project.sponsor.slice(-4)}
+                            </Link>
                         </p>
                     </div>
                     <div className="text-right">
                         <div className="text-xs text-gray-500">Ends {new Date(project.endTime * 1000).toLocaleString()}</div> 
+                        <button
+                            onClick={() => downloadTemplate(project)}
+                            className="mt-2 text-xs text-blue-600 hover:underline"
+                        >
+                            Export Template
+                        </button>
                         {isEnded && (
                             <div className="mt-2 bg-red-100 text-red-700 px-3 py-1 text-center rounded-full text-xs font-medium">
                                 Project Ended
@@ -183,9 +138,19 @@ export default function ProjectDetail({ signer, userAddress }) {
                         <div className="text-2xl font-bold text-purple-600">{formatEth(project.verifierPool)} ETH</div>
                     </div>
                 </div>
+
+                {project.voting && (
+                    <div className="border-t pt-4 mt-4 text-sm">
+                        <span className="text-gray-500">Voting: </span>
+                        <span className="font-medium text-gray-900">{formatVoting(project.voting)}</span>
+                    </div>
+                )}
+
+                <SlashingSettings signer={signer} project={project} isSponsor={isSponsor} isEnded={isEnded} />
             </div>
 
-          
+            {isSponsor && <SponsorAnalytics signer={signer} index={index} project={project} />}
+
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
                 <div className="flex justify-between items-center mb-4">
                     <h2 className="text-lg font-bold">Phase Progress</h2>
@@ -201,10 +166,11 @@ export default function ProjectDetail({ signer, userAddress }) {
                 </div>
 
                 <div className="flex gap-2 flex-wrap mb-4">
-                    {phases.map((phase, idx) => (
-                        <div
+                    {phases.map((phase) => (
+                        <Link
                             key={phase.id}
-                            className={`px-4 py-2 rounded-lg border-2 ${phase.unlocked
+                            to={`/project/${id}/phase/${phase.id}`}
+                            className={`px-4 py-2 rounded-lg border-2 hover:shadow-sm ${phase.unlocked
                                 ? 'border-green-500 bg-green-50 text-green-700'
                                 : 'border-gray-300 bg-gray-50 text-gray-500'
                                 }`}
@@ -218,7 +184,7 @@ export default function ProjectDetail({ signer, userAddress }) {
                                     </div>
                                 </div>
                             </div>
-                        </div>
+                        </Link>
                     ))}
                 </div>
 
@@ -235,8 +201,8 @@ export default function ProjectDetail({ signer, userAddress }) {
                                 placeholder="e.g., Phase 2: Testing"
                                 required
                             />
-                            <button type="submit" className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg font-medium">
-                                Add
+                            <button type="submit" disabled={settingUp || blocked('addPhase')} className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg font-medium disabled:opacity-50">
+                                {settingUp ? 'Adding...' : 'Add'}
                             </button>
                             <button
                                 type="button"
@@ -246,6 +212,9 @@ export default function ProjectDetail({ signer, userAddress }) {
                                 Cancel
                             </button>
                         </form>
+                        {!settingUp && blocked('addPhase') && (
+                            <p className="text-xs text-red-600 mt-2">{preflight.addPhase.error.message}</p>
+                        )}
                     </div>
                 )}
             </div>
@@ -311,9 +280,12 @@ export default function ProjectDetail({ signer, userAddress }) {
                                 required
                             />
                         </div>
+                        {!settingUp && blocked('addTask') && (
+                            <p className="text-xs text-red-600">{preflight.addTask.error.message}</p>
+                        )}
                         <div className="flex gap-2">
-                            <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium">
-                                Add Task
+                            <button type="submit" disabled={settingUp || blocked('addTask')} className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium disabled:opacity-50">
+                                {settingUp ? 'Adding...' : 'Add Task'}
                             </button>
                             <button
                                 type="button"
@@ -332,7 +304,9 @@ export default function ProjectDetail({ signer, userAddress }) {
                 {tasksByPhase.map(phase => (
                     <div key={phase.id} className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
                         <div className="flex items-center gap-3 mb-4">
-                            <h2 className="text-xl font-bold text-gray-900">{phase.name}</h2>
+                            <Link to={`/project/${id}/phase/${phase.id}`} className="text-xl font-bold text-gray-900 hover:text-blue-600">
+                                {phase.name}
+                            </Link>
                             {phase.unlocked ? (
                                 <span className="bg-green-100 text-green-700 px-3 py-1 rounded-full text-xs font-medium">
                                     🔓 Unlocked
@@ -357,7 +331,7 @@ export default function ProjectDetail({ signer, userAddress }) {
                                     <TaskCard
                                         key={task.id}
                                         task={task}
-                                        projectId={id}
+                                        project={project}
                                         userAddress={userAddress}
                                         isSponsor={isSponsor}
                                         isPhaseUnlocked={phase.unlocked}
@@ -365,7 +339,7 @@ export default function ProjectDetail({ signer, userAddress }) {
                                         isEnded={isEnded}
                                         isVerifier={isVerifier}
                                         signer={signer}
-                                        refresh={loadProject}
+                                        refresh={refresh}
                                     />
                                 ))}
                             </div>
@@ -374,11 +348,15 @@ export default function ProjectDetail({ signer, userAddress }) {
                 ))}
             </div>
 
+            <div className="mt-8">
+                <ActivityLog signer={signer} project={project} />
+            </div>
+
          
-            {userAddress && (
+            {userAddress ? (
                 <div className="mt-8">
                     <ContributorPanel
-                        projectId={id}
+                        project={project}
                         signer={signer}
                         userAddress={userAddress}
                         projectEnded={isEnded}
@@ -386,6 +364,10 @@ export default function ProjectDetail({ signer, userAddress }) {
                         isSponsor={isSponsor}
                     />
                 </div>
+            ) : (
+                <div className="mt-8">
+                    <ConnectPrompt action="claim tasks and track your rewards" />
+                </div>
             )}
         </div>
     );
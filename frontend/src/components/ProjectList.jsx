@@ -1,100 +1,19 @@
-import { useState, useEffect } from 'react';
+import { useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { ethers } from 'ethers';
-import { getContract, EXPECTED_CHAIN_ID } from '../utils/contract';
+import useProjectIndex from '../hooks/useProjectIndex';
+import { selectProjects } from '../utils/indexer';
 import { formatEth } from '../utils/format';
 
 export default function ProjectList({ signer }) {
-    const [projects, setProjects] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [blockchainTime, setBlockchainTime] = useState(0);
+    const { index, loading, error, refresh } = useProjectIndex(signer);
 
     useEffect(() => {
-        loadProjects();
-        const handler = () => loadProjects();
-        window.addEventListener('projectCreated', handler);
-        return () => window.removeEventListener('projectCreated', handler);
-    }, [signer]);
+        window.addEventListener('projectCreated', refresh);
+        return () => window.removeEventListener('projectCreated', refresh);
+    }, [refresh]);
 
-    const loadProjects = async () => {
-        setError(null);
-        try {
-            let provider;
-
-
-            if (signer && signer.provider) {
-                provider = signer.provider;
-            } else if (window.ethereum) {
-                provider = new ethers.BrowserProvider(window.ethereum);
-            } else {
-                provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
-            }
-
-            if (!provider) {
-                setError("Unable to connect. Please ensure MetaMask is installed.");
-                return;
-            }
-
-
-            try {
-                const network = await provider.getNetwork();
-
-                if (Number(network.chainId) !== EXPECTED_CHAIN_ID) {
-                    setError(`Wrong Network. Please switch to Chain ID: ${EXPECTED_CHAIN_ID} in MetaMask.`);
-                    return;
-                }
-            } catch (networkErr) {
-                console.error("Network check failed:", networkErr);
-                setError("Unable to verify network. Please ensure MetaMask is correctly configured.");
-                return;
-            }
-
-
-            const contract = await getContract(signer || provider);
-
-
-            let count;
-            try {
-                const block = await provider.getBlock('latest');
-                if (block) setBlockchainTime(Number(block.timestamp));
-                count = await contract.getProjectCounter();
-            } catch (e) {
-                console.warn("Could not fetch project counter. Is contract deployed? " + e.message);
-                setError("Failed to load projects. Ensure the contract is deployed to the current network.");
-                return;
-            }
-
-            console.log("Project count:", count.toString());
-            const loadedProjects = [];
-
-
-            for (let i = 1; i < Number(count); i++) {
-                try {
-
-                    const p = await contract.getProject(i);
-                    loadedProjects.push({
-                        id: i,
-                        name: p.name || p[0] || '',
-                        sponsor: p.sponsor || p[1] || ethers.ZeroAddress,
-                        contributorPool: (p.contributorPool || p[2] || 0).toString(),
-                        verifierPool: (p.verifierPool || p[3] || 0).toString(),
-                        endTime: p.endTime || p[4] || 0n,
-                        phaseCount: (p.phaseCount || p[5] || 0).toString(),
-                        taskCount: (p.taskCount || p[6] || 0).toString()
-                    });
-                } catch (e) {
-                    console.error(`Failed to load project ${i}`, e);
-                }
-            }
-            setProjects(loadedProjects);
-        } catch (err) {
-            console.error("Critical error loading projects:", err);
-            setError("Critical error loading projects.");
-        } finally {
-            setLoading(false);
-        }
-    };
+    const projects = index ? selectProjects(index) : [];
+    const blockchainTime = index ? index.blockTime : 0;
 
     if (loading) return <div className="text-center p-8">Loading projects...</div>;
 
@@ -130,11 +49,11 @@ export default function ProjectList({ signer }) {
 
                         <div className="grid grid-cols-3 gap-4 py-4 border-t border-gray-100">
                             <div>
-                                <div className="text-2xl font-bold text-gray-900">{p.phaseCount}</div>
+                                <div className="text-2xl font-bold text-gray-900">{p.phases.length}</div>
                                 <div className="text-xs text-gray-500">Phases</div>
                             </div>
                             <div>
-                                <div className="text-2xl font-bold text-gray-900">{p.taskCount}</div>
+                                <div className="text-2xl font-bold text-gray-900">{p.tasks.length}</div>
                                 <div className="text-xs text-gray-500">Tasks</div>
                             </div>
                             <div>
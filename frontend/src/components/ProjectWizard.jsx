@@ -0,0 +1,386 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getContract } from '../utils/contract';
+import { formatEth, formatVoting } from '../utils/format';
+import {
+    MAX_PHASES,
+    MAX_TASKS_PER_PHASE,
+    MAX_TASK_POINTS,
+    MAX_QUORUM,
+    APPROVAL_PRESETS,
+    approvalsNeeded,
+    emptySpec,
+    emptyPhase,
+    emptyTask,
+    validateProjectSpec,
+    previewTaskRewards,
+    totalPoints,
+    toCreateProjectArgs,
+    findProjectId
+} from '../utils/projectSpec';
+import { importTemplate } from '../utils/projectTemplate';
+import ConnectPrompt from './ConnectPrompt';
+import useTransactions from '../hooks/useTransactions';
+import { sendTransaction, isBusy } from '../utils/transactions';
+
+const STEPS = ['Basics', 'Phases & Tasks', 'Review & Launch'];
+
+export default function ProjectWizard({ signer }) {
+    const navigate = useNavigate();
+    const [open, setOpen] = useState(false);
+    const [step, setStep] = useState(0);
+    const [spec, setSpec] = useState(emptySpec);
+    const launching = isBusy(useTransactions(), 'create-project');
+    const [templateErrors, setTemplateErrors] = useState([]);
+
+    const errors = validateProjectSpec(spec);
+    const rewards = previewTaskRewards(spec);
+    const taskCount = spec.phases.reduce((n, p) => n + p.tasks.length, 0);
+    const votingRules = errors.length === 0 ? toCreateProjectArgs(spec).args.at(-1) : null;
+    const quorum = Number(spec.voting.quorum);
+
+    const updatePhase = (phaseIdx, patch) => setSpec(s => ({
+        ...s,
+        phases: s.phases.map((p, i) => (i === phaseIdx ? { ...p, ...patch } : p))
+    }));
+
+    const updateVoting = (patch) => setSpec(s => ({ ...s, voting: { ...s.voting, ...patch } }));
+
+    const updateTask = (phaseIdx, taskIdx, patch) => updatePhase(phaseIdx, {
+        tasks: spec.phases[phaseIdx].tasks.map((t, i) => (i === taskIdx ? { ...t, ...patch } : t))
+    });
+
+    const loadTemplate = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const { spec: imported, errors: problems } = importTemplate(await file.text());
+        setTemplateErrors(problems);
+        if (imported) setSpec(imported);
+    };
+
+    const launch = async () => {
+        const contract = await getContract(signer);
+        const { args, value } = toCreateProjectArgs(spec);
+        const receipt = await sendTransaction({
+            key: 'create-project',
+            label: `Create project "${spec.name.trim()}"`,
+            contract,
+            method: 'createProjectWithTasksAndVoting',
+            args,
+            overrides: { value }
+        });
+        if (!receipt) return;
+
+        const projectId = findProjectId(contract, receipt);
+        setOpen(false);
+        setSpec(emptySpec());
+        setStep(0);
+        window.dispatchEvent(new Event('projectCreated'));
+        if (projectId !== null) navigate(`/project/${projectId}`);
+    };
+
+    return (
+        <>
+            <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-100 hidden md:block">
+                <h3 className="font-bold text-sm mb-2">Launch New Project</h3>
+                <div className="flex flex-col gap-2">
+                    {signer ? (
+                        <button
+                            onClick={() => setOpen(true)}
+                            className="bg-black text-white px-3 py-1 rounded text-sm hover:opacity-80"
+                        >
+                            Open Project Wizard
+                        </button>
+                    ) : (
+                        <ConnectPrompt action="launch a project" />
+                    )}
+                </div>
+            </div>
+
+            {open && (
+                <div className="fixed inset-0 bg-black/40 z-50 flex items-start justify-center overflow-y-auto py-10 px-4">
+                    <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl">
+                        <div className="flex justify-between items-center px-6 py-4 border-b border-gray-100">
+                            <h2 className="text-xl font-bold text-gray-900">Launch New Project</h2>
+                            <button
+                                onClick={() => setOpen(false)}
+                                disabled={launching}
+                                className="text-gray-400 hover:text-gray-700 text-xl disabled:opacity-30"
+                                aria-label="Close wizard"
+                            >
+                                ✕
+                            </button>
+                        </div>
+
+                        <div className="flex gap-2 px-6 pt-4">
+                            {STEPS.map((label, i) => (
+                                <button
+                                    key={label}
+                                    onClick={() => !launching && setStep(i)}
+                                    className={`flex-1 text-xs font-bold uppercase tracking-widest py-2 rounded-lg ${step === i ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-500'}`}
+                                >
+                                    {i + 1}. {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        <div className="p-6 space-y-4">
+                            {step === 0 && (
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div className="col-span-2 bg-gray-50 border border-dashed border-gray-300 rounded-lg p-3">
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Start from a template (optional)</label>
+                                        <input
+                                            type="file"
+                                            accept="application/json,.json"
+                                            onChange={loadTemplate}
+                                            className="text-sm text-gray-600"
+                                        />
+                                        {templateErrors.length > 0 && (
+                                            <ul className="mt-2 text-xs text-red-600 list-disc list-inside">
+                                                {templateErrors.map(err => <li key={err}>{err}</li>)}
+                                            </ul>
+                                        )}
+                                    </div>
+                                    <div className="col-span-2">
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Project Name</label>
+                                        <input
+                                            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                                            value={spec.name}
+                                            onChange={e => setSpec(s => ({ ...s, name: e.target.value }))}
+                                            placeholder="e.g., Landing page redesign"
+                                        />
+                                    </div>
+                                    <div className="col-span-2">
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Duration (days)</label>
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                                            value={spec.durationDays}
+                                            onChange={e => setSpec(s => ({ ...s, durationDays: e.target.value }))}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Contributor Pool (ETH)</label>
+                                        <input
+                                            type="number"
+                                            step="0.001"
+                                            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                                            value={spec.contributorPool}
+                                            onChange={e => setSpec(s => ({ ...s, contributorPool: e.target.value }))}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Verifier Pool (ETH)</label>
+                                        <input
+                                            type="number"
+                                            step="0.001"
+                                            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                                            value={spec.verifierPool}
+                                            onChange={e => setSpec(s => ({ ...s, verifierPool: e.target.value }))}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Votes per Submission</label>
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            max={MAX_QUORUM}
+                                            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                                            value={spec.voting.quorum}
+                                            onChange={e => updateVoting({ quorum: e.target.value })}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Approval Threshold</label>
+                                        <select
+                                            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                                            value={spec.voting.approvalBps}
+                                            onChange={e => updateVoting({ approvalBps: Number(e.target.value) })}
+                                        >
+                                            {!APPROVAL_PRESETS.some(p => p.bps === spec.voting.approvalBps) && (
+                                                <option value={spec.voting.approvalBps}>{spec.voting.approvalBps / 100}% (from template)</option>
+                                            )}
+                                            {APPROVAL_PRESETS.map(p => <option key={p.bps} value={p.bps}>{p.label}</option>)}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Verifier Stake per Vote (ETH)</label>
+                                        <input
+                                            type="number"
+                                            step="0.001"
+                                            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                                            value={spec.voting.stake}
+                                            onChange={e => updateVoting({ stake: e.target.value })}
+                                        />
+                                    </div>
+                                    <p className="self-end text-xs text-gray-500 pb-2">
+                                        {Number.isInteger(quorum) && quorum > 0
+                                            ? `Voting closes after ${quorum} vote${quorum === 1 ? '' : 's'}; ${approvalsNeeded(spec.voting.approvalBps, quorum)} must approve.`
+                                            : 'Set how many votes decide a submission.'}
+                                    </p>
+                                </div>
+                            )}
+
+                            {step === 1 && (
+                                <div className="space-y-4">
+                                    {spec.phases.map((phase, p) => (
+                                        <div key={p} className="border border-gray-200 rounded-xl p-4 space-y-3">
+                                            <div className="flex gap-2 items-center">
+                                                <span className="text-xs font-black text-gray-400 uppercase">#{p + 1}</span>
+                                                <input
+                                                    className="flex-1 border border-gray-300 rounded-lg px-3 py-2 font-medium"
+                                                    value={phase.name}
+                                                    onChange={e => updatePhase(p, { name: e.target.value })}
+                                                    placeholder="Phase name"
+                                                />
+                                                <button
+                                                    onClick={() => setSpec(s => ({ ...s, phases: s.phases.filter((_, i) => i !== p) }))}
+                                                    disabled={spec.phases.length === 1}
+                                                    className="text-xs text-red-600 hover:underline disabled:text-gray-300 disabled:no-underline"
+                                                >
+                                                    Remove phase
+                                                </button>
+                                            </div>
+
+                                            {phase.tasks.map((task, t) => (
+                                                <div key={t} className="flex gap-2 items-center pl-6">
+                                                    <input
+                                                        className="flex-1 border border-gray-300 rounded-lg px-3 py-1.5 text-sm"
+                                                        value={task.description}
+                                                        onChange={e => updateTask(p, t, { description: e.target.value })}
+                                                        placeholder="Task description"
+                                                    />
+                                                    <input
+                                                        type="number"
+                                                        min="1"
+                                                        max={MAX_TASK_POINTS}
+                                                        className="w-24 border border-gray-300 rounded-lg px-3 py-1.5 text-sm"
+                                                        value={task.points}
+                                                        onChange={e => updateTask(p, t, { points: e.target.value })}
+                                                        placeholder="Pts"
+                                                    />
+                                                    <button
+                                                        onClick={() => updatePhase(p, { tasks: phase.tasks.filter((_, i) => i !== t) })}
+                                                        className="text-gray-400 hover:text-red-600"
+                                                        aria-label="Remove task"
+                                                    >
+                                                        ✕
+                                                    </button>
+                                                </div>
+                                            ))}
+
+                                            <button
+                                                onClick={() => updatePhase(p, { tasks: [...phase.tasks, emptyTask()] })}
+                                                disabled={phase.tasks.length >= MAX_TASKS_PER_PHASE}
+                                                className="ml-6 text-xs font-medium text-blue-600 hover:underline disabled:text-gray-300 disabled:no-underline"
+                                            >
+                                                {phase.tasks.length >= MAX_TASKS_PER_PHASE ? `Max ${MAX_TASKS_PER_PHASE} tasks per phase` : '+ Add task'}
+                                            </button>
+                                        </div>
+                                    ))}
+
+                                    <button
+                                        onClick={() => setSpec(s => ({ ...s, phases: [...s.phases, emptyPhase(s.phases.length)] }))}
+                                        disabled={spec.phases.length >= MAX_PHASES}
+                                        className={`${spec.phases.length < MAX_PHASES ? 'bg-purple-600 hover:bg-purple-700' : 'bg-gray-400 cursor-not-allowed'} text-white px-4 py-2 rounded-lg text-sm font-medium`}
+                                    >
+                                        {spec.phases.length < MAX_PHASES ? '+ Add Phase' : 'Max Phases Reached'}
+                                    </button>
+                                </div>
+                            )}
+
+                            {step === 2 && (
+                                <div className="space-y-4">
+                                    {errors.length > 0 && (
+                                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+                                            <p className="font-bold mb-1">Fix these before launching:</p>
+                                            <ul className="list-disc pl-5 space-y-0.5">
+                                                {errors.map(err => <li key={err}>{err}</li>)}
+                                            </ul>
+                                        </div>
+                                    )}
+
+                                    <table className="w-full text-left text-sm">
+                                        <thead>
+                                            <tr className="text-[10px] font-black text-gray-400 uppercase tracking-widest border-b border-gray-100">
+                                                <th className="pb-2">Phase / Task</th>
+                                                <th className="pb-2 text-right">Points</th>
+                                                <th className="pb-2 text-right">Reward if verified</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-50">
+                                            {spec.phases.map((phase, p) => [
+                                                <tr key={`phase-${p}`} className="bg-gray-50">
+                                                    <td colSpan={3} className="py-2 font-bold text-gray-700">{phase.name || `Phase ${p + 1}`}</td>
+                                                </tr>,
+                                                ...phase.tasks.map((task, t) => (
+                                                    <tr key={`task-${p}-${t}`}>
+                                                        <td className="py-2 pl-4">{task.description || <span className="italic text-gray-400">(no description)</span>}</td>
+                                                        <td className="py-2 text-right">{Number(task.points) || 0}</td>
+                                                        <td className="py-2 text-right font-medium text-green-600">{formatEth(rewards[p][t])} ETH</td>
+                                                    </tr>
+                                                ))
+                                            ])}
+                                        </tbody>
+                                    </table>
+
+                                    <div className="grid grid-cols-3 gap-4 border-t pt-4 text-sm">
+                                        <div>
+                                            <div className="text-gray-500">Total Points</div>
+                                            <div className="font-bold">{totalPoints(spec)} Pts</div>
+                                        </div>
+                                        <div>
+                                            <div className="text-gray-500">Tasks</div>
+                                            <div className="font-bold">{taskCount}</div>
+                                        </div>
+                                        <div>
+                                            <div className="text-gray-500">Total Funding</div>
+                                            <div className="font-bold">
+                                                {errors.length === 0 ? formatEth(toCreateProjectArgs(spec).value) : '—'} ETH
+                                            </div>
+                                        </div>
+                                    </div>
+
+                                    {votingRules && (
+                                        <p className="text-sm text-gray-600">
+                                            <span className="text-gray-500">Voting: </span>{formatVoting(votingRules)}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="flex justify-between px-6 py-4 border-t border-gray-100">
+                            <button
+                                onClick={() => setStep(s => s - 1)}
+                                disabled={step === 0 || launching}
+                                className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-4 py-2 rounded-lg font-medium disabled:opacity-50"
+                            >
+                                Back
+                            </button>
+                            {step < STEPS.length - 1 ? (
+                                <button
+                                    onClick={() => setStep(s => s + 1)}
+                                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium"
+                                >
+                                    Next
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={launch}
+                                    disabled={errors.length > 0 || !signer || launching}
+                                    className="bg-black hover:opacity-80 text-white px-4 py-2 rounded-lg font-medium disabled:opacity-50"
+                                >
+                                    {launching ? 'Launching...' : 'Launch Project'}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+}
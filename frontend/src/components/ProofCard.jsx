@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { decodeProof, isSafeLink, hashFile } from '../utils/proof';
+import useStoredProof from '../hooks/useStoredProof';
+
+const STORED_STATUS = {
+    loading: ['text-gray-500', 'Fetching proof from storage...'],
+    verified: ['text-green-600', '✅ Content matches its CID'],
+    mismatch: ['text-red-600', '❌ Retrieved content does not match its CID. Do not trust this submission.'],
+    error: ['text-red-600', '⚠ Could not retrieve the stored proof']
+};
+
+/**
+ * Renders a task's proof field: labeled links, the summary and, when the
+ * contributor pinned a content hash, a check against a local copy of the
+ * artifact. Plain-URL proofs render as a single link; `ipfs://` proofs are
+ * fetched from the proof store and only shown once they match their CID.
+ */
+export default function ProofCard({ raw, compact = false }) {
+    const [check, setCheck] = useState(null);
+    const stored = useStoredProof(raw);
+
+    if (stored.status && stored.status !== 'verified') {
+        const [color, text] = STORED_STATUS[stored.status];
+        return (
+            <div className={`text-xs ${color} break-all`}>
+                {text}
+                {stored.error && <span className="block text-gray-500">{stored.error}</span>}
+                {!compact && <span className="block font-mono text-gray-400">{raw}</span>}
+            </div>
+        );
+    }
+
+    const proof = decodeProof(stored.status === 'verified' ? stored.encoded : raw);
+
+    const handleVerify = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const hash = await hashFile(file);
+        setCheck({ name: file.name, matches: hash === proof.contentHash });
+    };
+
+    if (proof.unsupported) {
+        return (
+            <div className="text-xs text-gray-500 break-all">
+                Proof in an unsupported format (version {String(proof.version)}): {proof.raw}
+            </div>
+        );
+    }
+
+    const links = (
+        <ul className="space-y-1">
+            {proof.links.map((link, i) => (
+                <li key={i} className="flex gap-2 items-baseline">
+                    <span className="text-[10px] font-bold text-gray-400 uppercase tracking-wide whitespace-nowrap">{link.label}</span>
+                    {isSafeLink(link.url) ? (
+                        <a href={link.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-all">
+                            {link.url}
+                        </a>
+                    ) : (
+                        <span className="text-gray-700 break-all">{link.url}</span>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+
+    if (compact) return <div className="text-xs">{links}</div>;
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-3 bg-gray-50/50 space-y-2 text-sm">
+            <div className="flex justify-between items-center gap-2">
+                <span className="text-[11px] font-bold text-gray-500 uppercase">Submission</span>
+                {stored.status === 'verified' && (
+                    <span className="text-[10px] font-mono text-green-700 bg-green-50 px-1.5 py-0.5 rounded truncate" title={stored.cid}>
+                        CID verified · {stored.cid.slice(0, 12)}…
+                    </span>
+                )}
+            </div>
+            {proof.summary && <p className="text-gray-700 whitespace-pre-wrap">{proof.summary}</p>}
+            {links}
+            {proof.contentHash && (
+                <div className="pt-2 border-t border-gray-100 text-xs space-y-1">
+                    <div className="font-mono text-gray-500 break-all">{proof.contentHash}</div>
+                    <label className="text-blue-600 hover:underline cursor-pointer">
+                        Check a file against this hash
+                        <input type="file" onChange={handleVerify} className="hidden" />
+                    </label>
+                    {check && (
+                        <div className={check.matches ? 'text-green-600 font-medium' : 'text-red-600 font-medium'}>
+                            {check.matches ? `✅ ${check.name} matches` : `❌ ${check.name} does not match`}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
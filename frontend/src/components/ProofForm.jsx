@@ -0,0 +1,91 @@
+import { LINK_LABELS, MAX_PROOF_LINKS, MAX_SUMMARY_LENGTH, hashFile } from '../utils/proof';
+
+/**
+ * Editor for a structured proof draft (see utils/proof). Controlled: the
+ * parent owns the draft and decides when it is valid enough to submit.
+ */
+export default function ProofForm({ value, onChange, errors = [] }) {
+    const update = (patch) => onChange({ ...value, ...patch });
+    const updateLink = (index, patch) => update({
+        links: value.links.map((link, i) => (i === index ? { ...link, ...patch } : link))
+    });
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) update({ contentHash: await hashFile(file) });
+    };
+
+    return (
+        <div className="space-y-2 text-sm">
+            {value.links.map((link, i) => (
+                <div key={i} className="flex gap-2">
+                    <input
+                        list="proof-link-labels"
+                        value={link.label}
+                        onChange={e => updateLink(i, { label: e.target.value })}
+                        placeholder="Label"
+                        className="w-32 border border-gray-300 rounded-lg px-2 py-2 text-sm"
+                    />
+                    <input
+                        type="url"
+                        value={link.url}
+                        onChange={e => updateLink(i, { url: e.target.value })}
+                        placeholder="https://..."
+                        className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                    />
+                    {value.links.length > 1 && (
+                        <button
+                            type="button"
+                            onClick={() => update({ links: value.links.filter((_, j) => j !== i) })}
+                            className="px-2 text-gray-400 hover:text-red-600"
+                            aria-label="Remove link"
+                        >
+                            ✕
+                        </button>
+                    )}
+                </div>
+            ))}
+            <datalist id="proof-link-labels">
+                {LINK_LABELS.map(label => <option key={label} value={label} />)}
+            </datalist>
+            {value.links.length < MAX_PROOF_LINKS && (
+                <button
+                    type="button"
+                    onClick={() => update({ links: [...value.links, { label: LINK_LABELS[value.links.length] || 'Other', url: '' }] })}
+                    className="text-xs text-blue-600 hover:underline"
+                >
+                    + Add link
+                </button>
+            )}
+
+            <textarea
+                value={value.summary}
+                onChange={e => update({ summary: e.target.value })}
+                placeholder="Summary of what was delivered (optional)"
+                maxLength={MAX_SUMMARY_LENGTH}
+                rows={3}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+            />
+
+            <div className="flex gap-2 items-center">
+                <input
+                    value={value.contentHash}
+                    onChange={e => update({ contentHash: e.target.value })}
+                    placeholder="Content hash (optional) sha256:..."
+                    className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-xs font-mono"
+                />
+                <label className="text-xs text-blue-600 hover:underline cursor-pointer whitespace-nowrap">
+                    Hash a file
+                    <input type="file" onChange={handleFile} className="hidden" />
+                </label>
+            </div>
+
+            {errors.length > 0 && (
+                <ul className="text-xs text-red-600 list-disc list-inside">
+                    {errors.map(err => <li key={err}>{err}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { formatEth } from '../utils/format';
+import { poolShare } from '../utils/indexer';
+
+/**
+ * What-if calculator for one project. Guaranteed amounts come from points the
+ * contract has already credited; projected amounts assume pending submissions
+ * pass and the selected open tasks get done.
+ */
+export default function RewardEstimator({ tasks, userAddress, totals, stats, projectEnded }) {
+    const [selected, setSelected] = useState(() => new Set());
+    const me = userAddress?.toLowerCase();
+    const { contributorPool, verifierPool, totalPossiblePoints, totalVerifierPoints } = totals;
+
+    const valueOf = (points) => poolShare(points, contributorPool, totalPossiblePoints);
+    const mine = tasks.filter(t => t.claimant?.toLowerCase() === me);
+    const pending = mine.filter(t => t.status === 2);
+    const pendingPoints = pending.reduce((sum, t) => sum + Number(t.points), 0);
+    const openTasks = projectEnded ? [] : tasks.filter(t => t.status === 0 || (t.status === 1 && t.claimant?.toLowerCase() === me));
+    const whatIfPoints = openTasks.filter(t => selected.has(t.id)).reduce((sum, t) => sum + Number(t.points), 0);
+
+    const guaranteed = BigInt(stats.contributorReward);
+    const ifPendingPass = valueOf(stats.contributorPoints + pendingPoints);
+    const ifAllSelected = valueOf(stats.contributorPoints + pendingPoints + whatIfPoints);
+
+    const verifierShare = poolShare(stats.verifierPoints, verifierPool, totalVerifierPoints);
+    const nextVoteShare = poolShare(stats.verifierPoints + 1, verifierPool, totalVerifierPoints + 1);
+
+    const toggle = (taskId) => setSelected(prev => {
+        const next = new Set(prev);
+        if (next.has(taskId)) next.delete(taskId);
+        else next.add(taskId);
+        return next;
+    });
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-6">
+            <h3 className="font-bold text-gray-900 flex items-center gap-2">
+                <span>🧮</span> Reward Estimator
+            </h3>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="p-4 rounded-xl bg-green-50 border border-green-100">
+                    <div className="text-[10px] font-black text-green-600 uppercase tracking-widest mb-1">Guaranteed</div>
+                    <div className="text-2xl font-black text-green-900">{formatEth(guaranteed)} <span className="text-xs font-bold text-green-500">ETH</span></div>
+                    <div className="text-[11px] text-green-700 mt-1">{stats.contributorPoints} verified pts</div>
+                </div>
+                <div className="p-4 rounded-xl bg-blue-50 border border-blue-100 border-dashed">
+                    <div className="text-[10px] font-black text-blue-600 uppercase tracking-widest mb-1">{projectEnded ? 'Verified when you claim' : 'Projected · pending pass'}</div>
+                    <div className="text-2xl font-black text-blue-900">{formatEth(ifPendingPass)} <span className="text-xs font-bold text-blue-400">ETH</span></div>
+                    <div className="text-[11px] text-blue-700 mt-1">+{pendingPoints} pts in {pending.length} pending submission{pending.length === 1 ? '' : 's'}</div>
+                </div>
+                <div className="p-4 rounded-xl bg-indigo-50 border border-indigo-100 border-dashed">
+                    <div className="text-[10px] font-black text-indigo-600 uppercase tracking-widest mb-1">Projected · what-if</div>
+                    <div className="text-2xl font-black text-indigo-900">{formatEth(ifAllSelected)} <span className="text-xs font-bold text-indigo-400">ETH</span></div>
+                    <div className="text-[11px] text-indigo-700 mt-1">+{whatIfPoints} pts from {selected.size} selected task{selected.size === 1 ? '' : 's'}</div>
+                </div>
+            </div>
+
+            {openTasks.length > 0 && (
+                <div>
+                    <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-2">Open tasks · tick to add to the what-if</div>
+                    <ul className="divide-y divide-gray-50 text-sm">
+                        {openTasks.map(task => (
+                            <li key={task.id}>
+                                <label className="py-2 flex items-center gap-3 cursor-pointer">
+                                    <input type="checkbox" checked={selected.has(task.id)} onChange={() => toggle(task.id)} />
+                                    <span className="flex-1 text-gray-700">
+                                        {task.description}
+                                        {task.status === 1 && <span className="ml-2 text-[10px] text-yellow-700 bg-yellow-50 px-1.5 py-0.5 rounded">claimed by you</span>}
+                                    </span>
+                                    <span className="text-gray-400 text-xs">{Number(task.points)} pts</span>
+                                    <span className="font-bold text-gray-900 w-28 text-right">{formatEth(valueOf(task.points))} ETH</span>
+                                </label>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <div className="p-4 rounded-xl bg-purple-50 border border-purple-100 border-dashed text-sm">
+                <div className="text-[10px] font-black text-purple-600 uppercase tracking-widest mb-1">Verifier share · projected</div>
+                {totalVerifierPoints === 0 ? (
+                    <p className="text-purple-800">No verifier points awarded yet. The first correct vote would claim the whole {formatEth(verifierPool)} ETH pool for now.</p>
+                ) : (
+                    <p className="text-purple-800">
+                        {stats.verifierPoints} of {totalVerifierPoints} verifier pts → <span className="font-black">{formatEth(verifierShare)} ETH</span> at current totals.
+                        {!projectEnded && <> One more correct vote would make it {formatEth(nextVoteShare)} ETH.</>}
+                    </p>
+                )}
+                <p className="text-[11px] text-purple-600 mt-1">
+                    Verifier shares keep moving until the project ends, as every correct vote adds to the total.
+                </p>
+            </div>
+
+            <p className="text-[11px] text-gray-400">
+                Contributor amounts use points × contributor pool ÷ {totalPossiblePoints} total task pts. Only the guaranteed figure is already credited on-chain.
+            </p>
+        </div>
+    );
+}
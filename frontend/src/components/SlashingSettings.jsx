@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { getContract } from '../utils/contract';
+import { formatSlashing } from '../utils/format';
+import useTransactions from '../hooks/useTransactions';
+import { sendTransaction, isBusy } from '../utils/transactions';
+
+/**
+ * The project's stake slashing terms. Sponsors can change them until the
+ * first vote is cast, after which the contract locks them.
+ */
+export default function SlashingSettings({ signer, project, isSponsor, isEnded }) {
+    const [editing, setEditing] = useState(false);
+    const [percent, setPercent] = useState('');
+    const [recipient, setRecipient] = useState(0);
+    const txKey = `project:${project.id}:slashing`;
+    const saving = isBusy(useTransactions(), txKey);
+
+    if (!project.slashing) return null;
+    const canEdit = isSponsor && !isEnded && !project.slashing.locked;
+
+    const startEditing = () => {
+        setPercent(String(project.slashing.slashBps / 100));
+        setRecipient(project.slashing.recipient);
+        setEditing(true);
+    };
+
+    const save = async (e) => {
+        e.preventDefault();
+        const contract = await getContract(signer);
+        const receipt = await sendTransaction({
+            key: txKey,
+            label: `Update slashing for "${project.name}"`,
+            contract,
+            method: 'setSlashingConfig',
+            args: [project.id, Math.round(Number(percent) * 100), recipient]
+        });
+        if (receipt) setEditing(false);
+    };
+
+    return (
+        <div className="border-t pt-4 mt-4 text-sm">
+            <div className="flex justify-between items-center gap-2">
+                <div>
+                    <span className="text-gray-500">Stake slashing: </span>
+                    <span className="font-medium text-gray-900">{formatSlashing(project.slashing)}</span>
+                    {project.slashing.locked && <span className="ml-2 text-xs text-gray-400">🔒 locked since the first vote</span>}
+                </div>
+                {canEdit && !editing && (
+                    <button onClick={startEditing} className="text-xs text-blue-600 hover:underline">Edit</button>
+                )}
+            </div>
+
+            {editing && (
+                <form onSubmit={save} className="flex flex-wrap gap-2 items-center mt-3">
+                    <label className="flex items-center gap-1">
+                        <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            step="0.01"
+                            value={percent}
+                            onChange={e => setPercent(e.target.value)}
+                            className="w-24 border border-gray-300 rounded-lg px-2 py-1"
+                            required
+                        />
+                        % slashed, paid to
+                    </label>
+                    <select value={recipient} onChange={e => setRecipient(Number(e.target.value))} className="border border-gray-300 rounded-lg px-2 py-1">
+                        <option value={0}>majority voters</option>
+                        <option value={1}>sponsor</option>
+                    </select>
+                    <button type="submit" disabled={saving} className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded-lg font-medium disabled:opacity-50">
+                        {saving ? 'Saving...' : 'Save'}
+                    </button>
+                    <button type="button" onClick={() => setEditing(false)} className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-3 py-1 rounded-lg font-medium">
+                        Cancel
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
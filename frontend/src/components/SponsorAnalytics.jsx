@@ -0,0 +1,153 @@
+import { useMemo } from 'react';
+import { selectProjectAnalytics } from '../utils/indexer';
+import useBlockTimes from '../hooks/useBlockTimes';
+import { formatEth, formatDuration, formatCountdown } from '../utils/format';
+
+const STATUSES = [
+    { label: 'Open', color: 'bg-gray-300' },
+    { label: 'Claimed', color: 'bg-yellow-400' },
+    { label: 'Submitted', color: 'bg-blue-500' },
+    { label: 'Verified', color: 'bg-green-500' }
+];
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Bar widths are shares of a whole, so BigInt amounts are scaled to basis points first
+const percentOf = (part, whole) => (whole > 0n ? Number((part * 10000n) / whole) / 100 : 0);
+
+function StackedBar({ segments }) {
+    return (
+        <div className="flex h-3 rounded-full overflow-hidden bg-gray-100">
+            {segments.filter(s => s.percent > 0).map(s => (
+                <div key={s.label} className={s.color} style={{ width: `${s.percent}%` }} title={`${s.label}: ${s.percent.toFixed(1)}%`} />
+            ))}
+        </div>
+    );
+}
+
+function Legend({ items }) {
+    return (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-600">
+            {items.map(item => (
+                <span key={item.label} className="flex items-center gap-1.5">
+                    <span className={`w-2.5 h-2.5 rounded-sm ${item.color}`} />
+                    {item.label} <span className="font-bold text-gray-900">{item.value}</span>
+                </span>
+            ))}
+        </div>
+    );
+}
+
+function DurationStat({ title, pairs, times }) {
+    const samples = pairs
+        .filter(([from, to]) => times[from] !== undefined && times[to] !== undefined)
+        .map(([from, to]) => times[to] - times[from]);
+    const longest = samples.length > 0 ? Math.max(...samples) : 0;
+
+    return (
+        <div className="p-4 rounded-xl bg-gray-50 border border-gray-100">
+            <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-1">{title}</div>
+            {pairs.length === 0 ? (
+                <div className="text-sm text-gray-400 italic">No data yet</div>
+            ) : samples.length < pairs.length ? (
+                <div className="text-sm text-gray-400">Loading block times...</div>
+            ) : (
+                <>
+                    <div className="text-2xl font-black text-gray-900">{formatDuration(median(samples))}</div>
+                    <div className="text-[11px] text-gray-500 mb-2">
+                        median of {samples.length} · avg {formatDuration(samples.reduce((a, b) => a + b, 0) / samples.length)} · max {formatDuration(longest)}
+                    </div>
+                    <div className="flex items-end gap-0.5 h-10">
+                        {samples.map((s, i) => (
+                            <div
+                                key={i}
+                                className="flex-1 bg-blue-300 rounded-t"
+                                style={{ height: `${longest > 0 ? Math.max(4, (s / longest) * 100) : 100}%` }}
+                                title={formatDuration(s)}
+                            />
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Sponsor view of how a project is going, built entirely from the indexed
+ * contract events plus the end time and refund flag read at hydration.
+ */
+export default function SponsorAnalytics({ signer, index, project }) {
+    const stats = useMemo(() => selectProjectAnalytics(index, project), [index, project]);
+    const times = useBlockTimes(signer, [...stats.claimToSubmit, ...stats.submitToVerify].flat());
+
+    const taskCount = project.tasks.length;
+    const statusSegments = STATUSES.map((s, i) => ({
+        ...s,
+        value: `${stats.statusCounts[i]} (${stats.statusPoints[i]} pts)`,
+        percent: taskCount > 0 ? (stats.statusCounts[i] / taskCount) * 100 : 0
+    }));
+
+    const unallocated = stats.committed - stats.earned - stats.underReview - stats.refundable;
+    const ethSegments = [
+        { label: 'Earned', color: 'bg-green-500', amount: stats.earned },
+        { label: 'Under review', color: 'bg-blue-500', amount: stats.underReview },
+        { label: 'Refundable', color: 'bg-orange-400', amount: stats.refundable },
+        { label: project.sponsorRefunded ? 'Refunded / unused' : 'Unused verifier pool', color: 'bg-gray-300', amount: unallocated }
+    ].map(s => ({ ...s, value: `${formatEth(s.amount)} ETH`, percent: percentOf(s.amount, stats.committed) }));
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6 space-y-6">
+            <div className="flex justify-between items-center">
+                <h2 className="text-lg font-bold">Sponsor Analytics</h2>
+                <span className={`text-xs font-medium px-3 py-1 rounded-full ${stats.ended ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                    {stats.ended ? 'Ended' : formatCountdown(stats.timeLeft)}
+                </span>
+            </div>
+
+            <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">Task status · {taskCount} tasks</div>
+                <StackedBar segments={statusSegments} />
+                <Legend items={statusSegments} />
+            </div>
+
+            <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">Budget · {formatEth(stats.committed)} ETH committed</div>
+                <StackedBar segments={ethSegments} />
+                <Legend items={ethSegments} />
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="p-4 rounded-xl bg-gray-50 border border-gray-100">
+                    <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-1">Contributors</div>
+                    <div className="text-2xl font-black text-gray-900">{stats.contributorCount}</div>
+                </div>
+                <div className="p-4 rounded-xl bg-gray-50 border border-gray-100">
+                    <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-1">Verifiers</div>
+                    <div className="text-2xl font-black text-gray-900">{stats.verifierCount}</div>
+                </div>
+                <div className="p-4 rounded-xl bg-gray-50 border border-gray-100">
+                    <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-1">Rejection rate</div>
+                    <div className="text-2xl font-black text-gray-900">
+                        {stats.rejectionRate === null ? '—' : `${Math.round(stats.rejectionRate * 100)}%`}
+                    </div>
+                    <div className="text-[11px] text-gray-500">{stats.rejectedAttempts} of {stats.settledAttempts} reviewed submissions</div>
+                </div>
+                <div className="p-4 rounded-xl bg-gray-50 border border-gray-100">
+                    <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-1">Time remaining</div>
+                    <div className="text-2xl font-black text-gray-900">{stats.ended ? '—' : formatDuration(stats.timeLeft)}</div>
+                    <div className="text-[11px] text-gray-500">ends {new Date(project.endTime * 1000).toLocaleDateString()}</div>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <DurationStat title="Claim → submit" pairs={stats.claimToSubmit} times={times} />
+                <DurationStat title="Submit → verified" pairs={stats.submitToVerify} times={times} />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,28 @@
+import { formatEth } from '../utils/format';
+
+/**
+ * How a vote's stake was settled: returned plus any share of slashed
+ * stakes for the majority, slashed (and what was left over) for the minority,
+ * or refunded when the task was verified before the vote concluded.
+ */
+export default function StakeOutcome({ settlement }) {
+    if (!settlement) return <span className="text-xs text-gray-400">stake locked</span>;
+    if (settlement.refunded) return <span className="text-xs text-gray-600 bg-gray-100 px-1.5 py-0.5 rounded">stake refunded · vote not concluded</span>;
+
+    const slashed = BigInt(settlement.slashed);
+    const bonus = BigInt(settlement.bonus);
+
+    if (slashed > 0n) {
+        return (
+            <span className="text-xs text-red-700 bg-red-50 px-1.5 py-0.5 rounded">
+                {formatEth(slashed)} ETH slashed{BigInt(settlement.returned) > 0n && ` · ${formatEth(settlement.returned)} returned`}
+            </span>
+        );
+    }
+
+    return (
+        <span className="text-xs text-green-700 bg-green-50 px-1.5 py-0.5 rounded">
+            stake returned{bonus > 0n && ` · +${formatEth(bonus)} ETH from slashing`}
+        </span>
+    );
+}
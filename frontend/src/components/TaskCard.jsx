@@ -1,11 +1,27 @@
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { ethers } from 'ethers';
 import { getContract } from '../utils/contract';
+import useTransactions from '../hooks/useTransactions';
+import { sendTransaction, notifyFailure, isBusy } from '../utils/transactions';
+import { emptyProof, validateProof, encodeProof } from '../utils/proof';
+import { storeProof } from '../utils/proofStorage';
+import usePreflight from '../hooks/usePreflight';
+import useProofRef from '../hooks/useProofRef';
+import { approvalsNeeded } from '../utils/projectSpec';
+import { formatApproval } from '../utils/format';
+import ConnectPrompt from './ConnectPrompt';
+import AddressLink from './AddressLink';
+import VoteBreakdown from './VoteBreakdown';
+import VoteButtons from './VoteButtons';
+import ProofForm from './ProofForm';
+import ProofCard from './ProofCard';
+
 
 export default function TaskCard(props) {
     const {
         task,
-        projectId,
+        project,
         userAddress,
         isSponsor,
         isPhaseUnlocked,
@@ -16,8 +32,10 @@ export default function TaskCard(props) {
         signer
     } = props;
 
-    const [loading, setLoading] = useState(false);
-    const [proofUrl, setProofUrl] = useState('');
+    const transactions = useTransactions();
+    const { id: projectId, voting } = project;
+    const [proof, setProof] = useState(emptyProof);
+    const [mountTime] = useState(() => Math.floor(Date.now() / 1000));
 
     
     const status = Number(task.status);
@@ -34,68 +52,64 @@ export default function TaskCard(props) {
         'bg-red-100 text-red-700'
     ];
 
+    const proofErrors = validateProof(proof);
+    const encodedProof = proofErrors.length === 0 ? encodeProof(proof) : '';
+    const expectedRef = useProofRef(encodedProof);
+    const proofTouched = proof.links.some(l => l.url) || Boolean(proof.summary || proof.contentHash);
+
+    const txKey = `task:${projectId}:${task.id}`;
+    const loading = isBusy(transactions, txKey);
+
     const handleAction = async (actionName) => {
-        if (!signer) return alert('Connect wallet first');
-        if (isEnded) return alert('Project has ended. No further actions allowed.');
-        setLoading(true);
+        if (!signer) return notifyFailure('Task action', 'Connect wallet first');
+        if (isEnded) return notifyFailure('Task action', 'Project has ended. No further actions allowed.');
 
-        try {
-            const contract = await getContract(signer);
-            let tx;
+        const contract = await getContract(signer);
+        const run = (label, method, args) => sendTransaction({
+            key: txKey,
+            label: `${label} (task #${task.id})`,
+            contract,
+            method,
+            args
+        });
+        let receipt;
 
-            switch (actionName) {
-                case 'claim':
-                    if (status === 1 && deadlinePassed) {
-                        
-                        const cancelTx = await contract.cancelTask(projectId, task.id);
-                        await cancelTx.wait();
-                    }
-                    tx = await contract.claimTask(projectId, task.id);
-                    break;
-
-                case 'submit':
-                    if (!proofUrl) throw new Error('Proof URL required');
-                    tx = await contract.submitTask(projectId, task.id, proofUrl);
-                    break;
-
-                case 'vote_approve':
-                    tx = await contract.stakeAndVote(
-                        projectId,
-                        task.id,
-                        true,
-                        { value: ethers.parseEther("0.02") }
-                    );
-                    break;
-
-                case 'vote_reject':
-                    tx = await contract.stakeAndVote(
-                        projectId,
-                        task.id,
-                        false,
-                        { value: ethers.parseEther("0.02") }
-                    );
-                    break;
-
-                case 'cancel':
-                    tx = await contract.cancelTask(projectId, task.id);
-                    break;
-
-                default:
-                    throw new Error('Unknown action');
+        switch (actionName) {
+            case 'claim':
+                if (status === 1 && deadlinePassed) {
+                    const cancelled = await run('Release expired claim', 'cancelTask', [projectId, task.id]);
+                    if (!cancelled) return;
+                }
+                receipt = await run('Claim task', 'claimTask', [projectId, task.id]);
+                break;
+
+            case 'submit': {
+                if (!encodedProof) return notifyFailure('Submit proof', proofErrors[0]);
+                let proofRef;
+                try {
+                    proofRef = await storeProof(encodedProof);
+                } catch (err) {
+                    return notifyFailure('Upload proof', err.message);
+                }
+                receipt = await run('Submit proof', 'submitTask', [projectId, task.id, proofRef]);
+                break;
             }
 
-            await tx.wait();
+            case 'cancel':
+                receipt = await run('Cancel claim', 'cancelTask', [projectId, task.id]);
+                break;
+
+            default:
+                return;
+        }
+
+        if (receipt) {
             refresh();
-            setProofUrl('');
-        } catch (err) {
-            console.error(err);
-            alert(err.reason || err.message || 'Transaction failed');
-        } finally {
-            setLoading(false);
+            setProof(emptyProof());
         }
     };
 
-    const effectiveNow = blockchainTime || Math.floor(Date.now() / 1000);
+    const effectiveNow = blockchainTime || mountTime;
 
     const isClaimant =
         userAddress &&
@@ -105,6 +119,24 @@ export default function TaskCard(props) {
     const deadlinePassed =
         claimDeadline > 0 && effectiveNow > claimDeadline;
 
+    // Simulate only the actions this user is actually shown
+    const canClaim = (status === 0 || (status === 1 && deadlinePassed)) && !isSponsor && isPhaseUnlocked;
+    const preflight = usePreflight(signer, isEnded ? {} : {
+        claim: canClaim
+            ? { method: status === 1 ? 'cancelTask' : 'claimTask', args: [projectId, task.id] }
+            : null,
+        submit: status === 1 && isClaimant && expectedRef
+            ? { method: 'submitTask', args: [projectId, task.id, expectedRef] }
+            : null,
+        cancel: status === 1 && (isClaimant || deadlinePassed)
+            ? { method: 'cancelTask', args: [projectId, task.id] }
+            : null
+    }, blockchainTime);
+    const blocked = (name) => Boolean(preflight[name] && !preflight[name].ok);
+    const predictedFailure = ['claim', 'submit', 'cancel']
+        .map(name => preflight[name])
+        .find(result => result && !result.ok);
+
     return (
         <div className={`border rounded-lg p-4 bg-white shadow-sm transition-all ${status === 3 ? 'border-green-200 bg-green-50/50' : 'border-gray-200'}`}>
             
@@ -119,7 +151,9 @@ export default function TaskCard(props) {
                         </span>
                     </div>
                     <h4 className="font-medium mt-2 text-lg">
-                        {task.description}
+                        <Link to={`/project/${projectId}/task/${task.id}`} className="hover:text-blue-600">
+                            {task.description}
+                        </Link>
                     </h4>
                 </div>
 
@@ -139,8 +173,7 @@ export default function TaskCard(props) {
             <div className="text-sm text-gray-600 space-y-1 mb-4">
                 {task.claimant && task.claimant !== ethers.ZeroAddress && (
                     <div>
-                        Claimant: {task.claimant.slice(0, 6)}...
-                        {task.claimant.slice(-4)}
+                        Claimant: <AddressLink address={task.claimant} />
                     </div>
                 )}
 
@@ -153,21 +186,16 @@ export default function TaskCard(props) {
                     </div>
                 )}
 
-                {task.proofUrl && (
-                    <div className="flex items-center gap-2">
-                        Proof:{' '}
-                        <a
-                            href={task.proofUrl}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-blue-600 hover:underline inline-flex items-center gap-1"
-                        >
-                            View submission 🔗
-                        </a>
-                    </div>
-                )}
             </div>
 
+            {task.proofUrl && (
+                <div className="mt-3">
+                    <ProofCard key={task.proofUrl} raw={task.proofUrl} />
+                </div>
+            )}
+
+            <VoteBreakdown signer={signer} project={project} task={task} />
+
             
             <div className="mt-4 pt-4 border-t border-gray-100">
                 {isEnded ? (
@@ -180,11 +208,13 @@ export default function TaskCard(props) {
                         {(status === 0 || (status === 1 && deadlinePassed)) && (
                             <div className="w-full">
                                 {!isSponsor ? (
-                                    isPhaseUnlocked ? (
+                                    !signer ? (
+                                        <ConnectPrompt action="claim this task" />
+                                    ) : isPhaseUnlocked ? (
                                         <button
                                             onClick={() => handleAction('claim')}
-                                            disabled={loading}
-                                            className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2.5 rounded-lg font-bold shadow-sm transition-all"
+                                            disabled={loading || blocked('claim')}
+                                            className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2.5 rounded-lg font-bold shadow-sm transition-all disabled:opacity-50 disabled:cursor-not-allowed"
                                         >
                                             {loading ? 'Processing...' : (status === 1 && deadlinePassed ? '✋ Claim Task' : '✋ Claim Task')}
                                         </button>
@@ -206,36 +236,36 @@ export default function TaskCard(props) {
                             <div className="w-full flex flex-col gap-2">
                                 {isClaimant ? (
                                     <div className="space-y-2">
-                                        <input
-                                            type="text"
-                                            placeholder="Enter proof URL (e.g. GitHub, Loom)"
-                                            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
-                                            value={proofUrl}
-                                            onChange={e => setProofUrl(e.target.value)}
+                                        <ProofForm
+                                            value={proof}
+                                            onChange={setProof}
+                                            errors={proofTouched ? proofErrors : []}
                                         />
                                         <div className="flex gap-2">
                                             <button
                                                 onClick={() => handleAction('submit')}
-                                                disabled={loading || !proofUrl}
-                                                className="flex-1 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-bold"
+                                                disabled={loading || !encodedProof || blocked('submit')}
+                                                className="flex-1 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-bold disabled:opacity-50 disabled:cursor-not-allowed"
                                             >
                                                 Submit Work
                                             </button>
                                             <button
                                                 onClick={() => handleAction('cancel')}
-                                                disabled={loading}
-                                                className="bg-gray-100 hover:bg-gray-200 text-gray-600 px-4 py-2 rounded-lg font-bold"
+                                                disabled={loading || blocked('cancel')}
+                                                className="bg-gray-100 hover:bg-gray-200 text-gray-600 px-4 py-2 rounded-lg font-bold disabled:opacity-50 disabled:cursor-not-allowed"
                                             >
                                                 Cancel
                                             </button>
                                         </div>
                                     </div>
                                 ) : (
-                                    deadlinePassed ? (
+                                    deadlinePassed && !signer ? (
+                                        <ConnectPrompt action="reset this task" />
+                                    ) : deadlinePassed ? (
                                         <button
                                             onClick={() => handleAction('cancel')}
-                                            disabled={loading}
-                                            className="w-full bg-red-50 hover:bg-red-100 text-red-600 px-4 py-2 rounded-lg font-bold border border-red-100"
+                                            disabled={loading || blocked('cancel')}
+                                            className="w-full bg-red-50 hover:bg-red-100 text-red-600 px-4 py-2 rounded-lg font-bold border border-red-100 disabled:opacity-50 disabled:cursor-not-allowed"
                                         >
                                             ♻ Reset Task (Deadline Passed)
                                         </button>
@@ -254,34 +284,26 @@ export default function TaskCard(props) {
                                 <div className="space-y-1.5">
                                     <div className="flex justify-between text-[11px] font-bold text-gray-500 uppercase">
                                         <span>Voting Progress</span>
-                                        <span>{voteCount}/3 Votes</span>
+                                        <span>{voteCount}/{voting ? voting.quorum : '…'} Votes</span>
                                     </div>
                                     <div className="w-full bg-gray-100 rounded-full h-2 overflow-hidden border border-gray-200">
                                         <div
                                             className="bg-blue-500 h-full transition-all duration-500"
-                                            style={{ width: `${(voteCount / 3) * 100}%` }}
+                                            style={{ width: `${voting ? Math.min(voteCount / voting.quorum, 1) * 100 : 0}%` }}
                                         ></div>
                                     </div>
+                                    {voting && (
+                                        <div className="text-[11px] text-gray-500">
+                                            {approvalsNeeded(voting.approvalBps, voting.quorum)} of {voting.quorum} must approve ({formatApproval(voting.approvalBps)})
+                                        </div>
+                                    )}
                                 </div>
 
                                 {!isClaimant && !isSponsor && !task.hasVoted && (
-                                    isVerifier ? (
-                                        <div className="flex gap-2">
-                                            <button
-                                                onClick={() => handleAction('vote_approve')}
-                                                disabled={loading}
-                                                className="flex-1 bg-green-600 hover:bg-green-700 text-white px-4 py-2.5 rounded-lg font-bold shadow-sm"
-                                            >
-                                                Approve (Stake 0.02)
-                                            </button>
-                                            <button
-                                                onClick={() => handleAction('vote_reject')}
-                                                disabled={loading}
-                                                className="flex-1 bg-red-600 hover:bg-red-700 text-white px-4 py-2.5 rounded-lg font-bold shadow-sm"
-                                            >
-                                                Reject (Stake 0.02)
-                                            </button>
-                                        </div>
+                                    !signer ? (
+                                        <ConnectPrompt action="verify this task" />
+                                    ) : isVerifier ? (
+                                        <VoteButtons project={project} task={task} signer={signer} onVoted={refresh} />
                                     ) : (
                                         <div className="text-center py-2 bg-gray-50 text-gray-400 rounded-lg text-[10px] font-black uppercase tracking-widest border border-dashed border-gray-200">
                                             🛡️ Verifier Access Required
@@ -320,6 +342,15 @@ export default function TaskCard(props) {
                 )}
             </div>
 
+            {!loading && !isEnded && predictedFailure && (
+                <div className="text-xs text-red-600 mt-3 text-center font-medium">
+                    {predictedFailure.error.message}
+                    {predictedFailure.error.action && (
+                        <span className="block text-gray-500 font-normal">{predictedFailure.error.action}</span>
+                    )}
+                </div>
+            )}
+
             {loading && (
                 <div className="text-xs text-gray-500 mt-3 text-center animate-pulse font-medium">
                     Processing transaction...
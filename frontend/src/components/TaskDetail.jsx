@@ -0,0 +1,101 @@
+import { useParams, Link } from 'react-router-dom';
+import useProjectView from '../hooks/useProjectView';
+import useDocumentTitle from '../hooks/useDocumentTitle';
+import useBlockTimes from '../hooks/useBlockTimes';
+import { selectClaimAttempts } from '../utils/indexer';
+import TaskCard from './TaskCard';
+import AddressLink from './AddressLink';
+import ProofCard from './ProofCard';
+import ActivityLog from './ActivityLog';
+
+const OUTCOME_STYLES = {
+    active: 'bg-yellow-100 text-yellow-700',
+    released: 'bg-gray-100 text-gray-600',
+    rejected: 'bg-red-100 text-red-700',
+    verified: 'bg-green-100 text-green-700'
+};
+
+export default function TaskDetail({ signer, userAddress }) {
+    const { id, taskId } = useParams();
+    const { loading, refresh, project, tasks, blockchainTime, isSponsor, isEnded, isVerifier } =
+        useProjectView(signer, userAddress, id);
+
+    const task = tasks[Number(taskId)] || null;
+    const phase = project && task ? project.phases[task.phaseId] : null;
+    const times = useBlockTimes(signer, task ? task.history.map(e => e.blockNumber) : []);
+
+    useDocumentTitle(
+        task ? `Task #${task.id}: ${task.description}` : null,
+        task ? `${task.points} points in ${project.name}` : null
+    );
+
+    if (loading) return <div className="p-8 text-center">Loading task...</div>;
+    if (!project) return <div className="p-8 text-center">Project not found</div>;
+    if (!task) return <div className="p-8 text-center">Task not found</div>;
+
+    const attempts = selectClaimAttempts(task);
+    const formatBlock = (blockNumber) => (times[blockNumber]
+        ? new Date(times[blockNumber] * 1000).toLocaleString()
+        : `Block ${blockNumber}`);
+
+    return (
+        <div className="max-w-4xl mx-auto p-6 space-y-6">
+            <div className="text-sm text-gray-500 flex flex-wrap gap-1">
+                <Link to={`/project/${id}`} className="text-blue-600 hover:underline">{project.name}</Link>
+                <span>/</span>
+                <Link to={`/project/${id}/phase/${task.phaseId}`} className="text-blue-600 hover:underline">{phase.name}</Link>
+                <span>/</span>
+                <span>Task #{task.id}</span>
+            </div>
+
+            <TaskCard
+                task={task}
+                project={project}
+                userAddress={userAddress}
+                isSponsor={isSponsor}
+                isPhaseUnlocked={phase.unlocked}
+                blockchainTime={blockchainTime}
+                isEnded={isEnded}
+                isVerifier={isVerifier}
+                signer={signer}
+                refresh={refresh}
+            />
+
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h2 className="text-lg font-bold mb-4">Claim History</h2>
+                {attempts.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">Nobody has claimed this task yet.</p>
+                ) : (
+                    <div className="space-y-3">
+                        {attempts.map(attempt => (
+                            <div key={attempt.claimBlock} className="border border-gray-100 rounded-lg p-3 text-sm">
+                                <div className="flex justify-between items-center">
+                                    <AddressLink address={attempt.claimant} />
+                                    <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${OUTCOME_STYLES[attempt.outcome]}`}>
+                                        {attempt.outcome}
+                                    </span>
+                                </div>
+                                <div className="text-xs text-gray-500 mt-1">
+                                    Claimed {formatBlock(attempt.claimBlock)}
+                                    {attempt.endBlock && ` · closed ${formatBlock(attempt.endBlock)}`}
+                                </div>
+                                {attempt.proofUrl && (
+                                    <div className="mt-1">
+                                        <ProofCard raw={attempt.proofUrl} compact />
+                                    </div>
+                                )}
+                                {attempt.votes.length > 0 && (
+                                    <div className="text-xs text-gray-500 mt-1">
+                                        Votes: {attempt.votes.filter(v => v.approved).length} approve, {attempt.votes.filter(v => !v.approved).length} reject
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <ActivityLog signer={signer} project={project} taskId={task.id} />
+        </div>
+    );
+}
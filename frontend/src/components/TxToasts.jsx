@@ -0,0 +1,81 @@
+import { useEffect } from 'react';
+import useTransactions from '../hooks/useTransactions';
+import { getReadProvider, explorerTxUrl } from '../utils/contract';
+import { dismissTransaction, resumePending } from '../utils/transactions';
+
+const STATUS_STYLES = {
+    checking: 'border-gray-300',
+    signing: 'border-gray-300',
+    pending: 'border-blue-400',
+    mined: 'border-green-500',
+    failed: 'border-red-500'
+};
+
+const STATUS_TEXT = {
+    checking: 'Simulating transaction...',
+    signing: 'Waiting for wallet signature...',
+    pending: 'Pending confirmation...',
+    mined: 'Confirmed',
+    failed: 'Failed'
+};
+
+const AUTO_DISMISS_MS = 8000;
+
+export default function TxToasts({ signer }) {
+    const transactions = useTransactions();
+
+    useEffect(() => {
+        resumePending(getReadProvider(signer))
+            .catch(err => console.error('Failed to resume pending transactions:', err));
+    }, [signer]);
+
+    useEffect(() => {
+        const timers = transactions
+            .filter(tx => tx.status === 'mined')
+            .map(tx => setTimeout(() => dismissTransaction(tx.id), AUTO_DISMISS_MS));
+        return () => timers.forEach(clearTimeout);
+    }, [transactions]);
+
+    if (transactions.length === 0) return null;
+
+    return (
+        <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80">
+            {transactions.slice(0, 5).map(tx => {
+                const link = explorerTxUrl(tx.chainId, tx.hash);
+                return (
+                    <div key={tx.id} className={`bg-white shadow-lg rounded-lg border-l-4 ${STATUS_STYLES[tx.status]} p-3 text-sm`}>
+                        <div className="flex justify-between items-start gap-2">
+                            <div className="font-semibold text-gray-900">{tx.label}</div>
+                            {(tx.status === 'mined' || tx.status === 'failed') && (
+                                <button
+                                    onClick={() => dismissTransaction(tx.id)}
+                                    className="text-gray-400 hover:text-gray-700"
+                                    aria-label="Dismiss"
+                                >
+                                    ✕
+                                </button>
+                            )}
+                        </div>
+                        <div className={`text-xs mt-1 ${tx.status === 'failed' ? 'text-red-600' : 'text-gray-500'} ${tx.status === 'pending' ? 'animate-pulse' : ''}`}>
+                            {tx.status === 'failed' && tx.error ? tx.error : STATUS_TEXT[tx.status]}
+                        </div>
+                        {tx.status === 'failed' && tx.hint && (
+                            <div className="text-xs text-gray-600 mt-1">{tx.hint}</div>
+                        )}
+                        {tx.hash && (
+                            <div className="text-xs font-mono text-gray-400 mt-1">
+                                {link ? (
+                                    <a href={link} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                                        {tx.hash.slice(0, 10)}...{tx.hash.slice(-8)} ↗
+                                    </a>
+                                ) : (
+                                    <span>{tx.hash.slice(0, 10)}...{tx.hash.slice(-8)}</span>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getContract } from '../utils/contract';
+import { formatCountdown } from '../utils/format';
+import { selectReviewQueue } from '../utils/indexer';
+import { decodeProof } from '../utils/proof';
+import useStoredProof from '../hooks/useStoredProof';
+import useProjectIndex from '../hooks/useProjectIndex';
+import useDocumentTitle from '../hooks/useDocumentTitle';
+import ConnectPrompt from './ConnectPrompt';
+import VoteButtons from './VoteButtons';
+import ProofCard from './ProofCard';
+
+const IMAGE_PROOF = /\.(png|jpe?g|gif|webp|svg)(\?.*)?$/i;
+
+const entryKey = ({ project, task }) => `${project.id}:${task.id}`;
+
+function ProofPreview({ url }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    if (IMAGE_PROOF.test(parsed.pathname)) {
+        return <img src={url} alt="Submitted proof" className="max-h-[28rem] w-full object-contain rounded-lg border border-gray-100 bg-gray-50" />;
+    }
+    return (
+        <iframe
+            src={url}
+            title="Submitted proof"
+            sandbox="allow-scripts"
+            referrerPolicy="no-referrer"
+            className="w-full h-[28rem] rounded-lg border border-gray-100 bg-gray-50"
+        />
+    );
+}
+
+/**
+ * Embeds the first link of a submission next to its ProofCard. Stored
+ * (ipfs://) proofs are previewed once the bundle matches its CID.
+ */
+function SubmissionPreview({ raw }) {
+    const stored = useStoredProof(raw);
+    if (stored.status && stored.status !== 'verified') return null;
+
+    const url = decodeProof(stored.status === 'verified' ? stored.encoded : raw).links[0]?.url;
+    if (!url) return null;
+
+    return (
+        <>
+            <ProofPreview url={url} />
+            <a href={url} target="_blank" rel="noopener noreferrer" className="block text-xs text-blue-600 hover:underline break-all">
+                Open preview in a new tab ↗ (some sites refuse to be embedded)
+            </a>
+        </>
+    );
+}
+
+export default function VerifierQueue({ signer, userAddress }) {
+    const { index, loading, error, refresh } = useProjectIndex(signer);
+    const [isVerifier, setIsVerifier] = useState(null);
+    const [selected, setSelected] = useState(null);
+
+    useDocumentTitle('Review Queue', 'Submitted tasks waiting for verifier votes');
+
+    useEffect(() => {
+        if (!signer || !userAddress) return;
+        getContract(signer)
+            .then(contract => contract.isEligibleVerifier(userAddress))
+            .then(setIsVerifier)
+            .catch(err => console.error(err));
+    }, [signer, userAddress]);
+
+    if (!signer || !userAddress) {
+        return (
+            <div className="max-w-4xl mx-auto p-6">
+                <ConnectPrompt action="review submissions" className="w-full py-6" />
+            </div>
+        );
+    }
+    if (error) return <div className="p-8 text-center text-red-500">{error}</div>;
+    if (loading || isVerifier === null) return <div className="p-8 text-center">Loading review queue...</div>;
+    if (!isVerifier) {
+        return (
+            <div className="max-w-4xl mx-auto p-6 text-center text-gray-500">
+                🛡️ Only eligible verifiers can review submissions.
+            </div>
+        );
+    }
+
+    const queue = selectReviewQueue(index, userAddress);
+    // After a vote the entry leaves the queue, so fall through to the next one
+    const current = queue.find(entry => entryKey(entry) === selected) || queue[0] || null;
+
+    return (
+        <div className="max-w-7xl mx-auto p-6">
+            <h1 className="text-3xl font-bold text-gray-900 mb-1">Review Queue</h1>
+            <p className="text-sm text-gray-500 mb-6">
+                {queue.length === 0 ? 'No submissions are waiting for your vote.' : `${queue.length} submission${queue.length === 1 ? '' : 's'} waiting for your vote.`}
+            </p>
+
+            {current && (
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-6">
+                    <ul className="md:col-span-2 space-y-2">
+                        {queue.map(entry => {
+                            const { project, task, timeLeft } = entry;
+                            const active = entry === current;
+                            return (
+                                <li key={entryKey(entry)}>
+                                    <button
+                                        onClick={() => setSelected(entryKey(entry))}
+                                        className={`w-full text-left p-3 rounded-lg border transition-colors ${active ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-white hover:border-blue-200'}`}
+                                    >
+                                        <div className="text-sm font-medium text-gray-900">{task.description}</div>
+                                        <div className="text-xs text-gray-500 mt-1 flex flex-wrap gap-x-3">
+                                            <span>{project.name}</span>
+                                            <span>{task.points} pts</span>
+                                            <span>{task.voteCount}/{project.voting?.quorum ?? '…'} votes</span>
+                                            <span className={timeLeft < 86400 ? 'text-red-600' : ''}>{formatCountdown(timeLeft)}</span>
+                                        </div>
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+
+                    <div className="md:col-span-3 bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4 self-start">
+                        <div>
+                            <Link to={`/project/${current.project.id}/task/${current.task.id}`} className="text-lg font-bold text-gray-900 hover:text-blue-600">
+                                {current.task.description}
+                            </Link>
+                            <div className="text-xs text-gray-500 mt-1">
+                                {current.project.name} · {current.task.points} pts · {current.task.voteCount}/{current.project.voting?.quorum ?? '…'} votes · {formatCountdown(current.timeLeft)}
+                            </div>
+                        </div>
+
+                        <ProofCard key={current.task.proofUrl} raw={current.task.proofUrl} />
+                        <SubmissionPreview key={entryKey(current)} raw={current.task.proofUrl} />
+
+                        <VoteButtons project={current.project} task={current.task} signer={signer} onVoted={refresh} />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,70 @@
+import { ethers } from 'ethers';
+import useVerifierBadges from '../hooks/useVerifierBadges';
+import { selectClaimAttempts } from '../utils/indexer';
+import AddressLink from './AddressLink';
+import StakeOutcome from './StakeOutcome';
+
+/**
+ * Who voted on a task's latest voted submission and how, from the indexed
+ * task history. A rejected submission stays on show after the task reopens.
+ * Once voting is finalized, verifiers who sided with the outcome are marked
+ * with the point they earned and every vote shows how its stake was settled.
+ */
+export default function VoteBreakdown({ signer, project, task }) {
+    const attempts = selectClaimAttempts(task);
+    const attempt = attempts.findLast(a => a.votes.length > 0);
+    const votes = attempt?.votes || [];
+    const badges = useVerifierBadges(signer, votes.map(v => v.verifier));
+
+    if (votes.length === 0) return null;
+
+    // Deployments without stake events only mark the end of a vote with its outcome
+    const finalized = attempt.outcome !== 'active' || votes.some(v => v.settlement);
+    const stake = project.voting?.stakeAmount;
+    const approvals = votes.filter(v => v.approved).length;
+    const rejections = votes.length - approvals;
+
+    return (
+        <div className="mt-3 space-y-2">
+            <div className="flex justify-between text-[11px] font-bold uppercase">
+                <span className="text-gray-500">
+                    {attempt === attempts.at(-1) ? 'Votes' : 'Votes on the previous submission'}
+                    {attempt.outcome === 'rejected' && <span className="text-red-600"> · rejected</span>}
+                </span>
+                <span>
+                    <span className="text-green-600">{approvals} approve</span>
+                    <span className="text-gray-400"> · </span>
+                    <span className="text-red-600">{rejections} reject</span>
+                </span>
+            </div>
+            <ul className="divide-y divide-gray-50 text-xs">
+                {votes.map(vote => {
+                    const badge = badges[vote.verifier.toLowerCase()];
+                    return (
+                        <li key={vote.verifier} className="py-1.5 flex justify-between items-center gap-2">
+                            <span className="flex items-center gap-1.5">
+                                <AddressLink address={vote.verifier} />
+                                {badge?.genesis && (
+                                    <span className="bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded text-[10px] font-bold">Genesis</span>
+                                )}
+                                {badge?.standard && (
+                                    <span className="bg-blue-100 text-blue-700 px-1.5 py-0.5 rounded text-[10px] font-bold">Verifier NFT</span>
+                                )}
+                            </span>
+                            <span className="flex items-center gap-2 text-right">
+                                <span className={`font-bold ${vote.approved ? 'text-green-600' : 'text-red-600'}`}>
+                                    {vote.approved ? 'Approve' : 'Reject'}
+                                </span>
+                                {stake && <span className="text-gray-400">{ethers.formatEther(stake)} ETH</span>}
+                                {finalized && vote.settlement?.withMajority && (
+                                    <span className="text-green-700 bg-green-50 px-1.5 py-0.5 rounded">+1 pt</span>
+                                )}
+                                {finalized && <StakeOutcome settlement={vote.settlement || null} />}
+                            </span>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,58 @@
+import { ethers } from 'ethers';
+import { getContract } from '../utils/contract';
+import { sendTransaction, isBusy } from '../utils/transactions';
+import useTransactions from '../hooks/useTransactions';
+import usePreflight from '../hooks/usePreflight';
+
+/**
+ * Approve/reject pair for a submitted task, staking the amount the project's
+ * voting rules ask for. Shares its busy state with the task's TaskCard.
+ */
+export default function VoteButtons({ project, task, signer, onVoted }) {
+    const { id: projectId, voting } = project;
+    const stake = voting ? BigInt(voting.stakeAmount) : null;
+    const key = `task:${projectId}:${task.id}`;
+    const busy = isBusy(useTransactions(), key);
+    const { vote } = usePreflight(signer, {
+        vote: stake !== null ? { method: 'stakeAndVote', args: [projectId, task.id, true], value: stake } : null
+    });
+    const blocked = Boolean(vote && !vote.ok);
+
+    const handleVote = async (approved) => {
+        const contract = await getContract(signer);
+        const receipt = await sendTransaction({
+            key,
+            label: `${approved ? 'Approve' : 'Reject'} (task #${task.id})`,
+            contract,
+            method: 'stakeAndVote',
+            args: [projectId, task.id, approved],
+            overrides: { value: stake }
+        });
+        if (receipt && onVoted) onVoted();
+    };
+
+    return (
+        <div className="space-y-1">
+            <div className="flex gap-2">
+                <button
+                    onClick={() => handleVote(true)}
+                    disabled={busy || stake === null || blocked}
+                    className="px-4 py-1.5 bg-green-600 text-white rounded text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+                >
+                    Approve
+                </button>
+                <button
+                    onClick={() => handleVote(false)}
+                    disabled={busy || stake === null || blocked}
+                    className="px-4 py-1.5 bg-red-600 text-white rounded text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+                >
+                    Reject
+                </button>
+                <span className="self-center text-xs text-gray-500">
+                    {busy ? 'Voting...' : `Stake: ${stake === null ? '…' : ethers.formatEther(stake)} ETH`}
+                </span>
+            </div>
+            {blocked && !busy && <p className="text-xs text-red-600">{vote.error.message}</p>}
+        </div>
+    );
+}
@@ -1,121 +1,94 @@
 import { useState, useEffect } from "react";
 import { ethers } from "ethers";
-import { EXPECTED_CHAIN_ID } from "../utils/contract";
-
-const ARB_SEPOLIA = {
-  chainId: "0x66eee", // 421614
-  chainName: "Arbitrum Sepolia",
-  rpcUrls: ["https://sepolia-rollup.arbitrum.io/rpc"],
-  nativeCurrency: {
-    name: "ETH",
-    symbol: "ETH",
-    decimals: 18,
-  },
-  blockExplorerUrls: ["https://sepolia.arbiscan.io"],
+import {
+  DEFAULT_CHAIN_ID,
+  SUPPORTED_CHAIN_IDS,
+  isSupportedChain,
+  networkName,
+  switchNetwork,
+} from "../utils/contract";
+
+// Connects to the injected wallet, moving it onto a supported network first.
+// Without requestAccounts it only resumes an existing authorization.
+const connectSession = async (requestAccounts) => {
+  const accounts = await window.ethereum.request({
+    method: requestAccounts ? "eth_requestAccounts" : "eth_accounts",
+  });
+  if (accounts.length === 0) return null;
+
+  const network = await new ethers.BrowserProvider(window.ethereum).getNetwork();
+  if (!isSupportedChain(network.chainId)) {
+    await switchNetwork(DEFAULT_CHAIN_ID);
+  }
+
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  const finalNetwork = await provider.getNetwork();
+
+  return {
+    signer,
+    address: await signer.getAddress(),
+    chainId: Number(finalNetwork.chainId),
+  };
 };
 
-const LOCALHOST = {
-  chainId: "0x7a69", // 31337
-  chainName: "Hardhat Localhost",
-  rpcUrls: ["http://127.0.0.1:8545"],
-  nativeCurrency: {
-    name: "ETH",
-    symbol: "ETH",
-    decimals: 18,
-  },
+// The header can mount two WalletConnects (desktop and mobile menu), so a
+// connect request from a prompt is shared instead of opening two wallet popups
+let pendingConnect = null;
+
+const openWalletSession = (requestAccounts) => {
+  if (!requestAccounts) return connectSession(false);
+  if (!pendingConnect) {
+    pendingConnect = connectSession(true).finally(() => {
+      pendingConnect = null;
+    });
+  }
+  return pendingConnect;
 };
 
 export default function WalletConnect({ setSigner, setAddress }) {
   const [connectedAddr, setConnectedAddr] = useState("");
   const [chainId, setChainId] = useState(null);
 
-  const connectWallet = async () => {
+  const applySession = (session) => {
+    if (!session) return;
+    setSigner(session.signer);
+    setAddress(session.address);
+    setConnectedAddr(session.address);
+    setChainId(session.chainId);
+  };
+
+  const connectWallet = () => {
     if (!window.ethereum) return alert("Install MetaMask");
 
-    try {
-      await window.ethereum.request({ method: "eth_requestAccounts" });
-
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const network = await provider.getNetwork();
-
-      if (Number(network.chainId) !== EXPECTED_CHAIN_ID) {
-        try {
-          const targetChainId = "0x" + EXPECTED_CHAIN_ID.toString(16);
-          await window.ethereum.request({
-            method: "wallet_switchEthereumChain",
-            params: [{ chainId: targetChainId }],
-          });
-        } catch (switchErr) {
-          if (switchErr.code === 4902) {
-            const config = EXPECTED_CHAIN_ID === 31337 ? LOCALHOST : ARB_SEPOLIA;
-            await window.ethereum.request({
-              method: "wallet_addEthereumChain",
-              params: [config],
-            });
-          } else {
-            throw switchErr;
-          }
-        }
-      }
-
-      const finalProvider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await finalProvider.getSigner();
-      const address = await signer.getAddress();
-      const finalNetwork = await finalProvider.getNetwork();
-
-      setSigner(signer);
-      setAddress(address);
-      setConnectedAddr(address);
-      setChainId(Number(finalNetwork.chainId));
-    } catch (err) {
-      console.error("Wallet connection failed:", err);
-    }
+    openWalletSession(true)
+      .then(applySession)
+      .catch((err) => console.error("Wallet connection failed:", err));
   };
 
-  const autoConnect = async () => {
-    if (!window.ethereum) return;
-
+  const changeNetwork = async (e) => {
     try {
-      const accounts = await window.ethereum.request({
-        method: "eth_accounts",
-      });
-
-      if (accounts.length === 0) return;
-
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const network = await provider.getNetwork();
-
-      if (Number(network.chainId) !== EXPECTED_CHAIN_ID) {
-        const targetChainId = "0x" + EXPECTED_CHAIN_ID.toString(16);
-        await window.ethereum.request({
-          method: "wallet_switchEthereumChain",
-          params: [{ chainId: targetChainId }],
-        });
-      }
-
-      const refreshedProvider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await refreshedProvider.getSigner();
-      const address = await signer.getAddress();
-      const finalNetwork = await refreshedProvider.getNetwork();
-
-      setSigner(signer);
-      setAddress(address);
-      setConnectedAddr(address);
-      setChainId(Number(finalNetwork.chainId));
+      await switchNetwork(Number(e.target.value));
     } catch (err) {
-      console.error("Auto connect failed:", err);
+      console.error("Network switch failed:", err);
     }
   };
 
   useEffect(() => {
-    autoConnect();
+    window.addEventListener("connectWallet", connectWallet);
+    if (!window.ethereum) {
+      return () => window.removeEventListener("connectWallet", connectWallet);
+    }
 
-    if (!window.ethereum) return;
+    openWalletSession(false)
+      .then(applySession)
+      .catch((err) => console.error("Auto connect failed:", err));
 
     window.ethereum.on("accountsChanged", () => window.location.reload());
     window.ethereum.on("chainChanged", () => window.location.reload());
 
     return () => {
+      window.removeEventListener("connectWallet", connectWallet);
       window.ethereum.removeAllListeners("accountsChanged");
       window.ethereum.removeAllListeners("chainChanged");
     };
@@ -128,9 +101,23 @@ export default function WalletConnect({ setSigner, setAddress }) {
           <span className="text-sm font-mono bg-gray-100 px-2 py-1 rounded">
             {connectedAddr.slice(0, 6)}...{connectedAddr.slice(-4)}
           </span>
-          <span className="text-xs text-gray-500">
-            Chain ID: {chainId}
-          </span>
+          <select
+            value={isSupportedChain(chainId) ? chainId : ""}
+            onChange={changeNetwork}
+            className="text-xs text-gray-500 bg-transparent border-none p-0 cursor-pointer focus:ring-0"
+            aria-label="Network"
+          >
+            {!isSupportedChain(chainId) && (
+              <option value="" disabled>
+                Unsupported network ({chainId})
+              </option>
+            )}
+            {SUPPORTED_CHAIN_IDS.map((id) => (
+              <option key={id} value={id}>
+                {networkName(id)}
+              </option>
+            ))}
+          </select>
         </div>
       ) : (
         <button
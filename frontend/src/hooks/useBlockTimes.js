@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { getReadProvider } from '../utils/contract';
+
+// Block timestamps never change, so they are shared across every caller
+const cache = new Map();
+
+// Read-only visitors share a public RPC that rate-limits bursts of getBlock calls
+const MAX_CONCURRENT = 4;
+
+/**
+ * Resolves block numbers to unix timestamps. Returns a `{ [blockNumber]: seconds }`
+ * map that fills in as blocks are fetched, a few at a time. Blocks that fail
+ * to load are left out and retried the next time the set of blocks changes.
+ */
+export default function useBlockTimes(signer, blockNumbers) {
+    const key = [...new Set(blockNumbers)].sort((a, b) => a - b).join(',');
+    const [times, setTimes] = useState({});
+
+    useEffect(() => {
+        if (!key) return;
+        let cancelled = false;
+        const provider = getReadProvider(signer);
+        const wanted = key.split(',').map(Number);
+
+        const missing = wanted.filter(n => !cache.has(n));
+        const publish = () => {
+            if (!cancelled) setTimes(Object.fromEntries(wanted.filter(n => cache.has(n)).map(n => [n, cache.get(n)])));
+        };
+
+        const load = async () => {
+            let failed = 0;
+            for (let i = 0; i < missing.length && !cancelled; i += MAX_CONCURRENT) {
+                const batch = missing.slice(i, i + MAX_CONCURRENT);
+                const results = await Promise.allSettled(batch.map(n => provider.getBlock(n)));
+                results.forEach((result, j) => {
+                    if (result.status === 'fulfilled' && result.value) cache.set(batch[j], Number(result.value.timestamp));
+                    else failed += 1;
+                });
+                if (i + MAX_CONCURRENT < missing.length) publish();
+            }
+            if (failed > 0) console.error(`Failed to load ${failed} of ${missing.length} block times`);
+        };
+
+        load().then(publish);
+
+        return () => {
+            cancelled = true;
+        };
+    }, [signer, key]);
+
+    return times;
+}
@@ -0,0 +1,38 @@
+import { useEffect, useRef } from 'react';
+import { getReadProvider } from '../utils/contract';
+import { getIndexer } from '../utils/indexer';
+
+/**
+ * Calls `onEvent` with each batch of new TaskSplitV2 events the shared indexer
+ * sees, optionally narrowed to a set of event names.
+ */
+export default function useContractEvents(signer, eventNames, onEvent) {
+    const handler = useRef(onEvent);
+    const names = eventNames ? eventNames.join(',') : '';
+
+    useEffect(() => {
+        handler.current = onEvent;
+    });
+
+    useEffect(() => {
+        let cancelled = false;
+        let unsubscribe = () => {};
+        const wanted = names ? new Set(names.split(',')) : null;
+
+        getIndexer(getReadProvider(signer))
+            .then(ix => {
+                if (cancelled) return;
+                unsubscribe = ix.onLog(logs => {
+                    const matching = wanted ? logs.filter(l => wanted.has(l.eventName)) : logs;
+                    if (matching.length > 0) handler.current(matching);
+                });
+                if (ix.getState().blockTime === 0) ix.sync().catch(err => console.error("Initial sync failed:", err));
+            })
+            .catch(err => console.error("Event subscription failed:", err));
+
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [signer, names]);
+}
@@ -0,0 +1,44 @@
+import { useEffect } from 'react';
+
+const APP_NAME = 'TaskSplit';
+
+// Sets a meta tag and returns a function that puts back what was there before
+const setMeta = (property, content) => {
+    let tag = document.head.querySelector(`meta[property="${property}"]`);
+    const created = !tag;
+    const previous = tag?.getAttribute('content');
+    if (created) {
+        tag = document.createElement('meta');
+        tag.setAttribute('property', property);
+        document.head.appendChild(tag);
+    }
+    tag.setAttribute('content', content);
+
+    return () => (created ? tag.remove() : tag.setAttribute('content', previous));
+};
+
+/**
+ * Sets the tab title and the Open Graph tags for the current route, and
+ * restores all of them when the route unmounts. Pass null while data is
+ * loading. Link-preview crawlers do not run scripts, so shared links still
+ * preview with the defaults in index.html.
+ */
+export default function useDocumentTitle(title, description) {
+    useEffect(() => {
+        if (!title) return;
+        const fullTitle = `${title} · ${APP_NAME}`;
+        const previousTitle = document.title;
+
+        document.title = fullTitle;
+        const restores = [
+            setMeta('og:title', fullTitle),
+            setMeta('og:url', window.location.href),
+            ...(description ? [setMeta('og:description', description)] : [])
+        ];
+
+        return () => {
+            document.title = previousTitle;
+            restores.reverse().forEach(restore => restore());
+        };
+    }, [title, description]);
+}
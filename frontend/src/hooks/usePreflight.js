@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { getContract } from '../utils/contract';
+import { simulateCall } from '../utils/preflight';
+
+const serialize = (checks) => JSON.stringify(checks, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+
+/**
+ * Simulates the write calls a component is about to offer so a predicted
+ * revert can disable the action before any signature is requested.
+ *
+ * `checks` maps a name to `{ method, args, value }` (or null to skip). Results
+ * are re-computed whenever the calls or `refreshKey` change; a name is
+ * undefined until its first simulation finishes.
+ */
+export default function usePreflight(signer, checks, refreshKey) {
+    const [results, setResults] = useState({ key: null, values: {} });
+    const key = serialize(checks);
+
+    useEffect(() => {
+        if (!signer) return;
+        let cancelled = false;
+        const requested = Object.entries(JSON.parse(key)).filter(([, check]) => check);
+
+        getContract(signer)
+            .then(contract => Promise.all(requested.map(([name, check]) =>
+                simulateCall(contract, check.method, check.args, check.value ? { value: check.value } : {})
+                    .then(result => [name, result])
+            )))
+            .then(entries => {
+                if (!cancelled) setResults({ key, values: Object.fromEntries(entries) });
+            })
+            .catch(err => console.error('Preflight failed:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [signer, key, refreshKey]);
+
+    return results.key === key ? results.values : {};
+}
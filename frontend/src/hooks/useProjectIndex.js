@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getReadProvider, isSupportedChain, supportedNetworksLabel } from '../utils/contract';
+import { getIndexer } from '../utils/indexer';
+
+/**
+ * Subscribes a component to the shared event index for the current provider.
+ * The index follows contract events live and reconnects when the signer or
+ * chain changes; `refresh` pulls any blocks mined since the last sync.
+ */
+export default function useProjectIndex(signer) {
+    const [index, setIndex] = useState(null);
+    const [error, setError] = useState(null);
+    const [indexer, setIndexer] = useState(null);
+    const [chainVersion, setChainVersion] = useState(0);
+
+    useEffect(() => {
+        if (!window.ethereum) return;
+        const onChainChanged = () => setChainVersion(v => v + 1);
+        window.ethereum.on('chainChanged', onChainChanged);
+        return () => window.ethereum.removeListener('chainChanged', onChainChanged);
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        let unsubscribe = () => {};
+
+        const connect = async () => {
+            const provider = getReadProvider(signer);
+
+            try {
+                const network = await provider.getNetwork();
+                if (!isSupportedChain(network.chainId)) {
+                    setError(`Wrong Network. Please switch to one of: ${supportedNetworksLabel()} in MetaMask.`);
+                    return;
+                }
+            } catch (networkErr) {
+                console.error("Network check failed:", networkErr);
+                setError("Unable to verify network. Please ensure MetaMask is correctly configured.");
+                return;
+            }
+
+            try {
+                const ix = await getIndexer(provider);
+                if (cancelled) return;
+
+                unsubscribe = ix.subscribe(setIndex);
+                setIndexer(ix);
+                setError(null);
+                setIndex(ix.getState().blockTime > 0 ? ix.getState() : null);
+                await ix.sync();
+            } catch (err) {
+                console.error("Failed to index projects:", err);
+                if (!cancelled) setError("Failed to load projects. Ensure the contract is deployed to the current network.");
+            }
+        };
+
+        connect();
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [signer, chainVersion]);
+
+    const refresh = useCallback(async () => {
+        if (indexer) await indexer.sync();
+    }, [indexer]);
+
+    return { index, error, loading: !index && !error, refresh };
+}
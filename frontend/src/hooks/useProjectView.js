@@ -0,0 +1,32 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ethers } from 'ethers';
+import { getContract } from '../utils/contract';
+import { selectTasks } from '../utils/indexer';
+import useProjectIndex from './useProjectIndex';
+
+/**
+ * Everything a page needs to render one project and its TaskCards: the
+ * indexed project, its tasks from the viewer's perspective and the viewer's
+ * role flags.
+ */
+export default function useProjectView(signer, userAddress, projectId) {
+    const { index, loading, error, refresh } = useProjectIndex(signer);
+    const [isVerifier, setIsVerifier] = useState(false);
+
+    useEffect(() => {
+        if (!signer) return;
+        getContract(signer)
+            .then(contract => contract.isEligibleVerifier(userAddress || ethers.ZeroAddress))
+            .then(setIsVerifier)
+            .catch(err => console.error(err));
+    }, [signer, userAddress]);
+
+    const project = index ? index.projects[Number(projectId)] || null : null;
+    const tasks = useMemo(() => (project ? selectTasks(project, userAddress) : []), [project, userAddress]);
+    const blockchainTime = index ? index.blockTime : 0;
+
+    const isSponsor = Boolean(project && userAddress && project.sponsor.toLowerCase() === userAddress.toLowerCase());
+    const isEnded = Boolean(project && blockchainTime > 0 && project.endTime > 0 && blockchainTime >= project.endTime);
+
+    return { index, loading, error, refresh, project, tasks, blockchainTime, isSponsor, isEnded, isVerifier };
+}
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { proofRefFor } from '../utils/proofStorage';
+
+/**
+ * The value an encoded proof will be submitted as (its `ipfs://` reference,
+ * or the proof itself when no store is configured), so preflight checks can
+ * simulate submitTask with the argument that is actually sent. Null while it
+ * is being hashed, for an empty proof or for one too large to store.
+ */
+export default function useProofRef(encoded) {
+    const [result, setResult] = useState({ encoded: null, ref: null });
+
+    useEffect(() => {
+        if (!encoded) return;
+        let cancelled = false;
+        proofRefFor(encoded)
+            .then(ref => {
+                if (!cancelled) setResult({ encoded, ref });
+            })
+            .catch(() => {
+                if (!cancelled) setResult({ encoded, ref: null });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [encoded]);
+
+    return encoded && result.encoded === encoded ? result.ref : null;
+}
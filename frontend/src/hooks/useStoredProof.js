@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { isStoredProof, loadProof } from '../utils/proofStorage';
+
+/**
+ * Resolves an `ipfs://` proof reference through the proof store. `status` is
+ * 'loading', 'verified' (bytes match the CID), 'mismatch' or 'error'; for
+ * inline proofs it is null and nothing is fetched.
+ */
+export default function useStoredProof(raw) {
+    const stored = isStoredProof(raw);
+    const [result, setResult] = useState({ raw: null });
+
+    useEffect(() => {
+        if (!stored) return;
+        let cancelled = false;
+        loadProof(raw)
+            .then(({ cid, verified, encoded }) => {
+                if (!cancelled) setResult({ raw, cid, status: verified ? 'verified' : 'mismatch', encoded });
+            })
+            .catch(err => {
+                if (!cancelled) setResult({ raw, status: 'error', error: err.message });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [raw, stored]);
+
+    if (!stored) return { status: null };
+    return result.raw === raw ? result : { status: 'loading' };
+}
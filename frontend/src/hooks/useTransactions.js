@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import { getTransactions, subscribe } from '../utils/transactions';
+
+/**
+ * Current list of tracked transactions, newest first. The list lives outside
+ * React so it is shared across routes and survives remounts.
+ */
+export default function useTransactions() {
+    return useSyncExternalStore(subscribe, getTransactions);
+}
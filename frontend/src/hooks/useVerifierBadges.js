@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+import { getGenesisNFT, getStandardNFT, getReadProvider } from '../utils/contract';
+
+// NFTs are rarely minted and never move, so lookups are shared across every caller
+const cache = new Map();
+
+const loadBadges = async (provider, address) => {
+    const [genesisNFT, standardNFT] = await Promise.all([getGenesisNFT(provider), getStandardNFT(provider)]);
+    const [genesis, standard] = await Promise.all([
+        genesisNFT.isGenesisVerifier(address),
+        standardNFT.isVerifierNFT(address)
+    ]);
+    return { genesis, standard };
+};
+
+const badgesFor = async (provider, address) => {
+    const network = await provider.getNetwork();
+    const key = `${network.chainId}:${address}`;
+    if (!cache.has(key)) {
+        cache.set(key, loadBadges(provider, address).catch(err => {
+            cache.delete(key);
+            throw err;
+        }));
+    }
+    return cache.get(key);
+};
+
+/**
+ * Returns `{ [address]: { genesis, standard } }` for the given addresses,
+ * filling in as the NFT contracts answer.
+ */
+export default function useVerifierBadges(signer, addresses) {
+    const key = [...new Set(addresses.map(a => a.toLowerCase()))].sort().join(',');
+    const [badges, setBadges] = useState({});
+
+    useEffect(() => {
+        if (!key) return;
+        let cancelled = false;
+        const provider = getReadProvider(signer);
+        const wanted = key.split(',');
+
+        Promise.all(wanted.map(address => badgesFor(provider, address)))
+            .then(results => {
+                if (!cancelled) setBadges(Object.fromEntries(wanted.map((address, i) => [address, results[i]])));
+            })
+            .catch(err => console.error('Failed to load verifier badges:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [signer, key]);
+
+    return badges;
+}
@@ -2,24 +2,94 @@ import { ethers } from "ethers";
 import TaskSplitV2 from "../artifacts/TaskSplitV2.json";
 import GenesisNFT from "../artifacts/GenesisVerifierNFT.json";
 import StandardNFT from "../artifacts/StandardVerifierNFT.json";
+import deployments from "../deployments.json";
 
-export const CONTRACT_ADDRESS = "0xb52a4Aa26B34B62dFcC0971DF7c743D1C8d80A41";
-export const GENESIS_NFT_ADDRESS = "0x97699D2f74FEfF970D4D0103D7a63C4D754E4B5B";
-export const STANDARD_NFT_ADDRESS = "0x50781B827C291e6569B7aC63918F89D60E16B16F";
-export const EXPECTED_CHAIN_ID = 5003; 
+export const DEFAULT_CHAIN_ID = deployments.defaultChainId;
+export const SUPPORTED_CHAIN_IDS = Object.keys(deployments.networks).map(Number);
 
 export const CONTRACT_ABI = TaskSplitV2.abi;
 export const GENESIS_NFT_ABI = GenesisNFT.abi;
 export const STANDARD_NFT_ABI = StandardNFT.abi;
 
+export const getDeployment = (chainId) => deployments.networks[String(Number(chainId))] || null;
+
+export const isSupportedChain = (chainId) => getDeployment(chainId) !== null;
+
+export const networkName = (chainId) => getDeployment(chainId)?.name || `Chain ${chainId}`;
+
+export const supportedNetworksLabel = () =>
+    SUPPORTED_CHAIN_IDS.map(id => `${networkName(id)} (${id})`).join(", ");
+
+export const explorerTxUrl = (chainId, hash) => {
+    const explorer = getDeployment(chainId)?.explorerUrl;
+    return explorer && hash ? `${explorer}/tx/${hash}` : null;
+}
+
+// Addresses come from the registry entry for whichever chain the runner is on
+const contractFor = async (name, abi, signerOrProvider) => {
+    const network = await signerOrProvider.provider.getNetwork();
+    const address = getDeployment(network.chainId)?.contracts[name];
+    if (!address) throw new Error(`${name} is not deployed on chain ${network.chainId}`);
+    return new ethers.Contract(address, abi, signerOrProvider);
+}
+
 export const getContract = async (signerOrProvider) => {
-    return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signerOrProvider);
+    return contractFor("TaskSplitV2", CONTRACT_ABI, signerOrProvider);
 }
 
 export const getGenesisNFT = async (signerOrProvider) => {
-    return new ethers.Contract(GENESIS_NFT_ADDRESS, GENESIS_NFT_ABI, signerOrProvider);
+    return contractFor("GenesisVerifierNFT", GENESIS_NFT_ABI, signerOrProvider);
 }
 
 export const getStandardNFT = async (signerOrProvider) => {
-    return new ethers.Contract(STANDARD_NFT_ADDRESS, STANDARD_NFT_ABI, signerOrProvider);
+    return contractFor("StandardVerifierNFT", STANDARD_NFT_ABI, signerOrProvider);
+}
+
+const readProviders = new Map();
+
+/**
+ * Provider for read calls: the connected wallet when there is one, otherwise
+ * the public RPC of the default deployment so the app can be browsed
+ * without a wallet.
+ */
+export const getReadProvider = (signer) => {
+    if (signer && signer.provider) return signer.provider;
+
+    if (!readProviders.has(DEFAULT_CHAIN_ID)) {
+        const network = ethers.Network.from(DEFAULT_CHAIN_ID);
+        const rpcUrl = getDeployment(DEFAULT_CHAIN_ID).rpcUrls[0];
+        readProviders.set(DEFAULT_CHAIN_ID, new ethers.JsonRpcProvider(rpcUrl, network, { staticNetwork: network }));
+    }
+    return readProviders.get(DEFAULT_CHAIN_ID);
+}
+
+// WalletConnect listens for this so any read-only view can offer a connect button
+export const requestWalletConnect = () => window.dispatchEvent(new Event("connectWallet"));
+
+/**
+ * Asks the wallet to switch to a registry network, adding it to the wallet
+ * first if the wallet does not know the chain yet.
+ */
+export const switchNetwork = async (chainId) => {
+    const deployment = getDeployment(chainId);
+    const hexChainId = "0x" + Number(chainId).toString(16);
+
+    try {
+        await window.ethereum.request({
+            method: "wallet_switchEthereumChain",
+            params: [{ chainId: hexChainId }],
+        });
+    } catch (switchErr) {
+        if (switchErr.code !== 4902 || !deployment) throw switchErr;
+        await window.ethereum.request({
+            method: "wallet_addEthereumChain",
+            params: [{
+                chainId: hexChainId,
+                chainName: deployment.name,
+                rpcUrls: deployment.rpcUrls,
+                nativeCurrency: deployment.nativeCurrency,
+                ...(deployment.explorerUrl ? { blockExplorerUrls: [deployment.explorerUrl] } : {}),
+            }],
+        });
+    }
 }
@@ -0,0 +1,165 @@
+import { ethers } from 'ethers';
+
+// Selector of the standard Error(string) revert payload
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+/**
+ * Explanation and suggested next step for every require() message TaskSplitV2
+ * and the verifier NFT contracts can revert with.
+ */
+const REVERT_MESSAGES = {
+    'Already claimed': ['You have already claimed this reward.', 'Nothing more to do here; check your wallet balance.'],
+    'Already claimed verifier NFT': ['This wallet already owns a Standard Verifier NFT.', 'No action needed.'],
+    'Already finalized': ['Voting on this task has already been finalized.', 'Refresh the project to see the final result.'],
+    'Already voted': ['You have already voted on this task.', 'Wait for other verifiers to finish voting.'],
+    'Approval threshold must be a majority': ['The approval threshold is not more than half of the votes.', 'Pick a threshold above 50%.'],
+    'Cannot vote on own task': ['You cannot verify a task you submitted yourself.', 'Leave this task to other verifiers.'],
+    'Contributor pool must be positive': ['The contributor pool is empty.', 'Enter a contributor pool greater than 0 ETH.'],
+    'Description empty': ['The task description is empty.', 'Describe the work before adding the task.'],
+    'Descriptions and points length mismatch': ['A phase has a different number of descriptions and point values.', 'Give every task both a description and points.'],
+    'Duration must be positive': ['The project duration is zero.', 'Enter a duration of at least one day.'],
+    'Incorrect stake amount': ['The vote was sent with the wrong stake.', 'Votes require exactly the stake set for this project; retry from the task card.'],
+    'Ineligible to claim NFT': ['You have not earned enough to claim a Verifier NFT yet.', 'Complete more tasks to reach the eligibility threshold.'],
+    'Max 5 phases reached': ['This project already has the maximum of 5 phases.', 'Add tasks to existing phases instead.'],
+    'Max 5 tasks per phase': ['This phase already has the maximum of 5 tasks.', 'Add the task to another phase or create a new one.'],
+    'Must fund project': ['No ETH was sent with the project.', 'Fund both the contributor and verifier pools.'],
+    'Name cannot be empty': ['The project name is empty.', 'Give the project a name.'],
+    'No points earned': ['You have no verified task points in this project.', 'Rewards are only paid for verified tasks.'],
+    'No unearned points to refund': ['Every point in this project was earned, so there is nothing to refund.', 'No action needed; the pool went to contributors.'],
+    'No verifier points': ['You have no correct votes in this project.', 'Verifier rewards are only paid for votes on the winning side.'],
+    'Not authorized': ['Only the owner of this NFT can do that.', 'Switch to the wallet that holds the NFT.'],
+    'Not authorized or deadline not passed': ['Only the claimant can release this task before its claim deadline.', 'Wait for the deadline to pass or ask the claimant to cancel.'],
+    'Not eligible verifier': ['This wallet is not an eligible verifier.', 'Hold a Verifier NFT or earn enough to claim one.'],
+    'Not task claimant': ['Only the contributor who claimed this task can do that.', 'Switch to the wallet that claimed the task.'],
+    'Only sponsor can call': ['Only the project sponsor can do that.', 'Switch to the sponsor wallet.'],
+    'Phase count must be 1-5': ['Projects need between 1 and 5 phases.', 'Adjust the number of phases.'],
+    'Phase does not exist': ['That phase does not exist in this project.', 'Refresh the project and pick an existing phase.'],
+    'Phase is locked': ['This phase is locked until the previous phase is fully verified.', 'Work on tasks in the current phase first.'],
+    'Phase name cannot be empty': ['The phase name is empty.', 'Give the phase a name.'],
+    'Points must be 1-100': ['Task points must be between 1 and 100.', 'Adjust the points for the task.'],
+    'Pool amounts must equal msg.value': ['The ETH sent does not match the two pools.', 'Retry; the amount is calculated from the pools automatically.'],
+    'Project does not exist': ['That project does not exist.', 'Check the project link or go back to the project list.'],
+    'Project ended': ['This project has ended.', 'No further task actions are possible; claim rewards instead.'],
+    'Project not ended': ['This project is still running.', 'Rewards and refunds unlock once the project ends.'],
+    'Proof URL required': ['The proof URL is empty.', 'Paste a link to your work before submitting.'],
+    'Quorum must be 1-10': ['Submissions must be decided by 1 to 10 votes.', 'Adjust the number of votes per submission.'],
+    'Quorum not reached': ['This submission does not have enough votes to be decided yet.', 'Wait for more verifiers to vote, or for the project to end.'],
+    'Refund already claimed': ['The sponsor refund has already been paid out.', 'No action needed.'],
+    'Refund transfer failed': ['The refund could not be sent to your wallet.', 'Try again, or claim from a wallet that accepts ETH.'],
+    'Slash rate above 100%': ['A slash rate cannot be more than the whole stake.', 'Enter a percentage between 0 and 100.'],
+    'Slashed stake transfer failed': ['The slashed stakes could not be sent to the sponsor.', 'The sponsor wallet must accept ETH; try the vote again later.'],
+    'Sponsor cannot claim tasks': ['Sponsors cannot claim tasks in their own project.', 'Use a different wallet to contribute.'],
+    'Stake must be positive': ['The verifier stake is zero.', 'Enter a stake greater than 0 ETH.'],
+    'Stake return failed': ['Returning a verifier stake failed.', 'Try the vote again later.'],
+    'Task does not exist': ['That task does not exist.', 'Refresh the project.'],
+    'Task list per phase required': ['Every phase needs a task list, even an empty one.', 'Check the phases in the project setup.'],
+    'Task not available': ['Someone else has already claimed this task.', 'Pick another open task.'],
+    'Task not claimed': ['This task is not currently claimed.', 'Refresh the project to see its latest status.'],
+    'Task not in claimed status': ['This task is no longer in the claimed state.', 'Refresh the project to see its latest status.'],
+    'Task not submitted': ['This task has no submission to vote on.', 'Wait for the contributor to submit proof.'],
+    'Transfer failed': ['The reward could not be sent to your wallet.', 'Try again, or claim from a wallet that accepts ETH.'],
+    'Verifier pool must be positive': ['The verifier pool is empty.', 'Enter a verifier pool greater than 0 ETH.'],
+    'Voting already started': ['Slashing settings are locked once the first vote is cast.', 'The current settings apply for the rest of the project.']
+};
+
+const decodeErrorString = (data) => {
+    if (typeof data !== 'string' || !data.startsWith(ERROR_STRING_SELECTOR)) return null;
+    try {
+        return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+    } catch {
+        return null;
+    }
+};
+
+const reasonFromMessage = (message) => {
+    if (typeof message !== 'string') return null;
+    const match = message.match(/reverted with reason string '([^']*)'/) || message.match(/execution reverted:?\s*"?([^"\n]+)"?/);
+    return match ? match[1].trim() : null;
+};
+
+// Wallets and providers wrap the original RPC error at different depths
+const nestedErrors = (err) => {
+    const queue = [err];
+    const seen = [];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== 'object' || seen.includes(current)) continue;
+        seen.push(current);
+        queue.push(current.error, current.info?.error, current.data, current.cause);
+    }
+    return seen;
+};
+
+/**
+ * Pulls the require() string out of a reverted call or transaction, or
+ * returns null if the error is not a revert with a reason.
+ */
+export const extractRevertReason = (err) => {
+    for (const e of nestedErrors(err)) {
+        if (typeof e.reason === 'string' && e.reason) return e.reason;
+        if (e.revert && e.revert.args && typeof e.revert.args[0] === 'string') return e.revert.args[0];
+
+        const decoded = decodeErrorString(e.data);
+        if (decoded) return decoded;
+
+        const fromMessage = reasonFromMessage(e.message);
+        if (fromMessage) return fromMessage;
+    }
+    return null;
+};
+
+const hasCode = (err, codes) => nestedErrors(err).some(e => codes.includes(e.code));
+
+const messageMatches = (err, pattern) => nestedErrors(err).some(e => typeof e.message === 'string' && pattern.test(e.message));
+
+/**
+ * Sorts an error into wallet rejection, insufficient funds, wrong network or
+ * contract revert and returns text suitable for showing to the user.
+ */
+export const classifyError = (err) => {
+    if (hasCode(err, ['ACTION_REJECTED', 4001]) || messageMatches(err, /user (rejected|denied)/i)) {
+        return {
+            kind: 'rejected',
+            title: 'Signature rejected',
+            message: 'You declined the request in your wallet.',
+            action: 'Try again and approve it when you are ready.'
+        };
+    }
+
+    if (hasCode(err, ['INSUFFICIENT_FUNDS']) || messageMatches(err, /insufficient funds|doesn't have enough funds/i)) {
+        return {
+            kind: 'funds',
+            title: 'Insufficient funds',
+            message: 'Your wallet does not have enough ETH for this transaction and its gas.',
+            action: 'Top up your wallet and try again.'
+        };
+    }
+
+    if (hasCode(err, ['NETWORK_ERROR', 4901, 4902]) || messageMatches(err, /network changed|chain ?id|unrecognized chain|wrong network/i)) {
+        return {
+            kind: 'network',
+            title: 'Wrong network',
+            message: 'Your wallet is connected to a different network than this app.',
+            action: 'Switch networks in your wallet and reload the page.'
+        };
+    }
+
+    const reason = extractRevertReason(err);
+    if (reason) {
+        const known = REVERT_MESSAGES[reason];
+        return {
+            kind: 'revert',
+            reason,
+            title: 'Transaction reverted',
+            message: known ? known[0] : reason,
+            action: known ? known[1] : null
+        };
+    }
+
+    return {
+        kind: 'unknown',
+        title: 'Transaction failed',
+        message: err && (err.shortMessage || err.message) ? (err.shortMessage || err.message) : 'Something went wrong.',
+        action: null
+    };
+};
@@ -1,4 +1,5 @@
 import { ethers } from 'ethers';
+import { APPROVAL_PRESETS } from './projectSpec';
 
 
 export const formatEth = (value, isWei = true) => {
@@ -23,3 +24,32 @@ export const formatPoints = (pts) => {
     if (!pts) return '0';
     return Number(pts).toString();
 };
+
+
+export const formatDuration = (seconds) => {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${Math.floor(seconds % 60)}s`;
+};
+
+
+export const formatCountdown = (seconds) => (seconds <= 0 ? 'expired' : `${formatDuration(seconds)} left`);
+
+
+// Mirrors TaskSplitV2.SlashRecipient
+const SLASH_RECIPIENTS = ['the majority voters', 'the sponsor'];
+
+export const formatSlashing = ({ slashBps, recipient }) => (slashBps === 0
+    ? 'no slashing'
+    : `${slashBps / 100}% of a minority stake goes to ${SLASH_RECIPIENTS[recipient]}`);
+
+export const formatApproval = (approvalBps) => {
+    const preset = APPROVAL_PRESETS.find(p => p.bps === approvalBps);
+    return preset ? preset.label.toLowerCase() : `${approvalBps / 100}% approval`;
+};
+
+export const formatVoting = ({ quorum, approvalBps, stakeAmount }) =>
+    `${quorum} vote${quorum === 1 ? '' : 's'} to decide, ${formatApproval(approvalBps)} to approve, ${formatEth(stakeAmount)} ETH stake per vote`;
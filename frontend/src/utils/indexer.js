@@ -0,0 +1,887 @@
+import { ethers } from 'ethers';
+import { getContract, getDeployment } from './contract';
+
+// Mirrors the 2-day submission window set in TaskSplitV2.claimTask
+const CLAIM_WINDOW = 2 * 24 * 60 * 60;
+
+// Ranges smaller than this are not split any further when an RPC rejects a getLogs call
+const MIN_LOG_RANGE = 500;
+
+const indexers = new Map();
+
+export const emptyIndex = (deployBlock = 0) => ({
+    projects: {},
+    lastBlock: deployBlock - 1,
+    blockTime: 0
+});
+
+const newTask = (id, phaseId, description, points) => ({
+    id,
+    phaseId,
+    description,
+    points,
+    claimant: ethers.ZeroAddress,
+    proofUrl: '',
+    status: 0,
+    votes: [],
+    voteCount: 0,
+    claimBlock: 0,
+    claimDeadline: 0,
+    history: []
+});
+
+const updateTask = (project, taskId, patch) => {
+    const tasks = [...project.tasks];
+    tasks[taskId] = { ...tasks[taskId], ...patch };
+    return { ...project, tasks };
+};
+
+const updatePhase = (project, phaseId, patch) => {
+    const phases = [...project.phases];
+    phases[phaseId] = { ...phases[phaseId], ...patch };
+    return { ...project, phases };
+};
+
+const reduceState = (project, log) => {
+    const args = log.args;
+
+    switch (log.eventName) {
+        case 'PhaseAdded':
+            return {
+                ...project,
+                phases: [...project.phases, {
+                    id: Number(args.phaseId),
+                    name: args.name,
+                    taskCount: 0,
+                    verifiedTaskCount: 0,
+                    unlocked: false
+                }]
+            };
+
+        case 'PhaseUnlocked':
+            return updatePhase(project, Number(args.phaseId), { unlocked: true });
+
+        case 'TaskAdded': {
+            const taskId = Number(args.taskId);
+            const phaseId = Number(args.phaseId);
+            const withTask = {
+                ...project,
+                tasks: [...project.tasks, newTask(taskId, phaseId, args.description, Number(args.points))],
+                totalPossiblePoints: project.totalPossiblePoints + Number(args.points)
+            };
+            return updatePhase(withTask, phaseId, { taskCount: project.phases[phaseId].taskCount + 1 });
+        }
+
+        case 'TaskClaimed':
+            // cancelTask re-emits TaskClaimed with the zero address
+            if (args.claimant === ethers.ZeroAddress) {
+                return updateTask(project, Number(args.taskId), {
+                    claimant: ethers.ZeroAddress,
+                    status: 0,
+                    claimBlock: 0,
+                    claimDeadline: 0
+                });
+            }
+            return updateTask(project, Number(args.taskId), {
+                claimant: args.claimant,
+                status: 1,
+                claimBlock: log.blockNumber,
+                claimDeadline: 0
+            });
+
+        case 'TaskSubmitted':
+            return updateTask(project, Number(args.taskId), { proofUrl: args.proofUrl, status: 2 });
+
+        case 'TaskVoted': {
+            const task = project.tasks[Number(args.taskId)];
+            const votes = [...task.votes, { verifier: args.verifier, approved: args.approved }];
+            const voted = updateTask(project, task.id, { votes, voteCount: votes.length });
+            return project.slashing ? { ...voted, slashing: { ...project.slashing, locked: true } } : voted;
+        }
+
+        case 'VotingConfigured':
+            return {
+                ...project,
+                voting: { quorum: Number(args.quorum), approvalBps: Number(args.approvalBps), stakeAmount: args.stakeAmount.toString() }
+            };
+
+        case 'SlashingConfigured':
+            return { ...project, slashing: { slashBps: Number(args.slashBps), recipient: Number(args.recipient), locked: false } };
+
+        case 'TaskVerified': {
+            const task = project.tasks[Number(args.taskId)];
+            const phase = project.phases[task.phaseId];
+            const verified = updatePhase(
+                updateTask(project, task.id, { status: 3 }),
+                task.phaseId,
+                { verifiedTaskCount: phase.verifiedTaskCount + 1 }
+            );
+            return { ...verified, totalVerifiedPoints: project.totalVerifiedPoints + Number(args.points) };
+        }
+
+        case 'TaskRejected':
+            return updateTask(project, Number(args.taskId), {
+                claimant: ethers.ZeroAddress,
+                proofUrl: '',
+                status: 0,
+                votes: [],
+                voteCount: 0,
+                claimBlock: 0,
+                claimDeadline: 0
+            });
+
+        case 'ContributorRewardClaimed':
+        case 'VerifierRewardClaimed':
+            return {
+                ...project,
+                rewardClaims: [...project.rewardClaims, {
+                    role: log.eventName === 'ContributorRewardClaimed' ? 'contributor' : 'verifier',
+                    account: args.contributor ?? args.verifier,
+                    amount: args.amount.toString(),
+                    points: Number(args.points)
+                }]
+            };
+
+        case 'SponsorRefunded':
+            return { ...project, sponsorRefunded: true };
+
+        default:
+            return project;
+    }
+};
+
+const historyEntry = (log) => {
+    const args = log.args;
+    switch (log.eventName) {
+        case 'TaskAdded':
+            return { type: 'added', points: Number(args.points) };
+        case 'TaskClaimed':
+            return args.claimant === ethers.ZeroAddress ? { type: 'released' } : { type: 'claimed', actor: args.claimant };
+        case 'TaskSubmitted':
+            return { type: 'submitted', actor: args.contributor, proofUrl: args.proofUrl };
+        case 'TaskVoted':
+            return { type: 'voted', actor: args.verifier, approved: args.approved };
+        case 'TaskVerified':
+            return { type: 'verified', actor: args.contributor, points: Number(args.points) };
+        case 'TaskRejected':
+            return { type: 'rejected' };
+        case 'StakeSettled':
+            return {
+                type: 'stake-settled',
+                actor: args.verifier,
+                withMajority: args.withMajority,
+                returned: args.returned.toString(),
+                slashed: args.slashed.toString(),
+                bonus: args.bonus.toString()
+            };
+        case 'StakeRefunded':
+            return { type: 'stake-refunded', actor: args.verifier, amount: args.amount.toString() };
+        case 'SlashedStakesPaid':
+            return { type: 'slashed-stakes-paid', actor: args.recipient, amount: args.amount.toString() };
+        default:
+            return null;
+    }
+};
+
+// Events about the project as a whole, kept in project.activity next to the task histories
+const activityEntry = (log) => {
+    const args = log.args;
+    switch (log.eventName) {
+        case 'ProjectCreated':
+            return { type: 'created', actor: args.sponsor };
+        case 'PhaseAdded':
+            return { type: 'phase-added', phaseId: Number(args.phaseId), name: args.name };
+        case 'PhaseUnlocked':
+            return { type: 'phase-unlocked', phaseId: Number(args.phaseId) };
+        case 'SlashingConfigured':
+            return { type: 'slashing-configured', slashBps: Number(args.slashBps), recipient: Number(args.recipient) };
+        case 'ContributorRewardClaimed':
+            return { type: 'reward-claimed', role: 'contributor', actor: args.contributor, amount: args.amount.toString(), points: Number(args.points) };
+        case 'VerifierRewardClaimed':
+            return { type: 'reward-claimed', role: 'verifier', actor: args.verifier, amount: args.amount.toString(), points: Number(args.points) };
+        case 'SponsorRefunded':
+            return { type: 'sponsor-refunded', actor: args.sponsor, amount: args.amount.toString(), points: Number(args.points) };
+        default:
+            return null;
+    }
+};
+
+const logPosition = (log) => ({ blockNumber: log.blockNumber, logIndex: log.index, txHash: log.transactionHash });
+
+/**
+ * Applies one decoded TaskSplitV2 event to a project and returns the new project.
+ * Projects that the event does not touch keep their identity. Task events are
+ * also appended to the task's history, which survives rejections and resets;
+ * project-wide events go to the project's activity list.
+ */
+export const reduceEvent = (project, log) => {
+    const next = reduceState(project, log);
+    const projectEntry = activityEntry(log);
+    if (projectEntry) return { ...next, activity: [...next.activity, { ...projectEntry, ...logPosition(log) }] };
+
+    const entry = historyEntry(log);
+    if (!entry) return next;
+
+    const task = next.tasks[Number(log.args.taskId)];
+    return updateTask(next, task.id, {
+        history: [...task.history, { ...entry, ...logPosition(log) }]
+    });
+};
+
+const applyLogs = (projects, logs) => {
+    const next = { ...projects };
+
+    for (const log of logs) {
+        if (!log.eventName || log.args?.projectId === undefined) continue;
+        const id = Number(log.args.projectId);
+
+        if (log.eventName === 'ProjectCreated') {
+            const phaseCount = Number(log.args.phaseCount);
+            next[id] = {
+                id,
+                name: log.args.name,
+                sponsor: log.args.sponsor,
+                contributorPool: log.args.contributorPool.toString(),
+                verifierPool: log.args.verifierPool.toString(),
+                endTime: 0,
+                phases: Array.from({ length: phaseCount }, (_, i) => ({
+                    id: i,
+                    name: null,
+                    taskCount: 0,
+                    verifiedTaskCount: 0,
+                    unlocked: i === 0
+                })),
+                tasks: [],
+                totalPossiblePoints: 0,
+                totalVerifiedPoints: 0,
+                rewardClaims: [],
+                activity: [{ ...activityEntry(log), ...logPosition(log) }],
+                // Filled in by VotingConfigured and again when hydrating
+                voting: null,
+                slashing: null,
+                sponsorRefunded: false,
+                hydrated: false
+            };
+            continue;
+        }
+
+        if (next[id]) next[id] = reduceEvent(next[id], log);
+    }
+
+    return next;
+};
+
+/**
+ * Pulls logs for a block range, halving the range whenever the RPC refuses it.
+ */
+const fetchLogs = async (contract, fromBlock, toBlock) => {
+    if (fromBlock > toBlock) return [];
+    try {
+        return await contract.queryFilter('*', fromBlock, toBlock);
+    } catch (err) {
+        if (toBlock - fromBlock < MIN_LOG_RANGE) throw err;
+        const mid = Math.floor((fromBlock + toBlock) / 2);
+        const head = await fetchLogs(contract, fromBlock, mid);
+        const tail = await fetchLogs(contract, mid + 1, toBlock);
+        return [...head, ...tail];
+    }
+};
+
+/**
+ * First block with code at `address`, found by bisecting getCode over the
+ * chain, for registry entries that do not record their deploy block. Nodes
+ * that have pruned old state cannot answer, so the search falls back to 0.
+ */
+const findDeployBlock = async (provider, address, latest) => {
+    let low = 0;
+    let high = latest;
+    try {
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if ((await provider.getCode(address, mid)) === '0x') low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    } catch (err) {
+        console.warn('Could not locate the deploy block, indexing from genesis:', err);
+        return 0;
+    }
+};
+
+// Deployments that predate a view revert without data when it is called
+const optionalView = (call) => call.catch(err => {
+    if (err.code === 'CALL_EXCEPTION' && (!err.data || err.data === '0x')) return null;
+    throw err;
+});
+
+// Deployments without getVotingConfig decide every project by three votes,
+// a simple majority and the one VERIFIER_STAKE
+const readVoting = async (contract, projectId) =>
+    (await optionalView(contract.getVotingConfig(projectId))) ||
+    { quorum: 3, approvalBps: 5001, stakeAmount: await contract.VERIFIER_STAKE() };
+
+/**
+ * ProjectCreated does not carry the end time, the initial phase names or
+ * the voting rules, so those are read once per project from the view
+ * functions. Slashing settings stay null on deployments without
+ * getSlashingConfig.
+ */
+const hydrateProject = async (contract, project) => {
+    const [detailed, slashing, voting, ...names] = await Promise.all([
+        contract.getProjectDetailed(project.id),
+        optionalView(contract.getSlashingConfig(project.id)),
+        readVoting(contract, project.id),
+        ...project.phases.map(phase => (
+            phase.name === null ? contract.getPhase(project.id, phase.id).then(p => p[0]) : phase.name
+        ))
+    ]);
+
+    return {
+        ...project,
+        endTime: Number(detailed.endTime),
+        sponsorRefunded: detailed.sponsorRefunded,
+        voting: { quorum: Number(voting.quorum), approvalBps: Number(voting.approvalBps), stakeAmount: voting.stakeAmount.toString() },
+        slashing: slashing && { slashBps: Number(slashing.slashBps), recipient: Number(slashing.recipient), locked: slashing.locked },
+        phases: project.phases.map((phase, i) => ({ ...phase, name: names[i] })),
+        hydrated: true
+    };
+};
+
+const resolveClaimDeadlines = async (provider, project, blockTimes) => {
+    const pending = project.tasks.filter(t => t.status === 1 && t.claimBlock && !t.claimDeadline);
+    if (pending.length === 0) return project;
+
+    await Promise.all(pending.map(async (t) => {
+        if (!blockTimes.has(t.claimBlock)) {
+            const block = await provider.getBlock(t.claimBlock);
+            blockTimes.set(t.claimBlock, Number(block.timestamp));
+        }
+    }));
+
+    let next = project;
+    for (const t of pending) {
+        next = updateTask(next, t.id, { claimDeadline: blockTimes.get(t.claimBlock) + CLAIM_WINDOW });
+    }
+    return next;
+};
+
+const logKey = (log) => `${log.transactionHash}:${log.index}`;
+
+const projectIdsOf = (logs) =>
+    new Set(logs.map(l => l.args?.projectId).filter(id => id !== undefined).map(Number));
+
+/**
+ * Client-side index of TaskSplitV2 state rebuilt from contract events.
+ * Each sync only fetches the blocks mined since the previous one, and while
+ * anyone is subscribed, new events are applied as the provider reports them.
+ * Without a deployBlock the first sync looks it up on chain.
+ */
+export const createIndexer = (contract, provider, deployBlock = null) => {
+    let state = emptyIndex(deployBlock || 0);
+    let located = Boolean(deployBlock);
+    let inFlight = null;
+    let queue = Promise.resolve();
+    let watching = false;
+    const listeners = new Set();
+    const logListeners = new Set();
+    const blockTimes = new Map();
+    const seen = new Map();
+
+    // Sync and live updates both rewrite state, so they run one at a time
+    const serialize = (fn) => {
+        const result = queue.then(fn);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const refreshProjects = async (projects, ids) => {
+        await Promise.all(Object.values(projects).map(async (project) => {
+            if (!project.hydrated || ids.has(project.id)) {
+                let next = project.hydrated ? project : await hydrateProject(contract, project);
+                next = await resolveClaimDeadlines(provider, next, blockTimes);
+                projects[project.id] = next;
+            }
+        }));
+        return projects;
+    };
+
+    const publish = (next, logs) => {
+        // The initial backfill is state, not news, so log listeners only hear about later events
+        const isBackfill = state.blockTime === 0;
+        state = next;
+        if (!isBackfill && logs.length > 0) logListeners.forEach(listener => listener(logs));
+        listeners.forEach(listener => listener(state));
+        return state;
+    };
+
+    const run = async () => {
+        const latest = await provider.getBlock('latest');
+        const toBlock = latest.number;
+        if (!located) {
+            state = { ...state, lastBlock: (await findDeployBlock(provider, await contract.getAddress(), toBlock)) - 1 };
+            located = true;
+        }
+        const logs = (await fetchLogs(contract, state.lastBlock + 1, toBlock)).filter(l => !seen.has(logKey(l)));
+
+        const projects = await refreshProjects(applyLogs(state.projects, logs), projectIdsOf(logs));
+        seen.forEach((blockNumber, key) => {
+            if (blockNumber <= toBlock) seen.delete(key);
+        });
+        return publish({ projects, lastBlock: toBlock, blockTime: Number(latest.timestamp) }, logs);
+    };
+
+    const applyLive = async (log) => {
+        // Until the first sync lands, that sync will pick these logs up itself
+        if (state.blockTime === 0) return;
+        if (log.blockNumber <= state.lastBlock || seen.has(logKey(log))) return;
+
+        if (!blockTimes.has(log.blockNumber)) {
+            const block = await provider.getBlock(log.blockNumber);
+            blockTimes.set(log.blockNumber, Number(block.timestamp));
+        }
+
+        const projects = await refreshProjects(applyLogs(state.projects, [log]), projectIdsOf([log]));
+        seen.set(logKey(log), log.blockNumber);
+        publish({ ...state, projects, blockTime: Math.max(state.blockTime, blockTimes.get(log.blockNumber)) }, [log]);
+    };
+
+    const onEvent = (payload) => {
+        serialize(() => applyLive(payload.log)).catch(err => console.error("Failed to apply live event:", err));
+    };
+
+    const updateWatch = () => {
+        const wanted = listeners.size + logListeners.size > 0;
+        if (wanted === watching) return;
+        watching = wanted;
+        if (wanted) contract.on('*', onEvent);
+        else contract.off('*', onEvent);
+    };
+
+    const listen = (set, listener) => {
+        set.add(listener);
+        updateWatch();
+        return () => {
+            set.delete(listener);
+            updateWatch();
+        };
+    };
+
+    return {
+        getState: () => state,
+        subscribe: (listener) => listen(listeners, listener),
+        onLog: (listener) => listen(logListeners, listener),
+        sync: () => {
+            if (!inFlight) inFlight = serialize(run).finally(() => { inFlight = null; });
+            return inFlight;
+        },
+        // Moves the live subscription onto a new provider after a wallet or chain change
+        attach: (nextContract, nextProvider) => {
+            if (watching) contract.off('*', onEvent);
+            contract = nextContract;
+            provider = nextProvider;
+            if (watching) contract.on('*', onEvent);
+        },
+        provider: () => provider
+    };
+};
+
+/**
+ * Returns the shared indexer for the network the provider is connected to.
+ */
+export const getIndexer = async (provider) => {
+    const network = await provider.getNetwork();
+    const contract = await getContract(provider);
+    const key = `${network.chainId}:${await contract.getAddress()}`;
+
+    if (!indexers.has(key)) {
+        indexers.set(key, createIndexer(contract, provider, getDeployment(network.chainId).deployBlock));
+    } else if (indexers.get(key).provider() !== provider) {
+        indexers.get(key).attach(contract, provider);
+    }
+    return indexers.get(key);
+};
+
+export const selectProjects = (state) =>
+    Object.values(state.projects).sort((a, b) => a.id - b.id);
+
+export const selectTasks = (project, userAddress) => {
+    const me = userAddress?.toLowerCase();
+    return project.tasks.map(t => ({
+        ...t,
+        hasVoted: !!me && t.votes.some(v => v.verifier.toLowerCase() === me)
+    }));
+};
+
+/**
+ * Splits a task's history into claim attempts, each ending in the outcome
+ * that closed it ('released', 'rejected', 'verified') or 'active'.
+ */
+export const selectClaimAttempts = (task) => {
+    const attempts = [];
+    let current = null;
+
+    for (const entry of task.history) {
+        if (entry.type === 'claimed') {
+            current = { claimant: entry.actor, claimBlock: entry.blockNumber, submitBlock: null, proofUrl: null, votes: [], outcome: 'active' };
+            attempts.push(current);
+        } else if (current && entry.type === 'submitted') {
+            current.proofUrl = entry.proofUrl;
+            current.submitBlock = entry.blockNumber;
+        } else if (current && entry.type === 'voted') {
+            current.votes.push({ verifier: entry.actor, approved: entry.approved, blockNumber: entry.blockNumber, txHash: entry.txHash });
+        } else if (entry.type === 'stake-settled' || entry.type === 'stake-refunded') {
+            // Approvals settle right after TaskVerified closes the attempt; rejections and refunds just before
+            const attempt = current || attempts[attempts.length - 1];
+            const vote = attempt?.votes.find(v => v.verifier.toLowerCase() === entry.actor.toLowerCase());
+            if (vote) {
+                vote.settlement = entry.type === 'stake-refunded'
+                    ? { withMajority: false, refunded: true, returned: entry.amount, slashed: '0', bonus: '0' }
+                    : { withMajority: entry.withMajority, returned: entry.returned, slashed: entry.slashed, bonus: entry.bonus };
+            }
+        } else if (current && ['released', 'rejected', 'verified'].includes(entry.type)) {
+            current.outcome = entry.type;
+            current.endBlock = entry.blockNumber;
+            current = null;
+        }
+    }
+
+    return attempts;
+};
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Whether the attempt was closed by its vote rather than by a release or by
+ * claimContributorReward verifying it after the end, which refunds the stakes.
+ * Deployments that predate stake settlement emit no StakeSettled, so there a
+ * verification counts as voted when it reached the quorum.
+ */
+const decidedByVote = (attempt, quorum) => {
+    if (attempt.outcome === 'rejected') return true;
+    if (attempt.outcome !== 'verified') return false;
+    if (attempt.votes.some(v => v.settlement)) return attempt.votes.some(v => !v.settlement?.refunded);
+    return attempt.votes.length >= quorum;
+};
+
+// A vote agrees with the attempt it was cast on once its vote has concluded
+const voteCorrectness = (approved, attempt, project) => {
+    if (!decidedByVote(attempt, project.voting?.quorum)) return null;
+    return attempt.outcome === 'verified' ? approved : !approved;
+};
+
+// Same integer math as the contract: points * pool / total, rounded down
+export const poolShare = (points, pool, total) => (total > 0 ? (BigInt(points) * BigInt(pool)) / BigInt(total) : 0n);
+
+const isProjectEnded = (state, project) =>
+    state.blockTime > 0 && project.endTime > 0 && state.blockTime >= project.endTime;
+
+/**
+ * Points and rewards one address holds in a project, derived the same way the
+ * contract does: task points for verified claims, one verifier point per
+ * vote that matched the outcome of its round, and pool shares pro rata.
+ * Submissions still under review count as pendingPoints, since claiming the
+ * contributor reward after the end verifies them.
+ */
+const projectStanding = (project, address) => {
+    let contributorPoints = 0;
+    let pendingPoints = 0;
+    let verifierPoints = 0;
+    let totalVerifierPoints = 0;
+
+    for (const task of project.tasks) {
+        for (const attempt of selectClaimAttempts(task)) {
+            const mine = sameAddress(attempt.claimant, address);
+            if (mine && attempt.outcome === 'active' && attempt.proofUrl) pendingPoints += task.points;
+            if (mine && attempt.outcome === 'verified') contributorPoints += task.points;
+            for (const vote of attempt.votes) {
+                if (!voteCorrectness(vote.approved, attempt, project)) continue;
+                totalVerifierPoints += 1;
+                if (sameAddress(vote.verifier, address)) verifierPoints += 1;
+            }
+        }
+    }
+
+    const claimOf = (role) => project.rewardClaims.find(c => c.role === role && sameAddress(c.account, address)) || null;
+
+    return {
+        project,
+        contributorPoints,
+        pendingPoints,
+        verifierPoints,
+        contributorReward: poolShare(contributorPoints, project.contributorPool, project.totalPossiblePoints),
+        verifierReward: poolShare(verifierPoints, project.verifierPool, totalVerifierPoints),
+        contributorClaim: claimOf('contributor'),
+        verifierClaim: claimOf('verifier')
+    };
+};
+
+/**
+ * Everything one address has done across all indexed projects: projects it
+ * sponsors, its claim attempts, the votes it cast (with whether each agreed
+ * with the final outcome) and its points and rewards per project.
+ */
+export const selectAddressActivity = (state, address) => {
+    const sponsored = [];
+    const claims = [];
+    const votes = [];
+    const projects = [];
+
+    for (const project of selectProjects(state)) {
+        if (sameAddress(project.sponsor, address)) sponsored.push(project);
+        let involved = false;
+
+        for (const task of project.tasks) {
+            for (const attempt of selectClaimAttempts(task)) {
+                if (sameAddress(attempt.claimant, address)) {
+                    claims.push({ project, task, attempt });
+                    involved = true;
+                }
+                for (const vote of attempt.votes) {
+                    if (!sameAddress(vote.verifier, address)) continue;
+                    votes.push({
+                        project,
+                        task,
+                        approved: vote.approved,
+                        outcome: attempt.outcome,
+                        correct: voteCorrectness(vote.approved, attempt, project),
+                        settlement: vote.settlement || null,
+                        blockNumber: vote.blockNumber,
+                        txHash: vote.txHash
+                    });
+                    involved = true;
+                }
+            }
+        }
+
+        if (involved) projects.push(projectStanding(project, address));
+    }
+
+    return { sponsored, claims, votes, projects };
+};
+
+/**
+ * Submitted tasks on live projects that the address may still vote on: not
+ * its own claims, not projects it sponsors and not tasks it already voted on.
+ * Tasks whose project closes soonest come first.
+ */
+export const selectReviewQueue = (state, address) => {
+    const queue = [];
+
+    for (const project of selectProjects(state)) {
+        if (isProjectEnded(state, project) || sameAddress(project.sponsor, address)) continue;
+        for (const task of selectTasks(project, address)) {
+            if (task.status === 2 && !task.hasVoted && !sameAddress(task.claimant, address)) {
+                queue.push({ project, task, timeLeft: project.endTime - state.blockTime });
+            }
+        }
+    }
+
+    return queue.sort((a, b) => a.timeLeft - b.timeLeft);
+};
+
+/**
+ * Everything the address can act on right now, across all projects: its own
+ * claims still waiting for a proof, submissions waiting for its vote (only
+ * when canVerify), rewards left on ended projects and sponsor refunds.
+ */
+export const selectWorkItems = (state, address, canVerify) => {
+    const toSubmit = [];
+    const toVote = [];
+    const rewards = [];
+    const refunds = [];
+
+    for (const project of selectProjects(state)) {
+        const isSponsor = sameAddress(project.sponsor, address);
+
+        if (!isProjectEnded(state, project)) {
+            for (const task of selectTasks(project, address)) {
+                if (task.status === 1 && sameAddress(task.claimant, address)) toSubmit.push({ project, task });
+            }
+            continue;
+        }
+
+        const standing = projectStanding(project, address);
+        const contributorPoints = standing.contributorPoints + standing.pendingPoints;
+        if (!standing.contributorClaim && contributorPoints > 0) {
+            rewards.push({
+                project,
+                role: 'contributor',
+                points: contributorPoints,
+                amount: poolShare(contributorPoints, project.contributorPool, project.totalPossiblePoints)
+            });
+        }
+        if (!standing.verifierClaim && standing.verifierPoints > 0) {
+            rewards.push({ project, role: 'verifier', points: standing.verifierPoints, amount: standing.verifierReward });
+        }
+
+        if (isSponsor && !project.sponsorRefunded) {
+            // Open and still-claimed tasks are the ones the contract refunds
+            const unearned = project.tasks
+                .filter(t => t.status === 0 || t.status === 1)
+                .reduce((sum, t) => sum + t.points, 0);
+            if (unearned > 0) {
+                refunds.push({ project, points: unearned, amount: poolShare(unearned, project.contributorPool, project.totalPossiblePoints) });
+            }
+        }
+    }
+
+    if (canVerify) toVote.push(...selectReviewQueue(state, address));
+
+    return { toSubmit, toVote, rewards, refunds };
+};
+
+/**
+ * Sponsor-facing numbers for one project. Durations are returned as block
+ * pairs (claim to submit, submit to verification) so the caller can resolve
+ * timestamps; ETH figures split the pools into earned, awaiting review and
+ * refundable the way the contract would settle them right now.
+ */
+export const selectProjectAnalytics = (state, project) => {
+    const statusPoints = [0, 0, 0, 0];
+    const statusCounts = [0, 0, 0, 0];
+    const claimToSubmit = [];
+    const submitToVerify = [];
+    const contributors = new Set();
+    const verifiers = new Set();
+    let verifiedAttempts = 0;
+    let rejectedAttempts = 0;
+    let totalVerifierPoints = 0;
+
+    for (const task of project.tasks) {
+        statusCounts[task.status] += 1;
+        statusPoints[task.status] += task.points;
+
+        for (const attempt of selectClaimAttempts(task)) {
+            contributors.add(attempt.claimant.toLowerCase());
+            attempt.votes.forEach(vote => verifiers.add(vote.verifier.toLowerCase()));
+
+            if (attempt.submitBlock) claimToSubmit.push([attempt.claimBlock, attempt.submitBlock]);
+            // Submissions verified by claimContributorReward after the end were never reviewed
+            if (!decidedByVote(attempt, project.voting?.quorum)) continue;
+            totalVerifierPoints += attempt.votes.filter(v => voteCorrectness(v.approved, attempt, project)).length;
+            if (attempt.outcome === 'rejected') {
+                rejectedAttempts += 1;
+                continue;
+            }
+
+            verifiedAttempts += 1;
+            submitToVerify.push([attempt.submitBlock, attempt.endBlock]);
+        }
+    }
+
+    const contributorShare = (points) => poolShare(points, project.contributorPool, project.totalPossiblePoints);
+    const verifierEarned = totalVerifierPoints > 0 ? BigInt(project.verifierPool) : 0n;
+    const settled = verifiedAttempts + rejectedAttempts;
+
+    return {
+        statusCounts,
+        statusPoints,
+        claimToSubmit,
+        submitToVerify,
+        rejectionRate: settled > 0 ? rejectedAttempts / settled : null,
+        rejectedAttempts,
+        settledAttempts: settled,
+        contributorCount: contributors.size,
+        verifierCount: verifiers.size,
+        totalVerifierPoints,
+        committed: BigInt(project.contributorPool) + BigInt(project.verifierPool),
+        earned: contributorShare(statusPoints[3]) + verifierEarned,
+        underReview: contributorShare(statusPoints[2]),
+        // The contract refunds open and claimed task points; an unused verifier pool stays locked
+        refundable: project.sponsorRefunded ? 0n : contributorShare(statusPoints[0] + statusPoints[1]),
+        timeLeft: Math.max(0, project.endTime - state.blockTime),
+        ended: isProjectEnded(state, project)
+    };
+};
+
+/**
+ * Chronological activity for a project, or for one task when taskId is given:
+ * task histories tagged with their task id, merged with the project-wide
+ * events and ordered as they were emitted.
+ */
+export const selectActivity = (project, taskId = null) => {
+    const tasks = taskId === null ? project.tasks : [project.tasks[Number(taskId)]].filter(Boolean);
+    const entries = tasks.flatMap(task => task.history.map(entry => ({ ...entry, taskId: task.id })));
+    if (taskId === null) entries.push(...project.activity);
+
+    return entries.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+};
+
+/**
+ * Reward claims across all projects for one role ('contributor' or
+ * 'verifier'), totalled per account and ranked by ETH claimed. `inWindow`
+ * receives each event's block number, so callers can restrict the board to a
+ * time window once they know the block times. Contributors also get the
+ * number of their tasks verified within the window.
+ */
+export const selectLeaderboard = (state, role, inWindow = () => true) => {
+    const rows = new Map();
+    const rowFor = (account) => {
+        const key = account.toLowerCase();
+        if (!rows.has(key)) rows.set(key, { address: account, amount: 0n, points: 0, claims: 0, tasksVerified: 0 });
+        return rows.get(key);
+    };
+
+    for (const project of selectProjects(state)) {
+        for (const entry of project.activity) {
+            if (entry.type !== 'reward-claimed' || entry.role !== role || !inWindow(entry.blockNumber)) continue;
+            const row = rowFor(entry.actor);
+            row.amount += BigInt(entry.amount);
+            row.points += entry.points;
+            row.claims += 1;
+        }
+    }
+
+    if (role === 'contributor') {
+        for (const project of selectProjects(state)) {
+            for (const task of project.tasks) {
+                for (const entry of task.history) {
+                    const key = entry.actor?.toLowerCase();
+                    if (entry.type === 'verified' && rows.has(key) && inWindow(entry.blockNumber)) rows.get(key).tasksVerified += 1;
+                }
+            }
+        }
+    }
+
+    return [...rows.values()].sort((a, b) => (a.amount === b.amount ? b.points - a.points : a.amount > b.amount ? -1 : 1));
+};
+
+/**
+ * Block numbers of every event selectLeaderboard looks at, for resolving its
+ * time windows.
+ */
+export const selectLeaderboardBlocks = (state) =>
+    selectProjects(state).flatMap(project => [
+        ...project.activity.filter(entry => entry.type === 'reward-claimed'),
+        ...project.tasks.flatMap(task => task.history.filter(entry => entry.type === 'verified'))
+    ].map(entry => entry.blockNumber));
+
+/**
+ * A verifier's track record from the indexed votes: how many it cast, the
+ * stake it got back, lost to slashing or won from slashed minorities, and
+ * the verifier points it holds per project. Votes still awaiting settlement
+ * count as locked, valued at their project's stake.
+ */
+export const selectVerifierReputation = (state, address) => {
+    const { votes, projects } = selectAddressActivity(state, address);
+    const stakes = { returned: 0n, slashed: 0n, bonus: 0n, locked: 0, lockedValue: 0n };
+    votes.forEach(({ project, settlement }) => {
+        if (!settlement) {
+            stakes.locked += 1;
+            stakes.lockedValue += BigInt(project.voting?.stakeAmount ?? 0);
+            return;
+        }
+        stakes.returned += BigInt(settlement.returned);
+        stakes.slashed += BigInt(settlement.slashed);
+        stakes.bonus += BigInt(settlement.bonus);
+    });
+
+    return {
+        votesCast: votes.length,
+        stakes,
+        projects: projects
+            .filter(standing => standing.verifierPoints > 0)
+            .map(standing => ({ project: standing.project, points: standing.verifierPoints, reward: standing.verifierReward }))
+            .sort((a, b) => b.points - a.points)
+    };
+};
@@ -0,0 +1,17 @@
+import { classifyError } from './errors';
+
+/**
+ * Runs a write method as an eth_call and estimates its gas without asking the
+ * wallet for a signature. `error` is a classifyError result when the call
+ * would revert.
+ */
+export const simulateCall = async (contract, method, args = [], overrides = {}) => {
+    const fn = contract.getFunction(method);
+    try {
+        await fn.staticCall(...args, overrides);
+        const gas = await fn.estimateGas(...args, overrides);
+        return { ok: true, gas, error: null };
+    } catch (err) {
+        return { ok: false, gas: null, error: classifyError(err) };
+    }
+};
@@ -0,0 +1,151 @@
+import { ethers } from 'ethers';
+
+// Limits enforced by TaskSplitV2.createProjectWithTasksAndVoting / addPhase / addTask
+export const MAX_PHASES = 5;
+export const MAX_TASKS_PER_PHASE = 5;
+export const MIN_TASK_POINTS = 1;
+export const MAX_TASK_POINTS = 100;
+export const MAX_QUORUM = 10;
+export const MIN_APPROVAL_BPS = 5001;
+export const MAX_APPROVAL_BPS = 10000;
+
+// Thresholds the wizard offers; the contract accepts anything above half
+export const APPROVAL_PRESETS = [
+    { bps: 5001, label: 'Simple majority' },
+    { bps: 6666, label: 'Two thirds' },
+    { bps: 7500, label: 'Three quarters' },
+    { bps: 10000, label: 'Unanimous' }
+];
+
+// TaskSplitV2's DEFAULT_QUORUM, DEFAULT_APPROVAL_BPS and VERIFIER_STAKE
+export const defaultVoting = () => ({ quorum: '3', approvalBps: 5001, stake: '0.02' });
+
+/**
+ * Approving votes a submission needs out of `votes` cast, using the same
+ * approvals * 10000 >= approvalBps * votes test as _finalizeTaskVoting.
+ */
+export const approvalsNeeded = (approvalBps, votes) => Math.ceil((approvalBps * votes) / MAX_APPROVAL_BPS);
+
+export const emptyTask = () => ({ description: '', points: '' });
+
+export const emptyPhase = (index = 0) => ({ name: `Phase ${index + 1}`, tasks: [emptyTask()] });
+
+export const emptySpec = () => ({
+    name: '',
+    durationDays: '',
+    contributorPool: '',
+    verifierPool: '',
+    voting: defaultVoting(),
+    phases: [emptyPhase(0)]
+});
+
+const parseEthOrNull = (value) => {
+    try {
+        return ethers.parseEther(String(value).trim());
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Checks a project definition against the contract's require() conditions.
+ * Returns a list of human-readable problems; empty means the setup can be sent.
+ */
+export const validateProjectSpec = (spec) => {
+    const errors = [];
+
+    if (!spec.name || !spec.name.trim()) errors.push('Project name cannot be empty');
+
+    const duration = Number(spec.durationDays);
+    if (!Number.isInteger(duration) || duration <= 0) errors.push('Duration must be a whole number of days greater than 0');
+
+    const cPool = parseEthOrNull(spec.contributorPool);
+    const vPool = parseEthOrNull(spec.verifierPool);
+    if (cPool === null || cPool <= 0n) errors.push('Contributor pool must be a positive ETH amount');
+    if (vPool === null || vPool <= 0n) errors.push('Verifier pool must be a positive ETH amount');
+
+    const quorum = Number(spec.voting.quorum);
+    if (!Number.isInteger(quorum) || quorum < 1 || quorum > MAX_QUORUM) errors.push(`Quorum must be 1-${MAX_QUORUM} votes`);
+    const { approvalBps } = spec.voting;
+    if (!Number.isInteger(approvalBps) || approvalBps < MIN_APPROVAL_BPS || approvalBps > MAX_APPROVAL_BPS) {
+        errors.push('Approval threshold must be more than half of the votes');
+    }
+    const stake = parseEthOrNull(spec.voting.stake);
+    if (stake === null || stake <= 0n) errors.push('Verifier stake must be a positive ETH amount');
+
+    if (!spec.phases || spec.phases.length === 0 || spec.phases.length > MAX_PHASES) {
+        errors.push(`Phase count must be 1-${MAX_PHASES}`);
+    }
+
+    (spec.phases || []).forEach((phase, p) => {
+        const label = `Phase ${p + 1}`;
+        if (!phase.name || !phase.name.trim()) errors.push(`${label}: name cannot be empty`);
+        if (phase.tasks.length > MAX_TASKS_PER_PHASE) errors.push(`${label}: max ${MAX_TASKS_PER_PHASE} tasks per phase`);
+
+        phase.tasks.forEach((task, t) => {
+            const taskLabel = `${label}, task ${t + 1}`;
+            if (!task.description || !task.description.trim()) errors.push(`${taskLabel}: description cannot be empty`);
+            const points = Number(task.points);
+            if (!Number.isInteger(points) || points < MIN_TASK_POINTS || points > MAX_TASK_POINTS) {
+                errors.push(`${taskLabel}: points must be ${MIN_TASK_POINTS}-${MAX_TASK_POINTS}`);
+            }
+        });
+    });
+
+    return errors;
+};
+
+export const totalPoints = (spec) =>
+    spec.phases.reduce((sum, phase) => sum + phase.tasks.reduce((s, t) => s + (Number(t.points) || 0), 0), 0);
+
+/**
+ * Wei paid out for each task if every task gets verified, using the same
+ * points * contributorPool / totalPossiblePoints split as claimContributorReward.
+ */
+export const previewTaskRewards = (spec) => {
+    const pool = parseEthOrNull(spec.contributorPool) || 0n;
+    const total = BigInt(totalPoints(spec));
+
+    return spec.phases.map(phase => phase.tasks.map(task => {
+        const points = BigInt(Number(task.points) || 0);
+        return total > 0n ? (points * pool) / total : 0n;
+    }));
+};
+
+/**
+ * Arguments for createProjectWithTasksAndVoting, which creates the project,
+ * its phases, every task and its voting rules in a single transaction.
+ */
+export const toCreateProjectArgs = (spec) => {
+    const contributorPoolWei = ethers.parseEther(String(spec.contributorPool).trim());
+    const verifierPoolWei = ethers.parseEther(String(spec.verifierPool).trim());
+    return {
+        args: [
+            spec.name.trim(),
+            Number(spec.durationDays),
+            spec.phases.map(p => p.name.trim()),
+            spec.phases.map(p => p.tasks.map(t => t.description.trim())),
+            spec.phases.map(p => p.tasks.map(t => Number(t.points))),
+            contributorPoolWei,
+            verifierPoolWei,
+            {
+                quorum: Number(spec.voting.quorum),
+                approvalBps: spec.voting.approvalBps,
+                stakeAmount: ethers.parseEther(String(spec.voting.stake).trim())
+            }
+        ],
+        value: contributorPoolWei + verifierPoolWei
+    };
+};
+
+export const findProjectId = (contract, receipt) => {
+    for (const log of receipt.logs) {
+        try {
+            const parsed = contract.interface.parseLog(log);
+            if (parsed && parsed.name === 'ProjectCreated') return Number(parsed.args.projectId);
+        } catch {
+            // Not a TaskSplitV2 event
+        }
+    }
+    return null;
+};
@@ -0,0 +1,146 @@
+import { ethers } from 'ethers';
+import {
+    MAX_PHASES,
+    MAX_TASKS_PER_PHASE,
+    MIN_TASK_POINTS,
+    MAX_TASK_POINTS,
+    MAX_QUORUM,
+    MIN_APPROVAL_BPS,
+    MAX_APPROVAL_BPS,
+    defaultVoting
+} from './projectSpec';
+
+export const TEMPLATE_FORMAT = 'tasksplit-project-template';
+export const TEMPLATE_VERSION = 1;
+
+/**
+ * Builds a version 1 template from an indexed project. Only the structure is
+ * exported: phases, task descriptions, points, the pool split and the voting
+ * rules. Templates without voting rules import with the contract defaults.
+ */
+export const exportTemplate = (project) => ({
+    format: TEMPLATE_FORMAT,
+    version: TEMPLATE_VERSION,
+    name: project.name,
+    pools: {
+        contributor: ethers.formatEther(project.contributorPool),
+        verifier: ethers.formatEther(project.verifierPool)
+    },
+    ...(project.voting && {
+        voting: {
+            quorum: project.voting.quorum,
+            approvalBps: project.voting.approvalBps,
+            stake: ethers.formatEther(project.voting.stakeAmount)
+        }
+    }),
+    phases: project.phases.map(phase => ({
+        name: phase.name,
+        tasks: project.tasks
+            .filter(t => t.phaseId === phase.id)
+            .map(t => ({ description: t.description, points: Number(t.points) }))
+    }))
+});
+
+export const downloadTemplate = (project) => {
+    const blob = new Blob([JSON.stringify(exportTemplate(project), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${project.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'project'}.tasksplit.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const isEthAmount = (value) => {
+    if (typeof value !== 'string') return false;
+    try {
+        return ethers.parseEther(value) > 0n;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Validates a parsed template against the schema and the TaskSplitV2 limits.
+ * Returns a list of problems; empty means the template can be imported.
+ */
+export const validateTemplate = (doc) => {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['Template must be a JSON object'];
+
+    const errors = [];
+    if (doc.format !== TEMPLATE_FORMAT) errors.push(`Unknown format "${doc.format}", expected "${TEMPLATE_FORMAT}"`);
+    if (doc.version !== TEMPLATE_VERSION) errors.push(`Unsupported template version ${doc.version}, expected ${TEMPLATE_VERSION}`);
+    if (typeof doc.name !== 'string') errors.push('name must be a string');
+
+    if (!doc.pools || typeof doc.pools !== 'object') {
+        errors.push('pools must be an object with contributor and verifier amounts');
+    } else {
+        if (!isEthAmount(doc.pools.contributor)) errors.push('pools.contributor must be a positive ETH amount string');
+        if (!isEthAmount(doc.pools.verifier)) errors.push('pools.verifier must be a positive ETH amount string');
+    }
+
+    if (doc.voting !== undefined) {
+        const { quorum, approvalBps, stake } = doc.voting || {};
+        if (!Number.isInteger(quorum) || quorum < 1 || quorum > MAX_QUORUM) errors.push(`voting.quorum must be an integer 1-${MAX_QUORUM}`);
+        if (!Number.isInteger(approvalBps) || approvalBps < MIN_APPROVAL_BPS || approvalBps > MAX_APPROVAL_BPS) {
+            errors.push(`voting.approvalBps must be an integer ${MIN_APPROVAL_BPS}-${MAX_APPROVAL_BPS}`);
+        }
+        if (!isEthAmount(stake)) errors.push('voting.stake must be a positive ETH amount string');
+    }
+
+    if (!Array.isArray(doc.phases)) return [...errors, 'phases must be an array'];
+    if (doc.phases.length === 0 || doc.phases.length > MAX_PHASES) errors.push(`Max ${MAX_PHASES} phases (found ${doc.phases.length})`);
+
+    doc.phases.forEach((phase, p) => {
+        const label = `phases[${p}]`;
+        if (!phase || typeof phase.name !== 'string' || !phase.name.trim()) errors.push(`${label}.name must be a non-empty string`);
+        if (!phase || !Array.isArray(phase.tasks)) {
+            errors.push(`${label}.tasks must be an array`);
+            return;
+        }
+        if (phase.tasks.length > MAX_TASKS_PER_PHASE) errors.push(`${label}: max ${MAX_TASKS_PER_PHASE} tasks per phase (found ${phase.tasks.length})`);
+
+        phase.tasks.forEach((task, t) => {
+            const taskLabel = `${label}.tasks[${t}]`;
+            if (!task || typeof task.description !== 'string' || !task.description.trim()) {
+                errors.push(`${taskLabel}.description must be a non-empty string`);
+            }
+            if (!task || !Number.isInteger(task.points) || task.points < MIN_TASK_POINTS || task.points > MAX_TASK_POINTS) {
+                errors.push(`${taskLabel}.points must be an integer ${MIN_TASK_POINTS}-${MAX_TASK_POINTS}`);
+            }
+        });
+    });
+
+    return errors;
+};
+
+/**
+ * Parses template JSON into a creation-wizard spec. Duration is left empty
+ * because it is chosen per run.
+ */
+export const importTemplate = (text) => {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        return { spec: null, errors: [`Invalid JSON: ${err.message}`] };
+    }
+
+    const errors = validateTemplate(doc);
+    if (errors.length > 0) return { spec: null, errors };
+
+    return {
+        spec: {
+            name: doc.name,
+            durationDays: '',
+            contributorPool: doc.pools.contributor,
+            verifierPool: doc.pools.verifier,
+            voting: doc.voting ? { ...doc.voting, quorum: String(doc.voting.quorum) } : defaultVoting(),
+            phases: doc.phases.map(phase => ({
+                name: phase.name,
+                tasks: phase.tasks.map(t => ({ description: t.description, points: String(t.points) }))
+            }))
+        },
+        errors: []
+    };
+};
@@ -0,0 +1,102 @@
+export const PROOF_FORMAT = 'tasksplit-proof';
+export const PROOF_VERSION = 1;
+
+export const LINK_LABELS = ['Repository', 'Pull request', 'Demo video', 'Documentation', 'Other'];
+export const MAX_PROOF_LINKS = 5;
+export const MAX_SUMMARY_LENGTH = 1000;
+
+const CONTENT_HASH = /^sha256:[0-9a-f]{64}$/;
+
+export const emptyProof = () => ({
+    summary: '',
+    links: [{ label: LINK_LABELS[0], url: '' }],
+    contentHash: ''
+});
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Checks a proof draft before it is encoded. Returns a list of problems;
+ * empty means the draft can be submitted.
+ */
+export const validateProof = (proof) => {
+    const errors = [];
+    const links = proof.links.filter(l => l.url.trim());
+
+    if (links.length === 0) errors.push('Add at least one link');
+    if (links.length > MAX_PROOF_LINKS) errors.push(`Max ${MAX_PROOF_LINKS} links`);
+    links.forEach((link, i) => {
+        if (!link.label.trim()) errors.push(`Link ${i + 1} needs a label`);
+        if (!isHttpUrl(link.url.trim())) errors.push(`Link ${i + 1} must be an http(s) URL`);
+    });
+    if (proof.summary.length > MAX_SUMMARY_LENGTH) errors.push(`Summary is limited to ${MAX_SUMMARY_LENGTH} characters`);
+    if (proof.contentHash && !CONTENT_HASH.test(proof.contentHash.trim())) {
+        errors.push('Content hash must look like sha256:<64 hex characters>');
+    }
+
+    return errors;
+};
+
+/**
+ * Serializes a valid draft into the string stored in the task's proof field.
+ * Empty links and an empty hash are dropped.
+ */
+export const encodeProof = (proof) => {
+    const doc = {
+        format: PROOF_FORMAT,
+        version: PROOF_VERSION,
+        summary: proof.summary.trim(),
+        links: proof.links
+            .filter(l => l.url.trim())
+            .map(l => ({ label: l.label.trim(), url: l.url.trim() }))
+    };
+    if (proof.contentHash.trim()) doc.contentHash = proof.contentHash.trim();
+    return JSON.stringify(doc);
+};
+
+/**
+ * Reads a proof field back. Plain URLs from before structured proofs decode
+ * as version 0 with a single link; documents from a newer version are
+ * flagged as unsupported so the raw value can be shown instead.
+ */
+export const decodeProof = (raw) => {
+    const legacy = { version: 0, summary: '', links: [{ label: 'Submission', url: raw }], contentHash: null, raw };
+    if (!raw || !raw.trim().startsWith('{')) return legacy;
+
+    let doc;
+    try {
+        doc = JSON.parse(raw);
+    } catch {
+        return legacy;
+    }
+    if (!doc || doc.format !== PROOF_FORMAT) return legacy;
+    if (doc.version !== PROOF_VERSION) return { ...legacy, version: doc.version, unsupported: true };
+
+    return {
+        version: doc.version,
+        summary: typeof doc.summary === 'string' ? doc.summary : '',
+        links: Array.isArray(doc.links)
+            ? doc.links.filter(l => l && typeof l.url === 'string').map(l => ({ label: String(l.label || 'Link'), url: l.url }))
+            : [],
+        contentHash: typeof doc.contentHash === 'string' ? doc.contentHash : null,
+        raw
+    };
+};
+
+// Only http(s) links are rendered as anchors; anything else stays plain text
+export const isSafeLink = isHttpUrl;
+
+/**
+ * SHA-256 of a file in the `sha256:<hex>` form used by contentHash.
+ */
+export const hashFile = async (file) => {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    return `sha256:${hex}`;
+};
@@ -0,0 +1,208 @@
+/**
+ * Content-addressed storage for proof bundles. A bundle is stored as a single
+ * raw IPFS block, so its CID (v1, raw codec, sha2-256) is just the SHA-256 of
+ * the bytes and can be checked on retrieval without any IPFS libraries.
+ *
+ * The backend is picked from the Vite environment:
+ *   VITE_IPFS_API_URL      IPFS HTTP RPC endpoint used for uploads (e.g. http://127.0.0.1:5001)
+ *   VITE_IPFS_GATEWAY_URL  optional gateway for reads; falls back to the RPC `cat` call
+ * Everything in the Vite environment ends up in the public bundle, so the
+ * endpoint takes no credentials from here. In production it must be an
+ * upload proxy that exposes only `add` and `cat` and attaches the pinning
+ * service's key on the server side.
+ * Without an API URL, development builds keep bundles in the browser and
+ * production builds have no store: proofs then go on-chain inline, as
+ * encoded by utils/proof.js.
+ */
+
+export const PROOF_URI_PREFIX = 'ipfs://';
+
+// Anything larger would be chunked by IPFS and no longer hash to a raw CID
+export const MAX_BUNDLE_BYTES = 256 * 1024;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+// CIDv1, raw codec (0x55), sha2-256 multihash (0x12) with a 32 byte digest
+const CID_PREFIX = [0x01, 0x55, 0x12, 0x20];
+
+const toBase32 = (bytes) => {
+    let out = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(buffer >> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    return out;
+};
+
+const fromBase32 = (text) => {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of text) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error(`Invalid base32 character "${char}"`);
+        buffer = (buffer << 5) | value;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((buffer >> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(bytes);
+};
+
+const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+
+export const cidForBytes = async (bytes) => {
+    const digest = await sha256(bytes);
+    return `b${toBase32(new Uint8Array([...CID_PREFIX, ...digest]))}`;
+};
+
+/**
+ * Checks that `bytes` are exactly what `cid` addresses. Only the raw sha2-256
+ * CIDs this module produces can be checked; anything else counts as a mismatch.
+ */
+export const verifyCid = async (cid, bytes) => {
+    if (!cid.startsWith('b')) return false;
+    let decoded;
+    try {
+        decoded = fromBase32(cid.slice(1));
+    } catch {
+        return false;
+    }
+    if (decoded.length !== CID_PREFIX.length + 32 || CID_PREFIX.some((b, i) => decoded[i] !== b)) return false;
+
+    const digest = await sha256(bytes);
+    return digest.every((b, i) => decoded[CID_PREFIX.length + i] === b);
+};
+
+/**
+ * Development backend. Bundles live in memory and, when a Storage is passed,
+ * are mirrored there so they survive a reload in the same browser.
+ */
+export const createMemoryStore = (storage = null, storageKey = 'tasksplit:proof-store') => {
+    const blocks = new Map();
+    if (storage) {
+        try {
+            const saved = JSON.parse(storage.getItem(storageKey) || '{}');
+            Object.entries(saved).forEach(([cid, text]) => blocks.set(cid, new TextEncoder().encode(text)));
+        } catch {
+            // A corrupt mirror only loses development bundles
+        }
+    }
+
+    const persist = () => {
+        if (!storage) return;
+        const saved = Object.fromEntries([...blocks].map(([cid, bytes]) => [cid, new TextDecoder().decode(bytes)]));
+        storage.setItem(storageKey, JSON.stringify(saved));
+    };
+
+    return {
+        name: 'memory',
+        put: async (bytes) => {
+            const cid = await cidForBytes(bytes);
+            blocks.set(cid, bytes);
+            persist();
+            return cid;
+        },
+        get: async (cid) => {
+            if (!blocks.has(cid)) throw new Error(`Proof ${cid} is not in the local store`);
+            return blocks.get(cid);
+        }
+    };
+};
+
+/**
+ * Production backend speaking the IPFS HTTP RPC API (Kubo and compatible
+ * pinning services). Uploads are pinned and must come back with the CID
+ * computed locally.
+ */
+export const createIpfsHttpStore = ({ apiUrl, gatewayUrl = null, fetchImpl = fetch }) => {
+    const api = apiUrl.replace(/\/$/, '');
+
+    const expectOk = async (res, action) => {
+        if (!res.ok) throw new Error(`IPFS ${action} failed (${res.status})`);
+        return res;
+    };
+
+    return {
+        name: 'ipfs',
+        put: async (bytes) => {
+            const body = new FormData();
+            body.append('file', new Blob([bytes]), 'proof.json');
+            const res = await fetchImpl(`${api}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`, {
+                method: 'POST',
+                body
+            }).then(r => expectOk(r, 'upload'));
+
+            const { Hash } = await res.json();
+            const expected = await cidForBytes(bytes);
+            if (Hash !== expected) throw new Error(`IPFS node returned CID ${Hash}, expected ${expected}`);
+            return Hash;
+        },
+        get: async (cid) => {
+            const res = gatewayUrl
+                ? await fetchImpl(`${gatewayUrl.replace(/\/$/, '')}/ipfs/${cid}`)
+                : await fetchImpl(`${api}/api/v0/cat?arg=${cid}`, { method: 'POST' });
+            await expectOk(res, 'retrieval');
+            return new Uint8Array(await res.arrayBuffer());
+        }
+    };
+};
+
+let defaultStore = null;
+
+export const getProofStore = () => {
+    if (!defaultStore) {
+        const env = import.meta.env;
+        if (env.VITE_IPFS_API_URL) {
+            defaultStore = createIpfsHttpStore({ apiUrl: env.VITE_IPFS_API_URL, gatewayUrl: env.VITE_IPFS_GATEWAY_URL || null });
+        } else if (env.DEV) {
+            defaultStore = createMemoryStore(typeof localStorage !== 'undefined' ? localStorage : null);
+        }
+        // Proofs kept in one browser would be unverifiable for everyone else,
+        // so production builds without an API URL get no store at all
+    }
+    return defaultStore;
+};
+
+const bundleBytes = (encoded) => {
+    const bytes = new TextEncoder().encode(encoded);
+    if (bytes.length > MAX_BUNDLE_BYTES) throw new Error(`Proof bundle is larger than ${MAX_BUNDLE_BYTES / 1024} KiB`);
+    return bytes;
+};
+
+export const isStoredProof = (raw) => typeof raw === 'string' && raw.startsWith(PROOF_URI_PREFIX);
+
+/**
+ * Uploads an encoded proof and returns the `ipfs://<cid>` reference to put
+ * on-chain in its place. Without a store the encoded proof itself is returned
+ * and submitted inline.
+ */
+export const storeProof = async (encoded, store = getProofStore()) =>
+    store ? `${PROOF_URI_PREFIX}${await store.put(bundleBytes(encoded))}` : encoded;
+
+/**
+ * The value storeProof will return for an encoded proof, computed locally
+ * so a transaction can be simulated with it before anything is uploaded.
+ */
+export const proofRefFor = async (encoded, store = getProofStore()) =>
+    store ? `${PROOF_URI_PREFIX}${await cidForBytes(bundleBytes(encoded))}` : encoded;
+
+/**
+ * Fetches a stored proof and checks it against its CID. Resolves to
+ * `{ cid, verified, encoded }`; `encoded` is only set when the bytes match.
+ */
+export const loadProof = async (raw, store = getProofStore()) => {
+    if (!store) throw new Error('Proof storage is not configured');
+    const cid = raw.slice(PROOF_URI_PREFIX.length);
+    const bytes = await store.get(cid);
+    const verified = await verifyCid(cid, bytes);
+    return { cid, verified, encoded: verified ? new TextDecoder().decode(bytes) : null };
+};
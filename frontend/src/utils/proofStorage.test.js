@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_BUNDLE_BYTES,
+    cidForBytes,
+    verifyCid,
+    createMemoryStore,
+    createIpfsHttpStore,
+    storeProof,
+    proofRefFor,
+    loadProof
+} from './proofStorage.js';
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+// Storage stand-in with the two methods the memory store uses
+const fakeStorage = () => {
+    const items = new Map();
+    return { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+};
+
+test('cidForBytes matches the raw sha2-256 CID IPFS gives an empty block', async () => {
+    assert.equal(await cidForBytes(new Uint8Array()), 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+});
+
+test('verifyCid accepts the bytes a CID was computed from', async () => {
+    const bytes = bytesOf('{"summary":"done"}');
+    assert.equal(await verifyCid(await cidForBytes(bytes), bytes), true);
+});
+
+test('verifyCid rejects tampered bytes', async () => {
+    const cid = await cidForBytes(bytesOf('{"summary":"done"}'));
+    assert.equal(await verifyCid(cid, bytesOf('{"summary":"d0ne"}')), false);
+});
+
+test('verifyCid rejects CIDs it cannot check', async () => {
+    const bytes = bytesOf('proof');
+    const cid = await cidForBytes(bytes);
+    // CIDv0, a character outside base32, a truncated digest and a dag-pb codec
+    assert.equal(await verifyCid('QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG', bytes), false);
+    assert.equal(await verifyCid(`${cid.slice(0, -1)}1`, bytes), false);
+    assert.equal(await verifyCid(cid.slice(0, -4), bytes), false);
+    assert.equal(await verifyCid(`bafy${cid.slice(4)}`, bytes), false);
+});
+
+test('memory store round-trips bundles and survives a reload through its Storage', async () => {
+    const storage = fakeStorage();
+    const bytes = bytesOf('{"summary":"kept"}');
+    const cid = await createMemoryStore(storage).put(bytes);
+
+    assert.equal(cid, await cidForBytes(bytes));
+    assert.deepEqual(await createMemoryStore(storage).get(cid), bytes);
+    await assert.rejects(createMemoryStore().get(cid), /not in the local store/);
+});
+
+test('HTTP store pins uploads and checks the CID the node returns', async () => {
+    const bytes = bytesOf('{"summary":"pinned"}');
+    const expected = await cidForBytes(bytes);
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+        calls.push({ url, init });
+        return new Response(JSON.stringify({ Hash: expected }));
+    };
+
+    const store = createIpfsHttpStore({ apiUrl: 'http://ipfs.test/', fetchImpl });
+    assert.equal(await store.put(bytes), expected);
+    assert.equal(calls[0].url, 'http://ipfs.test/api/v0/add?cid-version=1&raw-leaves=true&pin=true');
+    assert.equal(calls[0].init.method, 'POST');
+    assert.equal(calls[0].init.headers, undefined);
+});
+
+test('HTTP store rejects an upload that comes back under another CID', async () => {
+    const fetchImpl = async () => new Response(JSON.stringify({ Hash: await cidForBytes(bytesOf('other')) }));
+    const store = createIpfsHttpStore({ apiUrl: 'http://ipfs.test', fetchImpl });
+    await assert.rejects(store.put(bytesOf('proof')), /expected/);
+});
+
+test('HTTP store reads through the gateway when one is set and reports failed requests', async () => {
+    const urls = [];
+    const fetchImpl = async (url) => {
+        urls.push(url);
+        return url.includes('missing') ? new Response('', { status: 404 }) : new Response('stored');
+    };
+    const store = createIpfsHttpStore({ apiUrl: 'http://ipfs.test', gatewayUrl: 'https://gw.test/', fetchImpl });
+
+    assert.deepEqual(await store.get('bafkcid'), bytesOf('stored'));
+    assert.equal(urls[0], 'https://gw.test/ipfs/bafkcid');
+    await assert.rejects(store.get('missing'), /retrieval failed \(404\)/);
+});
+
+test('storeProof returns the ipfs:// reference proofRefFor predicts', async () => {
+    const store = createMemoryStore();
+    const encoded = '{"format":"tasksplit-proof","version":1}';
+    const ref = await storeProof(encoded, store);
+
+    assert.match(ref, /^ipfs:\/\/b/);
+    assert.equal(await proofRefFor(encoded, store), ref);
+});
+
+test('storeProof and proofRefFor keep the proof inline without a store', async () => {
+    const encoded = '{"format":"tasksplit-proof","version":1}';
+    assert.equal(await storeProof(encoded, null), encoded);
+    assert.equal(await proofRefFor(encoded, null), encoded);
+});
+
+test('storeProof refuses bundles IPFS would chunk', async () => {
+    await assert.rejects(storeProof('x'.repeat(MAX_BUNDLE_BYTES + 1), createMemoryStore()), /larger than 256 KiB/);
+});
+
+test('loadProof returns the proof only when it matches its CID', async () => {
+    const store = createMemoryStore();
+    const encoded = '{"summary":"original"}';
+    const ref = await storeProof(encoded, store);
+
+    assert.deepEqual(await loadProof(ref, store), { cid: ref.slice('ipfs://'.length), verified: true, encoded });
+
+    const tampered = { get: async () => bytesOf('{"summary":"swapped"}') };
+    assert.deepEqual(await loadProof(ref, tampered), { cid: ref.slice('ipfs://'.length), verified: false, encoded: null });
+    await assert.rejects(loadProof(ref, null), /not configured/);
+});
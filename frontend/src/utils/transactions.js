@@ -0,0 +1,136 @@
+import { classifyError } from './errors';
+import { simulateCall } from './preflight';
+
+const STORAGE_KEY = 'tasksplit:transactions';
+const MAX_ENTRIES = 20;
+
+const loadEntries = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.filter(e => e.hash) : [];
+    } catch {
+        return [];
+    }
+};
+
+// Entries still waiting for a wallet signature have no hash and cannot be
+// resumed, so only submitted transactions are persisted.
+const persist = () => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries.filter(e => e.hash)));
+    } catch {
+        // Storage unavailable (private mode); tracking still works for this session
+    }
+};
+
+let entries = loadEntries();
+let nextId = Date.now();
+const listeners = new Set();
+const watching = new Set();
+
+const update = (id, patch) => {
+    entries = entries.map(e => (e.id === id ? { ...e, ...patch } : e));
+    persist();
+    listeners.forEach(listener => listener(entries));
+};
+
+const add = (entry) => {
+    entries = [entry, ...entries].slice(0, MAX_ENTRIES);
+    persist();
+    listeners.forEach(listener => listener(entries));
+};
+
+export const getTransactions = () => entries;
+
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const dismissTransaction = (id) => {
+    entries = entries.filter(e => e.id !== id);
+    persist();
+    listeners.forEach(listener => listener(entries));
+};
+
+export const isBusy = (list, key) =>
+    list.some(e => e.key === key && ['checking', 'signing', 'pending'].includes(e.status));
+
+/**
+ * Shows a failure toast for an action that was stopped before reaching the
+ * wallet, e.g. a missing connection or form field.
+ */
+export const notifyFailure = (label, error) => {
+    add({ id: String(nextId++), key: null, label, status: 'failed', hash: null, chainId: null, error, createdAt: Date.now() });
+};
+
+const failure = (err) => {
+    const { message, action } = classifyError(err);
+    return { status: 'failed', error: message, hint: action };
+};
+
+/**
+ * Sends `contract[method](...args, overrides)` through the shared manager.
+ * The call is simulated first and never reaches the wallet if it would
+ * revert. `key` groups entries so components can tell whether their own
+ * action is in flight. Resolves with the receipt, or null if the transaction
+ * was rejected or reverted (the failure is shown as a toast).
+ */
+export const sendTransaction = async ({ key, label, contract, method, args = [], overrides = {} }) => {
+    const id = String(nextId++);
+    add({ id, key, label, status: 'checking', hash: null, chainId: null, error: null, createdAt: Date.now() });
+
+    const simulation = await simulateCall(contract, method, args, overrides);
+    if (!simulation.ok) {
+        update(id, { status: 'failed', error: simulation.error.message, hint: simulation.error.action });
+        return null;
+    }
+    update(id, { status: 'signing' });
+
+    let tx;
+    try {
+        tx = await contract.getFunction(method)(...args, overrides);
+    } catch (err) {
+        console.error(err);
+        update(id, failure(err));
+        return null;
+    }
+
+    watching.add(tx.hash);
+    update(id, { status: 'pending', hash: tx.hash, chainId: Number(tx.chainId) });
+
+    try {
+        const receipt = await tx.wait();
+        update(id, { status: 'mined', blockNumber: receipt.blockNumber });
+        return receipt;
+    } catch (err) {
+        console.error(err);
+        update(id, failure(err));
+        return null;
+    } finally {
+        watching.delete(tx.hash);
+    }
+};
+
+/**
+ * Re-attaches to transactions that were still pending when the page was
+ * last closed. Safe to call repeatedly; each hash is only watched once.
+ */
+export const resumePending = async (provider) => {
+    const { chainId } = await provider.getNetwork();
+
+    entries
+        .filter(e => e.status === 'pending' && e.chainId === Number(chainId) && !watching.has(e.hash))
+        .forEach(entry => {
+            watching.add(entry.hash);
+            provider.waitForTransaction(entry.hash)
+                .then(receipt => {
+                    if (!receipt) return;
+                    update(entry.id, receipt.status === 1
+                        ? { status: 'mined', blockNumber: receipt.blockNumber }
+                        : { status: 'failed', error: 'Transaction reverted' });
+                })
+                .catch(err => console.error('Failed to resume transaction:', err))
+                .finally(() => watching.delete(entry.hash));
+        });
+};